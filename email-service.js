@@ -1,4 +1,6 @@
 const { MailSlurp } = require('mailslurp-client');
+const { describeClassification } = require('./lib/classify');
+const { formatBreakdown } = require('./lib/score');
 
 class EmailService {
     constructor() {
@@ -39,9 +41,7 @@ class EmailService {
         }
     }
 
-    generateJobEmailHTML(jobs, keywords) {
-        const matchingJobs = this.filterJobsByKeywords(jobs, keywords);
-        
+    generateJobEmailHTML(matchingJobs, filters) {
         if (matchingJobs.length === 0) {
             return null; // No matching jobs
         }
@@ -63,6 +63,8 @@ class EmailService {
                 .job-title a:hover { text-decoration: underline; }
                 .job-meta { color: #666; font-size: 14px; margin: 5px 0; }
                 .job-meta strong { color: #333; }
+                .job-excerpt { color: #555; font-size: 14px; margin: 10px 0; }
+                .reposted-badge { background: #fff4e5; color: #8a5300; padding: 3px 8px; border-radius: 10px; font-size: 12px; font-weight: normal; margin-left: 8px; white-space: nowrap; }
                 .keywords-matched { background: #e8f5e8; color: #2d5a2d; padding: 5px 10px; border-radius: 15px; font-size: 12px; display: inline-block; margin: 5px 5px 0 0; }
                 .apply-btn { background: #FF5A5F; color: white; padding: 12px 25px; text-decoration: none; border-radius: 25px; display: inline-block; margin-top: 15px; font-weight: bold; }
                 .apply-btn:hover { background: #e04347; }
@@ -76,7 +78,7 @@ class EmailService {
             <div class="container">
                 <div class="header">
                     <h1>🚀 New Airbnb Job Opportunities</h1>
-                    <p>Engineering positions matching your keywords</p>
+                    <p>Engineering positions matching your filters</p>
                 </div>
                 
                 <div class="content">
@@ -85,30 +87,72 @@ class EmailService {
                         <div class="stats-label">New Matching Position${matchingJobs.length > 1 ? 's' : ''} Found</div>
                     </div>
                     
-                    <p><strong>Keywords that triggered this alert:</strong> ${keywords.join(', ')}</p>
+                    ${filters.length > 0 ? `
+                    <p><strong>Filters that triggered this alert:</strong> ${filters.map(filter => this.escapeHtml(filter)).join('; ')}</p>
+                    ` : ''}
                     
                     ${matchingJobs.map(job => {
-                        const matchedKeywords = this.getMatchedKeywords(job, keywords);
+                        const matchedClauses = job.matched_clauses || [];
+                        const level = describeClassification(job);
                         return `
                         <div class="job-card">
                             <h2 class="job-title">
                                 <a href="${job.link}" target="_blank">${job.title}</a>
+                                ${job.reposted ? `<span class="reposted-badge">Reposted · first listed ${new Date(job.first_seen).toLocaleDateString()}</span>` : ''}
                             </h2>
                             
                             <div class="job-meta">
                                 <strong>Department:</strong> ${job.department}
                             </div>
+                            ${level ? `
                             <div class="job-meta">
-                                <strong>Location:</strong> ${job.location}
+                                <strong>Level:</strong> ${level}
+                            </div>
+                            ` : ''}
+                            ${job.score_breakdown && job.score_breakdown.length > 0 ? `
+                            <div class="job-meta">
+                                <strong>Relevance:</strong> ${job.score} (${this.escapeHtml(formatBreakdown(job))})
+                            </div>
+                            ` : ''}
+                            <div class="job-meta">
+                                ${job.postings ? `
+                                <strong>Locations:</strong> ${job.postings.map(posting => `<a href="${posting.link}" target="_blank">${this.escapeHtml(posting.location)}</a>`).join(' · ')}${job.workplace ? ` (${job.workplace})` : ''}
+                                ` : `
+                                <strong>Location:</strong> ${job.location}${job.workplace ? ` (${job.workplace})` : ''}
+                                `}
+                            </div>
+                            ${job.target && job.target !== 'default' ? `
+                            <div class="job-meta">
+                                <strong>Source:</strong> ${job.target}
+                            </div>
+                            ` : ''}
+                            ${job.posted_at ? `
+                            <div class="job-meta">
+                                <strong>Posted:</strong> ${new Date(job.posted_at).toLocaleDateString()}
+                            </div>
+                            ` : `
+                            <div class="job-meta">
+                                <strong>First seen:</strong> ${job.first_seen || job.scraped_at ? new Date(job.first_seen || job.scraped_at).toLocaleDateString() : 'Recently'}
                             </div>
+                            `}
+                            ${job.employment_type ? `
                             <div class="job-meta">
-                                <strong>Posted:</strong> ${job.scraped_at ? new Date(job.scraped_at).toLocaleDateString() : 'Recently'}
+                                <strong>Type:</strong> ${job.employment_type}
                             </div>
+                            ` : ''}
+                            ${job.pay_range ? `
+                            <div class="job-meta">
+                                <strong>Pay:</strong> ${job.pay_range}
+                            </div>
+                            ` : ''}
+                            ${job.description ? `
+                            <p class="job-excerpt">${this.getDescriptionExcerpt(job)}</p>
+                            ` : ''}
                             
-                            ${matchedKeywords.length > 0 ? `
+                            ${matchedClauses.length > 0 ? `
                             <div style="margin: 10px 0;">
-                                <strong>Matched Keywords:</strong><br>
-                                ${matchedKeywords.map(keyword => `<span class="keywords-matched">${keyword}</span>`).join('')}
+                                <strong>Matched:</strong><br>
+                                ${matchedClauses.map(clause => `<span class="keywords-matched">${this.escapeHtml(clause)}</span>`).join('')}
                             </div>
                             ` : ''}
                             
@@ -120,7 +164,7 @@ class EmailService {
                     <div class="footer">
                         <p>This email was generated automatically by your Airbnb Job Scraper</p>
                         <p>Scraped on ${new Date().toLocaleString()}</p>
-                        <p style="color: #999;">Only sent when new positions matching your keywords are found</p>
+                        <p style="color: #999;">Only sent when new positions matching your filters are found</p>
                     </div>
                 </div>
             </div>
@@ -131,27 +175,76 @@ class EmailService {
         return html;
     }
 
-    filterJobsByKeywords(jobs, keywords) {
-        if (!keywords || keywords.length === 0) {
-            return jobs; // No filtering if no keywords
-        }
+    generateClosedJobsEmailHTML(jobs) {
+        const html = `
+        <!DOCTYPE html>
+        <html>
+        <head>
+            <meta charset="utf-8">
+            <style>
+                body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+                .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+                .header { background: #484848; color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+                .header h1 { margin: 0; font-size: 28px; }
+                .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px; }
+                .job-card { background: white; border-left: 4px solid #999; margin: 20px 0; padding: 20px; border-radius: 5px; box-shadow: 0 2px 5px rgba(0,0,0,0.1); }
+                .job-title { color: #484848; font-size: 20px; font-weight: bold; margin-bottom: 10px; }
+                .job-title a { color: #484848; text-decoration: none; }
+                .job-meta { color: #666; font-size: 14px; margin: 5px 0; }
+                .job-meta strong { color: #333; }
+            </style>
+        </head>
+        <body>
+            <div class="container">
+                <div class="header">
+                    <h1>📪 Position${jobs.length > 1 ? 's' : ''} Closed</h1>
+                    <p>${jobs.length} job${jobs.length > 1 ? 's' : ''} you were alerted about ${jobs.length > 1 ? 'are' : 'is'} no longer listed</p>
+                </div>
+                <div class="content">
+                    ${jobs.map(job => `
+                        <div class="job-card">
+                            <h2 class="job-title">
+                                <a href="${job.link}" target="_blank">${job.title}</a>
+                            </h2>
+                            <div class="job-meta">
+                                <strong>Location:</strong> ${job.location}
+                            </div>
+                            ${job.target && job.target !== 'default' ? `
+                            <div class="job-meta">
+                                <strong>Source:</strong> ${job.target}
+                            </div>
+                            ` : ''}
+                            <div class="job-meta">
+                                <strong>Listed:</strong> ${new Date(job.first_seen).toLocaleDateString()} – ${new Date(job.last_seen).toLocaleDateString()}
+                            </div>
+                        </div>
+                    `).join('')}
+                </div>
+            </div>
+        </body>
+        </html>
+        `;
 
-        return jobs.filter(job => {
-            const searchText = `${job.title} ${job.department}`.toLowerCase();
-            return keywords.some(keyword => 
-                searchText.includes(keyword.toLowerCase())
-            );
-        });
+        return html;
     }
 
-    getMatchedKeywords(job, keywords) {
-        const searchText = `${job.title} ${job.department}`.toLowerCase();
-        return keywords.filter(keyword => 
-            searchText.includes(keyword.toLowerCase())
-        );
+    escapeHtml(text) {
+        return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
     }
 
-    async sendJobAlert(jobs, keywords) {
+    getDescriptionExcerpt(job, maxLength = 280) {
+        const text = job.description.replace(/\s+/g, ' ').trim();
+        const excerpt = text.length > maxLength
+            ? text.substring(0, text.lastIndexOf(' ', maxLength) > 0 ? text.lastIndexOf(' ', maxLength) : maxLength) + '…'
+            : text;
+
+        return this.escapeHtml(excerpt);
+    }
+
+    // options.to sends to a subscriber instead of EMAIL_RECEIVER; options.digest marks a daily or weekly digest
+    async sendJobAlert(matchingJobs, filters = [], options = {}) {
+        const to = options.to || this.receiverEmail;
+        const digest = options.digest === 'daily' || options.digest === 'weekly' ? `${options.digest === 'daily' ? 'Daily' : 'Weekly'} digest: ` : '';
         try {
             // Ensure inbox is initialized
             if (!this.inbox || !this.inbox.id) {
@@ -163,18 +256,16 @@ class EmailService {
                 }
             }
 
-            const emailHTML = this.generateJobEmailHTML(jobs, keywords);
+            const emailHTML = this.generateJobEmailHTML(matchingJobs, filters);
             
             if (!emailHTML) {
-                console.log('📧 No jobs match the specified keywords, skipping email');
+                console.log('📧 No matching jobs to send, skipping email');
                 return { success: true, reason: 'no_matching_jobs' };
             }
 
-            const matchingJobs = this.filterJobsByKeywords(jobs, keywords);
-            
             const emailOptions = {
-                to: [this.receiverEmail],
-                subject: `🔔 ${matchingJobs.length} New Airbnb Job${matchingJobs.length > 1 ? 's' : ''} - ${matchingJobs.map(j => j.title).join(', ').substring(0, 50)}${matchingJobs.map(j => j.title).join(', ').length > 50 ? '...' : ''}`,
+                to: [to],
+                subject: `🔔 ${digest}${matchingJobs.length} New Airbnb Job${matchingJobs.length > 1 ? 's' : ''} - ${matchingJobs.map(j => j.title).join(', ').substring(0, 50)}${matchingJobs.map(j => j.title).join(', ').length > 50 ? '...' : ''}`,
                 body: emailHTML,
                 isHTML: true
             };
@@ -185,7 +276,7 @@ class EmailService {
             const sentEmail = await this.mailslurp.inboxController.sendEmail(this.inbox.id, emailOptions);
             
             console.log(`✅ Email sent successfully! Email ID: ${sentEmail.id}`);
-            console.log(`📧 Sent to: ${this.receiverEmail}`);
+            console.log(`📧 Sent to: ${to}`);
             console.log(`📝 Subject: ${emailOptions.subject}`);
             
             return { 
@@ -201,6 +292,35 @@ class EmailService {
         }
     }
 
+    async sendClosedJobsAlert(jobs) {
+        try {
+            if (!this.inbox || !this.inbox.id) {
+                await this.initialize();
+                
+                if (!this.inbox || !this.inbox.id) {
+                    throw new Error('Failed to initialize inbox - no inbox ID available');
+                }
+            }
+
+            const emailOptions = {
+                to: [this.receiverEmail],
+                subject: `📪 ${jobs.length} Position${jobs.length > 1 ? 's' : ''} Closed - ${jobs.map(j => j.title).join(', ').substring(0, 50)}${jobs.map(j => j.title).join(', ').length > 50 ? '...' : ''}`,
+                body: this.generateClosedJobsEmailHTML(jobs),
+                isHTML: true
+            };
+
+            console.log(`📧 Sending closed notification for ${jobs.length} job(s)...`);
+            const sentEmail = await this.mailslurp.inboxController.sendEmail(this.inbox.id, emailOptions);
+            console.log(`✅ Closed notification sent! Email ID: ${sentEmail.id}`);
+            
+            return { success: true, emailId: sentEmail.id, closedJobsCount: jobs.length };
+
+        } catch (error) {
+            console.error('❌ Failed to send closed notification:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
     async testEmailService() {
         try {
             if (!this.inbox || !this.inbox.id) {
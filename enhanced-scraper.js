@@ -4,12 +4,42 @@ const nodemailer = require('nodemailer');
 const cron = require('node-cron');
 const fs = require('fs').promises;
 const path = require('path');
-
-// Store previously seen jobs
+const { resolveAdapter } = require('./lib/adapters');
+const { extractJobsFromPage } = require('./lib/page-scraper');
+const { normalizeJobs } = require('./lib/normalize');
+const { getJobId, assignJobIds } = require('./lib/job-id');
+const { loadRules, classifyJobs } = require('./lib/classify');
+const { loadScoring, scoreJobs, sortByScore, formatBreakdown } = require('./lib/score');
+const { readJsonSetting } = require('./lib/settings');
+const { groupDuplicates } = require('./lib/group');
+const { createAlertBatch, createNotifiers } = require('./lib/notifiers');
+const { writeFileAtomic } = require('./lib/atomic-write');
+const { openNodeStorage } = require('./lib/storage');
+
+// Store previously seen job IDs
 let previousJobs = new Set();
 
-// Configuration with multiple notification options
+// State storage (lib/storage); stays null with the files backend
+let storage = null;
+const STORE_TARGET = { name: 'enhanced' }; // Kept apart from the MailSlurp scraper's targets
+
+// Configuration; Discord, Telegram, webhook and file log alerts are read
+// from the environment by lib/notifiers
 const config = {
+    scraping: {
+        url: process.env.AIRBNB_JOBS_URL || 'https://careers.airbnb.com/positions/?_departments=engineering&_offices=bangalore-india',
+        adapter: process.env.SCRAPER_ADAPTER,
+        maxPages: parseInt(process.env.SCRAPE_MAX_PAGES, 10) || 10,
+        // Seniority and role family rules, added to the defaults in lib/classification-rules.json
+        classifier: loadSetting('CLASSIFIER_RULES', loadRules),
+        // Keyword weights, bonus/penalty rules and minimum score; see lib/score.js
+        scoring: loadSetting('SCORING_RULES', loadScoring)
+    },
+    storage: {
+        backend: process.env.STORAGE_BACKEND || 'sqlite', // 'sqlite', 'files' for previous-jobs.json, or 'memory'
+        databaseFile: process.env.DATABASE_PATH || './scraper.db',
+        previousJobsFile: './previous-jobs.json'
+    },
     email: {
         enabled: process.env.EMAIL_ENABLED === 'true',
         service: process.env.EMAIL_SERVICE || 'gmail',
@@ -17,28 +47,19 @@ const config = {
         pass: process.env.EMAIL_PASS,
         to: process.env.EMAIL_TO
     },
-    webhook: {
-        enabled: process.env.WEBHOOK_ENABLED === 'true',
-        url: process.env.WEBHOOK_URL
-    },
-    discord: {
-        enabled: process.env.DISCORD_ENABLED === 'true',
-        webhookUrl: process.env.DISCORD_WEBHOOK_URL
-    },
-    telegram: {
-        enabled: process.env.TELEGRAM_ENABLED === 'true',
-        botToken: process.env.TELEGRAM_BOT_TOKEN,
-        chatId: process.env.TELEGRAM_CHAT_ID
-    },
     console: {
         enabled: process.env.CONSOLE_ENABLED !== 'false' // Default to true
-    },
-    fileLog: {
-        enabled: process.env.FILE_LOG_ENABLED === 'true',
-        path: process.env.LOG_FILE_PATH || './job-alerts.log'
     }
 };
 
+/**
+ * Parse a JSON setting from NAME_FILE or NAME with the given loader
+ */
+function loadSetting(name, load) {
+    const { value, source } = readJsonSetting(process.env, name);
+    return load(value, source);
+}
+
 // Initialize email transporter if enabled
 let transporter = null;
 if (config.email.enabled && config.email.user && config.email.pass) {
@@ -52,6 +73,17 @@ if (config.email.enabled && config.email.user && config.email.pass) {
 }
 
 async function scrapeJobs() {
+    const target = config.scraping;
+    const adapter = resolveAdapter(target);
+
+    // API-backed job boards don't need a browser
+    if (adapter.type === 'api') {
+        console.log(`Fetching ${adapter.name} postings for: ${target.url}`);
+        const jobs = assignJobIds(await adapter.fetchJobs(target), adapter);
+        console.log(`Fetched ${jobs.length} jobs`);
+        return jobs;
+    }
+
     const browser = await puppeteer.launch({
         headless: 'new',
         args: ['--no-sandbox', '--disable-setuid-sandbox']
@@ -63,39 +95,15 @@ async function scrapeJobs() {
         // Set user agent to avoid detection
         await page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36');
         
-        // Navigate to Airbnb careers page with filters
-        const url = process.env.AIRBNB_JOBS_URL || 'https://careers.airbnb.com/positions/?_departments=engineering&_offices=bangalore-india';
-        console.log(`Navigating to: ${url}`);
-        
-        await page.goto(url, { waitUntil: 'networkidle2', timeout: 60000 });
+        // Navigate to the careers page with filters
+        console.log(`Navigating to: ${target.url} (${adapter.name} adapter)`);
         
-        // Wait for job listings to load
-        await page.waitForSelector('.job-list', { timeout: 30000 });
+        await page.goto(target.url, { waitUntil: 'networkidle2', timeout: 60000 });
         
-        // Extract job information
-        const jobs = await page.evaluate(() => {
-            const jobElements = document.querySelectorAll('.job-list li[role="listitem"]');
-            return Array.from(jobElements).map(job => {
-                try {
-                    const titleElement = job.querySelector('h3 a');
-                    const departmentElement = job.querySelector('.text-gray-48');
-                    const locationElement = job.querySelector('.col-span-4.lg\\:col-span-3 span');
-                    
-                    return {
-                        title: titleElement ? titleElement.textContent.trim() : 'N/A',
-                        link: titleElement ? titleElement.href : '',
-                        department: departmentElement ? departmentElement.textContent.trim() : 'N/A',
-                        location: locationElement ? locationElement.textContent.trim() : 'N/A',
-                        scraped_at: new Date().toISOString()
-                    };
-                } catch (error) {
-                    console.error('Error parsing job element:', error);
-                    return null;
-                }
-            }).filter(job => job && job.link);
-        });
+        // Wait for job listings to load and extract job information from every page
+        const { jobs, pagesVisited } = await extractJobsFromPage(page, adapter, { maxPages: target.maxPages });
 
-        console.log(`Scraped ${jobs.length} jobs`);
+        console.log(`Scraped ${jobs.length} jobs from ${pagesVisited} page(s)`);
         return jobs;
     } catch (error) {
         console.error('Error scraping jobs:', error);
@@ -105,13 +113,10 @@ async function scrapeJobs() {
     }
 }
 
-async function sendEmailNotification(newJobs) {
-    if (!transporter || !config.email.to) {
-        console.log('Email not configured, skipping email notification');
-        return;
-    }
-
-    const emailHtml = `
+// SMTP email service for the email notifier (lib/notifiers/email.js)
+const smtpEmail = {
+    async sendJobAlert(newJobs, filters = [], options = {}) {
+        const emailHtml = `
         <h2>🚀 New Airbnb Job Openings Alert!</h2>
         <p>Found ${newJobs.length} new position(s) in Engineering at Bangalore, India:</p>
         <div style="margin: 20px 0;">
@@ -122,178 +127,110 @@ async function sendEmailNotification(newJobs) {
                     </h3>
                     <p style="margin: 5px 0;"><strong>Department:</strong> ${job.department}</p>
                     <p style="margin: 5px 0;"><strong>Location:</strong> ${job.location}</p>
+                    ${(job.score_breakdown || []).length > 0 ? `<p style="margin: 5px 0;"><strong>Relevance:</strong> ${job.score} (${formatBreakdown(job)})</p>` : ''}
                     <p style="margin: 5px 0;"><strong>Apply:</strong> <a href="${job.link}">Click here</a></p>
                 </div>
             `).join('')}
         </div>
         <p style="color: #666; font-size: 12px;">Scraped at: ${new Date().toLocaleString()}</p>
-    `;
-
-    const mailOptions = {
-        from: config.email.user,
-        to: config.email.to,
-        subject: `🔔 ${newJobs.length} New Airbnb Job(s) Available!`,
-        html: emailHtml
-    };
-
-    try {
-        await transporter.sendMail(mailOptions);
-        console.log('✅ Email notification sent successfully');
-    } catch (error) {
-        console.error('❌ Error sending email:', error);
-    }
-}
-
-async function sendDiscordNotification(newJobs) {
-    if (!config.discord.enabled || !config.discord.webhookUrl) {
-        return;
-    }
-
-    const fetch = (await import('node-fetch')).default;
-    
-    const embed = {
-        title: "🚀 New Airbnb Job Openings!",
-        description: `Found ${newJobs.length} new engineering position(s) in Bangalore`,
-        color: 0xFF5A5F,
-        fields: newJobs.slice(0, 10).map(job => ({
-            name: job.title,
-            value: `**Department:** ${job.department}\n**Location:** ${job.location}\n[Apply Here](${job.link})`,
-            inline: false
-        })),
-        timestamp: new Date().toISOString()
-    };
+        `;
 
-    try {
-        await fetch(config.discord.webhookUrl, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ embeds: [embed] })
+        return this.sendMail({
+            from: config.email.user,
+            to: options.to,
+            subject: `🔔 ${newJobs.length} New Airbnb Job(s) Available!`,
+            html: emailHtml
         });
-        console.log('✅ Discord notification sent successfully');
-    } catch (error) {
-        console.error('❌ Error sending Discord notification:', error);
-    }
-}
-
-async function sendTelegramNotification(newJobs) {
-    if (!config.telegram.enabled || !config.telegram.botToken || !config.telegram.chatId) {
-        return;
-    }
-
-    const fetch = (await import('node-fetch')).default;
-    
-    const message = `🚀 *New Airbnb Job Openings!*\n\nFound ${newJobs.length} new engineering position(s) in Bangalore:\n\n` +
-        newJobs.map(job => `📝 *${job.title}*\n🏢 ${job.department}\n📍 ${job.location}\n🔗 [Apply Here](${job.link})\n`).join('\n');
-
-    try {
-        await fetch(`https://api.telegram.org/bot${config.telegram.botToken}/sendMessage`, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({
-                chat_id: config.telegram.chatId,
-                text: message,
-                parse_mode: 'Markdown',
-                disable_web_page_preview: true
-            })
-        });
-        console.log('✅ Telegram notification sent successfully');
-    } catch (error) {
-        console.error('❌ Error sending Telegram notification:', error);
-    }
-}
-
-async function sendWebhookNotification(newJobs) {
-    if (!config.webhook.enabled || !config.webhook.url) {
-        return;
-    }
-
-    const fetch = (await import('node-fetch')).default;
-    
-    const payload = {
-        event: 'new_jobs',
-        timestamp: new Date().toISOString(),
-        jobs: newJobs,
-        count: newJobs.length
-    };
+    },
 
-    try {
-        await fetch(config.webhook.url, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify(payload)
+    async testEmailService() {
+        return this.sendMail({
+            from: config.email.user,
+            to: config.email.to,
+            subject: '🧪 Airbnb Job Scraper - Test Email',
+            html: '<p>If you received this, your email alerts are working!</p>'
         });
-        console.log('✅ Webhook notification sent successfully');
-    } catch (error) {
-        console.error('❌ Error sending webhook notification:', error);
-    }
-}
+    },
 
-async function logToFile(newJobs) {
-    if (!config.fileLog.enabled) {
-        return;
+    async sendMail(mailOptions) {
+        try {
+            const info = await transporter.sendMail(mailOptions);
+            return { success: true, emailId: info.messageId };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
     }
+};
 
-    const logEntry = {
-        timestamp: new Date().toISOString(),
-        count: newJobs.length,
-        jobs: newJobs
-    };
-
-    try {
-        await fs.appendFile(config.fileLog.path, JSON.stringify(logEntry) + '\n');
-        console.log('✅ Jobs logged to file successfully');
-    } catch (error) {
-        console.error('❌ Error writing to log file:', error);
-    }
-}
+// Alert channels turned on in the environment
+const notifiers = createNotifiers(process.env, {
+    email: { service: transporter ? smtpEmail : null, to: config.email.to },
+    appendFile: fs.appendFile
+});
 
 async function sendNotifications(newJobs) {
-    const notifications = [];
-
     // Console notification (always enabled unless explicitly disabled)
     if (config.console.enabled) {
         console.log('\n🎉 NEW JOBS FOUND!');
         newJobs.forEach((job, index) => {
             console.log(`\n${index + 1}. ${job.title}`);
             console.log(`   Department: ${job.department}`);
-            console.log(`   Location: ${job.location}`);
+            console.log(`   ${job.postings ? 'Locations' : 'Location'}: ${job.location}`);
+            if ((job.score_breakdown || []).length > 0) {
+                console.log(`   Score: ${job.score} (${formatBreakdown(job)})`);
+            }
             console.log(`   Link: ${job.link}`);
         });
         console.log('\n');
     }
 
-    // Send all notifications in parallel
-    if (config.email.enabled) notifications.push(sendEmailNotification(newJobs));
-    if (config.discord.enabled) notifications.push(sendDiscordNotification(newJobs));
-    if (config.telegram.enabled) notifications.push(sendTelegramNotification(newJobs));
-    if (config.webhook.enabled) notifications.push(sendWebhookNotification(newJobs));
-    if (config.fileLog.enabled) notifications.push(logToFile(newJobs));
-
-    await Promise.allSettled(notifications);
+    // Every channel gets the same batch, sent in parallel
+    const batch = createAlertBatch('new', newJobs);
+    await Promise.all(notifiers.map(async notifier => {
+        const result = await notifier.send(batch);
+        if (result.success) {
+            console.log(`✅ ${notifier.name} notification sent successfully`);
+        } else {
+            console.error(`❌ Error sending ${notifier.name} notification:`, result.error);
+        }
+    }));
 }
 
 async function checkForNewJobs() {
     try {
         console.log(`🔍 Checking for new jobs at ${new Date().toLocaleString()}...`);
-        const currentJobs = await scrapeJobs();
+        const currentJobs = normalizeJobs(await scrapeJobs());
         
         if (currentJobs.length === 0) {
             console.log('⚠️ No jobs found - this might indicate a scraping issue');
             return;
         }
 
-        // Find new jobs
-        const newJobs = currentJobs.filter(job => !previousJobs.has(job.link));
+        // Find new jobs, best scoring first, leaving out any under the minimum score
+        const unseenJobs = currentJobs.filter(job => !previousJobs.has(job.id));
+        const { classifier, scoring } = config.scraping;
+        const newJobs = sortByScore(scoreJobs(classifyJobs(unseenJobs, classifier), scoring));
+        
+        if (newJobs.length < unseenJobs.length) {
+            console.log(`🔕 ${unseenJobs.length - newJobs.length} new job(s) scored under ${scoring.minScore}, not notifying`);
+        }
         
         if (newJobs.length > 0) {
             console.log(`✨ Found ${newJobs.length} new job(s)!`);
-            await sendNotifications(newJobs);
-            
-            // Update previous jobs
-            previousJobs = new Set(currentJobs.map(job => job.link));
+            // One entry per role, listing every location it was posted in
+            const alertJobs = groupDuplicates(newJobs);
+            if (alertJobs.length < newJobs.length) {
+                console.log(`🧩 Grouped ${newJobs.length} postings into ${alertJobs.length} alert entries across locations`);
+            }
+            await sendNotifications(alertJobs);
         } else {
             console.log('😴 No new jobs found');
         }
+        
+        // Update previous jobs, so jobs under the minimum score aren't scored again
+        if (unseenJobs.length > 0) {
+            previousJobs = new Set(currentJobs.map(job => job.id));
+        }
 
         console.log(`📊 Total jobs tracked: ${currentJobs.length}`);
     } catch (error) {
@@ -301,22 +238,67 @@ async function checkForNewJobs() {
     }
 }
 
-// Load previously seen jobs from file if exists
+// Read previously seen job IDs from previous-jobs.json
+async function readPreviousJobsFile() {
+    const data = await fs.readFile(config.storage.previousJobsFile, 'utf8');
+    const jobs = JSON.parse(data);
+    
+    // Older files stored links, convert them to job IDs
+    const adapter = resolveAdapter(config.scraping);
+    return jobs.map(entry => (/^https?:\/\//.test(entry) ? getJobId({ link: entry }, adapter) : entry));
+}
+
+// Open the state storage, importing previous-jobs.json into a new database
+async function openStorage() {
+    const { backend, databaseFile } = config.storage;
+    if (backend === 'files') {
+        return null;
+    }
+    
+    storage = await openNodeStorage({ backend, databaseFile });
+    
+    if (backend === 'sqlite' && !(await storage.getSnapshot(STORE_TARGET))) {
+        try {
+            const ids = await readPreviousJobsFile();
+            await storage.putSnapshot(STORE_TARGET, { jobs: ids.map(id => ({ id })), hash: null });
+            console.log(`📥 Imported ${ids.length} previously seen jobs into ${databaseFile}`);
+        } catch (error) {
+            // No previous-jobs.json, nothing to import
+        }
+    }
+    
+    return storage;
+}
+
+// Load previously seen jobs if any
 async function loadPreviousJobs() {
     try {
-        const data = await fs.readFile('./previous-jobs.json', 'utf8');
-        const jobs = JSON.parse(data);
-        previousJobs = new Set(jobs);
-        console.log(`📋 Loaded ${jobs.length} previously seen jobs`);
+        let ids;
+        if (storage) {
+            const snapshot = await storage.getSnapshot(STORE_TARGET);
+            if (!snapshot) {
+                throw new Error('No snapshot yet');
+            }
+            ids = snapshot.jobs.map(job => job.id);
+        } else {
+            ids = await readPreviousJobsFile();
+        }
+        
+        previousJobs = new Set(ids);
+        console.log(`📋 Loaded ${ids.length} previously seen jobs`);
     } catch (error) {
-        console.log('📋 No previous jobs file found, starting fresh');
+        console.log('📋 No previously seen jobs found, starting fresh');
     }
 }
 
-// Save current jobs to file
+// Save current jobs
 async function savePreviousJobs() {
     try {
-        await fs.writeFile('./previous-jobs.json', JSON.stringify([...previousJobs]));
+        if (storage) {
+            await storage.putSnapshot(STORE_TARGET, { jobs: [...previousJobs].map(id => ({ id })), hash: null });
+            return;
+        }
+        await writeFileAtomic(config.storage.previousJobsFile, JSON.stringify([...previousJobs]));
     } catch (error) {
         console.error('Error saving previous jobs:', error);
     }
@@ -337,6 +319,9 @@ const scheduleJobs = () => {
 process.on('SIGINT', async () => {
     console.log('\n🛑 Shutting down gracefully...');
     await savePreviousJobs();
+    if (storage && storage.close) {
+        storage.close();
+    }
     process.exit(0);
 });
 
@@ -345,12 +330,9 @@ async function start() {
     console.log('🚀 Starting Enhanced Airbnb Job Scraper...');
     console.log('📋 Enabled notifications:');
     if (config.console.enabled) console.log('  ✅ Console');
-    if (config.email.enabled) console.log('  ✅ Email');
-    if (config.discord.enabled) console.log('  ✅ Discord');
-    if (config.telegram.enabled) console.log('  ✅ Telegram');
-    if (config.webhook.enabled) console.log('  ✅ Webhook');
-    if (config.fileLog.enabled) console.log('  ✅ File Log');
+    notifiers.forEach(notifier => console.log(`  ✅ ${notifier.name}`));
     
+    await openStorage();
     await loadPreviousJobs();
     await checkForNewJobs();
     await savePreviousJobs();
@@ -0,0 +1,16 @@
+/**
+ * Minimal Worker used by test-extraction.js to run the HTMLRewriter extractor in workerd
+ * POST { html, url, adapter } -> extracted jobs
+ */
+
+import { getAdapter } from '../lib/adapters/index.js';
+import { extractJobsFromResponse } from '../lib/html-extractor.js';
+
+export default {
+    async fetch(request) {
+        const { html, url, adapter } = await request.json();
+        const response = new Response(html, { headers: { 'Content-Type': 'text/html' } });
+        const jobs = await extractJobsFromResponse(response, getAdapter(adapter).spec, url);
+        return Response.json(jobs);
+    }
+};
@@ -0,0 +1,13 @@
+// Job records for the tests, shaped like the Airbnb adapter's output
+function job(id, title, extra = {}) {
+    return {
+        id: `airbnb:${id}`,
+        title,
+        link: `https://careers.airbnb.com/positions/${id}/`,
+        department: 'Engineering',
+        location: 'Bangalore, India',
+        ...extra
+    };
+}
+
+module.exports = { job };
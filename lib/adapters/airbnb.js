@@ -0,0 +1,25 @@
+/**
+ * Airbnb careers site adapter
+ * Reads the rendered .job-list on careers.airbnb.com/positions
+ */
+
+module.exports = {
+    name: 'airbnb',
+    type: 'dom',
+    matches: url => /(^|\.)careers\.airbnb\.com$/i.test(new URL(url).hostname),
+    idPattern: /\/positions\/(\d+)/,
+    spec: {
+        container: '.job-list',
+        item: 'li[role="listitem"]',
+        fields: {
+            title: { selector: 'h3 a', transform: 'trim', required: true },
+            link: { selector: 'h3 a', attribute: 'href', transform: 'url', required: true },
+            department: { selector: '.text-gray-48', transform: 'trim', default: 'N/A' },
+            location: { selector: '.col-span-4.lg\\:col-span-3 span', transform: 'trim', default: 'N/A' }
+        }
+    },
+    pagination: {
+        type: 'numbered',
+        selector: '.facetwp-pager .facetwp-page'
+    }
+};
@@ -0,0 +1,103 @@
+/**
+ * Greenhouse job board adapter
+ * Reads the public board API instead of rendering the careers page:
+ *   https://boards-api.greenhouse.io/v1/boards/{token}/jobs
+ */
+
+const { stripHTML } = require('../enrich');
+
+const API_BASE = 'https://boards-api.greenhouse.io/v1/boards';
+const BOARD_HOSTS = /^(boards|job-boards|boards-api)(\.eu)?\.greenhouse\.io$/i;
+const ESCAPES = { lt: '<', gt: '>', quot: '"', '#39': "'", amp: '&' };
+
+/**
+ * Work out the board token from the target, e.g. https://boards.greenhouse.io/airbnb -> airbnb
+ */
+function getBoardToken(target) {
+    if (target.boardToken) {
+        return target.boardToken;
+    }
+
+    const url = new URL(target.url);
+    const parts = url.pathname.split('/').filter(Boolean);
+
+    // boards-api.greenhouse.io/v1/boards/{token}/jobs
+    const boardsIndex = parts.indexOf('boards');
+    if (boardsIndex !== -1 && parts[boardsIndex + 1]) {
+        return parts[boardsIndex + 1];
+    }
+
+    // boards.greenhouse.io/embed/job_board?for={token}
+    if (url.searchParams.get('for')) {
+        return url.searchParams.get('for');
+    }
+
+    if (parts[0] && parts[0] !== 'embed') {
+        return parts[0];
+    }
+
+    throw new Error(`Cannot determine Greenhouse board token from ${target.url}`);
+}
+
+/**
+ * Posting text from the job's content, which the API sends as escaped HTML
+ * ("&lt;p&gt;Our team...&lt;/p&gt;")
+ */
+function getDescription(content) {
+    if (!content) {
+        return null;
+    }
+    return stripHTML(content.replace(/&(lt|gt|quot|#39|amp);/g, (entity, name) => ESCAPES[name])) || null;
+}
+
+/**
+ * Map one Greenhouse API job onto the scraper's job shape
+ */
+function mapJob(job, scrapedAt) {
+    const departments = job.departments || [];
+
+    return {
+        title: (job.title || '').trim(),
+        link: job.absolute_url,
+        department: departments.length > 0 ? departments.map(d => d.name).join(', ') : 'N/A',
+        location: job.location && job.location.name ? job.location.name.trim() : 'N/A',
+        description: getDescription(job.content),
+        scraped_at: scrapedAt,
+        requisition_id: job.requisition_id || null,
+        updated_at: job.updated_at || null
+    };
+}
+
+/**
+ * Fetch every posting on the board
+ */
+async function fetchJobs(target, options = {}) {
+    const fetchFn = options.fetch || globalThis.fetch;
+    const token = getBoardToken(target);
+    const apiUrl = `${API_BASE}/${encodeURIComponent(token)}/jobs?content=true`;
+
+    const response = await fetchFn(apiUrl, {
+        headers: { 'Accept': 'application/json' }
+    });
+
+    if (!response.ok) {
+        throw new Error(`Greenhouse board "${token}" request failed: ${response.status} ${response.statusText}`);
+    }
+
+    const data = await response.json();
+    const scrapedAt = new Date().toISOString();
+
+    return (data.jobs || [])
+        .map(job => mapJob(job, scrapedAt))
+        .filter(job => job.link);
+}
+
+module.exports = {
+    name: 'greenhouse',
+    type: 'api',
+    matches: url => BOARD_HOSTS.test(new URL(url).hostname),
+    idPattern: /(?:\/jobs\/|[?&]gh_jid=)(\d+)/,
+    fetchJobs,
+    getBoardToken,
+    mapJob
+};
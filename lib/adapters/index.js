@@ -0,0 +1,89 @@
+/**
+ * Careers-site adapter registry
+ *
+ * An adapter describes how to read one kind of careers site:
+ *   name            - unique identifier, used for explicit selection
+ *   type            - 'dom' for rendered pages, 'api' for JSON job board APIs
+ *   matches(url)    - true when the adapter can handle the URL
+ *   idPattern       - optional regex capturing the posting ID from a job link (see lib/job-id.js)
+ *   spec            - declarative listing extraction used by every runtime (see lib/extraction.js)
+ *   pagination      - optional, how to reach further listing pages (see lib/page-scraper.js)
+ *   extractDetail   - optional browser-side function for a single posting page
+ *   fetchJobs(target, { fetch }) - 'api' adapters only, returns the normalized jobs
+ */
+
+const airbnb = require('./airbnb');
+const greenhouse = require('./greenhouse');
+const lever = require('./lever');
+const workday = require('./workday');
+
+const adapters = new Map();
+
+/**
+ * Register an adapter, replacing any existing one with the same name
+ */
+function registerAdapter(adapter) {
+    if (!adapter || !adapter.name) {
+        throw new Error('Adapter must have a name');
+    }
+    if (typeof adapter.matches !== 'function') {
+        throw new Error(`Adapter "${adapter.name}" must provide a matches(url) function`);
+    }
+    if (adapter.type === 'dom' && (!adapter.spec || !adapter.spec.item || !adapter.spec.fields)) {
+        throw new Error(`Adapter "${adapter.name}" must provide an extraction spec`);
+    }
+    if (adapter.type === 'api' && typeof adapter.fetchJobs !== 'function') {
+        throw new Error(`Adapter "${adapter.name}" must provide a fetchJobs function`);
+    }
+
+    adapters.set(adapter.name, adapter);
+    return adapter;
+}
+
+/**
+ * Look up an adapter by name
+ */
+function getAdapter(name) {
+    const adapter = adapters.get(name);
+    if (!adapter) {
+        throw new Error(`Unknown adapter "${name}". Available: ${[...adapters.keys()].join(', ')}`);
+    }
+    return adapter;
+}
+
+/**
+ * Pick the adapter for a target: the explicitly named one, otherwise the first whose matcher accepts the URL
+ */
+function resolveAdapter(target) {
+    if (target.adapter) {
+        return getAdapter(target.adapter);
+    }
+
+    for (const adapter of adapters.values()) {
+        try {
+            if (adapter.matches(target.url)) {
+                return adapter;
+            }
+        } catch (error) {
+            // Malformed URL for this matcher, try the next adapter
+        }
+    }
+
+    throw new Error(`No adapter matches ${target.url}. Set one explicitly (available: ${[...adapters.keys()].join(', ')})`);
+}
+
+function listAdapters() {
+    return [...adapters.values()];
+}
+
+registerAdapter(airbnb);
+registerAdapter(greenhouse);
+registerAdapter(lever);
+registerAdapter(workday);
+
+module.exports = {
+    registerAdapter,
+    getAdapter,
+    resolveAdapter,
+    listAdapters
+};
@@ -0,0 +1,99 @@
+/**
+ * Lever postings adapter
+ * Reads the public postings API instead of rendering the careers page:
+ *   https://api.lever.co/v0/postings/{company}?mode=json
+ */
+
+const API_HOSTS = {
+    global: 'https://api.lever.co/v0/postings',
+    eu: 'https://api.eu.lever.co/v0/postings'
+};
+const JOBS_HOSTS = /^(jobs|api)(\.eu)?\.lever\.co$/i;
+
+const WORKPLACE_TYPES = {
+    'remote': 'remote',
+    'hybrid': 'hybrid',
+    'on-site': 'onsite',
+    'onsite': 'onsite'
+};
+
+/**
+ * Work out the company slug from the target, e.g. https://jobs.lever.co/acme -> acme
+ */
+function getCompany(target) {
+    if (target.company) {
+        return target.company;
+    }
+
+    const parts = new URL(target.url).pathname.split('/').filter(Boolean);
+
+    // api.lever.co/v0/postings/{company}
+    const postingsIndex = parts.indexOf('postings');
+    if (postingsIndex !== -1 && parts[postingsIndex + 1]) {
+        return parts[postingsIndex + 1];
+    }
+
+    if (parts[0]) {
+        return parts[0];
+    }
+
+    throw new Error(`Cannot determine Lever company from ${target.url}`);
+}
+
+/**
+ * Map one Lever posting onto the scraper's job shape
+ */
+function mapJob(posting, scrapedAt) {
+    const categories = posting.categories || {};
+    const departments = [categories.department, categories.team]
+        .filter(Boolean)
+        .map(name => name.trim())
+        .filter((name, index, all) => all.indexOf(name) === index);
+
+    return {
+        title: (posting.text || '').trim(),
+        link: posting.hostedUrl,
+        department: departments.length > 0 ? departments.join(', ') : 'N/A',
+        location: categories.location ? categories.location.trim() : 'N/A',
+        scraped_at: scrapedAt,
+        team: categories.team || null,
+        commitment: categories.commitment || null,
+        workplace: WORKPLACE_TYPES[(posting.workplaceType || '').toLowerCase()] || null,
+        posted_at: posting.createdAt ? new Date(posting.createdAt).toISOString() : null
+    };
+}
+
+/**
+ * Fetch every published posting for the company
+ */
+async function fetchJobs(target, options = {}) {
+    const fetchFn = options.fetch || globalThis.fetch;
+    const company = getCompany(target);
+    const region = /\.eu\.lever\.co$/i.test(new URL(target.url).hostname) ? 'eu' : 'global';
+    const apiUrl = `${API_HOSTS[region]}/${encodeURIComponent(company)}?mode=json`;
+
+    const response = await fetchFn(apiUrl, {
+        headers: { 'Accept': 'application/json' }
+    });
+
+    if (!response.ok) {
+        throw new Error(`Lever postings for "${company}" request failed: ${response.status} ${response.statusText}`);
+    }
+
+    const postings = await response.json();
+    const scrapedAt = new Date().toISOString();
+
+    return (Array.isArray(postings) ? postings : [])
+        .map(posting => mapJob(posting, scrapedAt))
+        .filter(job => job.link);
+}
+
+module.exports = {
+    name: 'lever',
+    type: 'api',
+    matches: url => JOBS_HOSTS.test(new URL(url).hostname),
+    idPattern: /lever\.co\/[^/]+\/([0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12})/i,
+    fetchJobs,
+    getCompany,
+    mapJob
+};
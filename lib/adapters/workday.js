@@ -0,0 +1,125 @@
+/**
+ * Workday careers site adapter
+ * Pages through the JSON search endpoint behind the careers UI:
+ *   POST https://{tenant}.wd5.myworkdayjobs.com/wday/cxs/{tenant}/{site}/jobs
+ */
+
+const PAGE_SIZE = 20; // Workday rejects larger pages
+const DEFAULT_MAX_PAGES = 250; // Safety stop, not a listing cap (SCRAPE_MAX_PAGES is for Puppeteer)
+const SITE_HOSTS = /^([a-z0-9-]+)\.(wd\d+)\.myworkdayjobs\.com$/i;
+const LOCALE_SEGMENT = /^[a-z]{2}-[A-Z]{2}$/;
+
+/**
+ * Split a careers URL into its tenant, site and facet filters, e.g.
+ * https://acme.wd5.myworkdayjobs.com/en-US/External?locations=abc&jobFamilyGroup=def
+ */
+function parseSite(target) {
+    const url = new URL(target.url);
+    const hostMatch = SITE_HOSTS.exec(url.hostname);
+    const parts = url.pathname.split('/').filter(Boolean);
+
+    // Already pointing at the search endpoint: /wday/cxs/{tenant}/{site}/jobs
+    const cxsIndex = parts.indexOf('cxs');
+    const locale = parts[0] && LOCALE_SEGMENT.test(parts[0]) ? parts[0] : null;
+    const site = target.site || (cxsIndex !== -1 ? parts[cxsIndex + 2] : parts[locale ? 1 : 0]);
+    const tenant = target.tenant || (cxsIndex !== -1 ? parts[cxsIndex + 1] : hostMatch && hostMatch[1]);
+
+    if (!tenant || !site) {
+        throw new Error(`Cannot determine Workday tenant/site from ${target.url}`);
+    }
+
+    // Facets from the careers UI query string, merged with explicitly configured ones
+    const facets = {};
+    for (const [key, value] of url.searchParams) {
+        (facets[key] = facets[key] || []).push(value);
+    }
+    for (const [key, values] of Object.entries(target.facets || {})) {
+        facets[key] = [...new Set([...(facets[key] || []), ...[].concat(values)])];
+    }
+
+    return {
+        origin: url.origin,
+        tenant,
+        site,
+        siteUrl: `${url.origin}/${locale ? locale + '/' : ''}${site}`,
+        facets
+    };
+}
+
+/**
+ * Map one Workday search result onto the scraper's job shape
+ */
+function mapJob(posting, siteUrl, scrapedAt) {
+    return {
+        title: (posting.title || '').trim(),
+        link: posting.externalPath ? `${siteUrl}${posting.externalPath}` : '',
+        department: 'N/A', // Not part of Workday search results
+        location: posting.locationsText ? posting.locationsText.trim() : 'N/A',
+        scraped_at: scrapedAt,
+        requisition_id: posting.bulletFields && posting.bulletFields.length > 0 ? posting.bulletFields[0] : null,
+        posted_on: posting.postedOn || null
+    };
+}
+
+/**
+ * Fetch every result for the site, one page at a time
+ *
+ * Throws rather than returning a partial list when the results run past
+ * the page limit, so missing postings aren't mistaken for closed ones.
+ */
+async function fetchJobs(target, options = {}) {
+    const fetchFn = options.fetch || globalThis.fetch;
+    const { origin, tenant, site, siteUrl, facets } = parseSite(target);
+    const apiUrl = `${origin}/wday/cxs/${encodeURIComponent(tenant)}/${encodeURIComponent(site)}/jobs`;
+    const maxPages = options.maxPages || DEFAULT_MAX_PAGES;
+    const scrapedAt = new Date().toISOString();
+
+    const jobs = [];
+    let total = null;
+
+    for (let page = 0; page < maxPages; page++) {
+        const response = await fetchFn(apiUrl, {
+            method: 'POST',
+            headers: {
+                'Accept': 'application/json',
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                appliedFacets: facets,
+                limit: PAGE_SIZE,
+                offset: page * PAGE_SIZE,
+                searchText: target.searchText || ''
+            })
+        });
+
+        if (!response.ok) {
+            throw new Error(`Workday search for ${tenant}/${site} failed on page ${page + 1}: ${response.status} ${response.statusText}`);
+        }
+
+        const data = await response.json();
+        const postings = data.jobPostings || [];
+
+        // Only the first page reports a reliable total
+        if (total === null) {
+            total = data.total || 0;
+        }
+
+        jobs.push(...postings.map(posting => mapJob(posting, siteUrl, scrapedAt)));
+
+        if (postings.length < PAGE_SIZE || jobs.length >= total) {
+            return jobs.filter(job => job.link);
+        }
+    }
+
+    throw new Error(`Workday search for ${tenant}/${site} stopped after ${maxPages} page(s) with ${jobs.length} of ${total} postings`);
+}
+
+module.exports = {
+    name: 'workday',
+    type: 'api',
+    matches: url => SITE_HOSTS.test(new URL(url).hostname),
+    idPattern: /\/job\/[^?#]*_([A-Za-z0-9-]+)(?:[/?#]|$)/,
+    fetchJobs,
+    parseSite,
+    mapJob
+};
@@ -0,0 +1,117 @@
+/**
+ * Crash-safe file writes (Node only)
+ *
+ * writeFileAtomic() writes to a temp file next to the target, flushes it
+ * to disk and renames it into place, so readers see the old contents or
+ * the new ones, never half a file.
+ *
+ * commitFiles() does the same for several files that must change together
+ * (a snapshot's hash and jobs). Every temp file is written first, then a
+ * journal listing the renames; once the journal is on disk the commit has
+ * happened, and recoverCommit() finishes any renames a crash interrupted.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+function tempFile(file) {
+    return path.join(path.dirname(file), `.${path.basename(file)}.${process.pid}.tmp`);
+}
+
+async function writeAndSync(file, data) {
+    const handle = await fs.open(file, 'w');
+    try {
+        await handle.writeFile(data);
+        await handle.sync();
+    } finally {
+        await handle.close();
+    }
+}
+
+async function removeIfExists(file) {
+    try {
+        await fs.unlink(file);
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            throw error;
+        }
+    }
+}
+
+/**
+ * Replace a file's contents atomically
+ */
+async function writeFileAtomic(file, data) {
+    const temp = tempFile(file);
+    try {
+        await writeAndSync(temp, data);
+        await fs.rename(temp, file);
+    } catch (error) {
+        await removeIfExists(temp);
+        throw error;
+    }
+}
+
+/**
+ * Finish a commit that was interrupted after its journal was written
+ *
+ * Renames are idempotent: a temp file that is already gone was already
+ * moved into place. Returns true if there was a commit to finish.
+ */
+async function recoverCommit(journalFile) {
+    let journal;
+    try {
+        journal = JSON.parse(await fs.readFile(journalFile, 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return false;
+        }
+        // A torn journal means the commit never happened; the temp files are just litter
+        await removeIfExists(journalFile);
+        return false;
+    }
+
+    for (const [temp, file] of journal.renames) {
+        try {
+            await fs.rename(temp, file);
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw error;
+            }
+        }
+    }
+    await removeIfExists(journalFile);
+    return true;
+}
+
+/**
+ * Write several files as one commit
+ *
+ * writes is a list of [file, data] pairs. After a crash either all of the
+ * files have their new contents (once recoverCommit() has run) or none do.
+ */
+async function commitFiles(writes, journalFile) {
+    // Finish any earlier commit first so its renames can't land on top of this one
+    await recoverCommit(journalFile);
+
+    const renames = [];
+    try {
+        for (const [file, data] of writes) {
+            const temp = tempFile(file);
+            renames.push([temp, file]);
+            await writeAndSync(temp, data);
+        }
+    } catch (error) {
+        await Promise.all(renames.map(([temp]) => removeIfExists(temp)));
+        throw error;
+    }
+
+    await writeFileAtomic(journalFile, JSON.stringify({ renames }));
+    await recoverCommit(journalFile);
+}
+
+module.exports = {
+    writeFileAtomic,
+    commitFiles,
+    recoverCommit
+};
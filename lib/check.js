@@ -0,0 +1,479 @@
+/**
+ * Core job check, shared by the Node scraper and the Worker
+ *
+ * Scrapes every watch target, diffs it against the stored snapshot, keeps
+ * the job history, and sends one combined alert for new matches (and
+ * optionally one for closed jobs). Postings of one role in several locations
+ * go out as a single entry (lib/group.js), but history and notification
+ * records keep each posting. Every new job is also offered to each
+ * subscriber (lib/subscriptions.js), matched against their own filter and
+ * sent on their own schedule.
+ * Everything runtime-specific is passed in, so the loop runs the same on
+ * Node and Workers and can be tested with the in-memory storage backend
+ * and stub scrapers and notifiers.
+ *
+ * Options:
+ *   targets                      watch targets (lib/targets.js)
+ *   storage                      storage backend (lib/storage)
+ *   scrape(target)               -> { jobs, pagesVisited }
+ *   hash(jobs)                   -> snapshot fingerprint, may be async
+ *   filter(jobs, target)         -> the jobs matching the target (optional,
+ *                                   defaults to the target's filter expression)
+ *   classifier                   seniority/role family rules (lib/classify.js, optional)
+ *   scoring                      relevance scoring config (lib/score.js, optional)
+ *   enrich(target, jobs)         -> jobs with posting details (optional)
+ *   notifiers                    channels for the alert (lib/notifiers, optional)
+ *   notifyClosed                 also alert them when alerted jobs close
+ *   closeAfter                   consecutive misses before a job counts as closed
+ *   subscriberNotifiers          subscriber channels, e.g. { email, discord, telegram },
+ *                                each destination -> notifier (optional)
+ *   now                          clock for digest schedules (default: the current time)
+ */
+
+const { resolveAdapter } = require('./adapters');
+const { normalizeJobs } = require('./normalize');
+const { diffJobs, hasChanges, findNewMatches, summarizeDiff } = require('./diff');
+const { updateHistory, markAlerted, annotateJobs } = require('./history');
+const { filterJobs } = require('./filter');
+const { classifyJobs, describeClassification } = require('./classify');
+const { scoreJobs, sortByScore, formatBreakdown } = require('./score');
+const { matchSubscription, queueDigest, isDigestDue } = require('./subscriptions');
+const { groupDuplicates } = require('./group');
+const { createAlertBatch } = require('./notifiers');
+
+/**
+ * Append an activity log entry; logging problems never fail a check
+ */
+async function logActivity(storage, activity) {
+    try {
+        await storage.appendRunLog({ timestamp: new Date().toISOString(), ...activity });
+    } catch (error) {
+        console.error('❌ Error logging activity:', error);
+    }
+}
+
+/**
+ * Record a target check, for backends that keep run data
+ */
+async function recordRun(storage, run, jobs = []) {
+    if (!storage.recordRun) {
+        return;
+    }
+    try {
+        await storage.recordRun(run, jobs.map(job => job.id));
+    } catch (error) {
+        console.error('❌ Error recording run:', error);
+    }
+}
+
+/**
+ * Record an alert, for backends that keep notification data
+ */
+async function recordNotification(storage, notification, jobs) {
+    if (!storage.recordNotification) {
+        return;
+    }
+    try {
+        await storage.recordNotification(notification, jobs);
+    } catch (error) {
+        console.error('❌ Error recording notification:', error);
+    }
+}
+
+/**
+ * Check one target for changed listings
+ *
+ * Returns the target's outcome with any alerted jobs that have closed;
+ * targets with new matches also carry the jobs and the snapshot to save
+ * once the combined alert has gone out.
+ */
+async function checkTarget(target, options) {
+    const { storage } = options;
+    const startedAt = new Date().toISOString();
+    console.log(`\n🎯 Target: ${target.name} (${target.url})`);
+    console.log(`🔑 Filter: ${target.filter || 'None (all jobs)'}`);
+
+    // Scrape current jobs
+    const { jobs: scrapedJobs, pagesVisited = null } = await options.scrape(target);
+
+    // Clean up fields before diffing so cosmetic changes don't count as modified jobs,
+    // then add seniority and role family for filters and alerts
+    const currentJobs = classifyJobs(normalizeJobs(scrapedJobs), options.classifier);
+
+    if (currentJobs.length === 0) {
+        console.log('⚠️ No jobs found - this might indicate a scraping issue');
+        await logActivity(storage, {
+            action: 'scrape_completed',
+            target: target.name,
+            jobsCount: 0,
+            pagesVisited,
+            status: 'warning',
+            message: 'No jobs found'
+        });
+        await recordRun(storage, { target: target.name, startedAt, status: 'empty', jobsCount: 0, pagesVisited });
+        return { target, status: 'warning', message: 'No jobs found', addedJobs: [], matchingJobs: [], closedJobs: [] };
+    }
+
+    // Generate hash of current jobs as a fingerprint of the snapshot
+    const currentHash = await options.hash(currentJobs);
+    console.log(`🔐 Current jobs hash: ${currentHash.substring(0, 12)}...`);
+
+    // Diff against the last snapshot, job by job
+    const previous = await storage.getSnapshot(target);
+    if (!previous) {
+        console.log('📋 No previous jobs snapshot found, treating as first run');
+    }
+    // Reclassified with the same rules, so older snapshots and rule changes compare fairly
+    const previousJobs = previous ? classifyJobs(previous.jobs, options.classifier) : null;
+    const diff = diffJobs(previousJobs, currentJobs, resolveAdapter(target));
+    const changes = summarizeDiff(diff);
+    console.log(`🔀 Changes: ${changes.added} added, ${changes.removed} removed, ${changes.modified} modified, ${changes.unchanged} unchanged`);
+
+    const history = await storage.getHistory(target);
+
+    // New postings and reposts, not jobs back from a missed scrape, for subscribers to filter on their own
+    const addedJobs = diff.added.filter(job => !history[job.id] || history[job.id].closed_at);
+
+    // Only alert on jobs we haven't already matched, leaving out matches under the minimum score
+    const matchOptions = { synonyms: target.synonyms };
+    const filter = options.filter || (jobs => filterJobs(jobs, target.filter, matchOptions));
+    const newMatches = findNewMatches(diff, jobs => scoreJobs(filter(jobs, target), options.scoring, matchOptions), history);
+
+    // Record first/last seen dates, closures and reposts for every job
+    const lifecycle = updateHistory(history, currentJobs, { closeAfter: options.closeAfter });
+    await storage.putHistory(target, history);
+    changes.reopenedIds = lifecycle.reopened;
+    changes.closedIds = lifecycle.closed;
+    if (lifecycle.reopened.length > 0) {
+        console.log(`♻️ ${lifecycle.reopened.length} job(s) reposted after closing`);
+    }
+
+    await recordRun(storage, {
+        target: target.name,
+        startedAt,
+        status: hasChanges(diff) ? 'changed' : 'no_changes',
+        jobsCount: currentJobs.length,
+        pagesVisited,
+        hash: currentHash,
+        changes
+    }, currentJobs);
+
+    // Jobs we alerted about earlier that have now been gone long enough to count as closed
+    const closedJobs = lifecycle.closed
+        .map(id => ({ ...history[id], target: target.name }))
+        .filter(job => job.alerted_at);
+
+    const outcome = {
+        target,
+        jobsCount: currentJobs.length,
+        pagesVisited,
+        hash: currentHash,
+        changes,
+        closedJobs,
+        addedJobs: annotateJobs(addedJobs, history).map(job => ({ ...job, target: target.name })),
+        matchingJobs: []
+    };
+
+    if (!hasChanges(diff)) {
+        console.log('😴 No changes detected in job listings');
+        await logActivity(storage, {
+            action: 'check_completed',
+            target: target.name,
+            jobsCount: currentJobs.length,
+            pagesVisited,
+            status: 'no_changes',
+            changes,
+            hash: currentHash.substring(0, 12)
+        });
+        return { ...outcome, status: 'no_changes', message: 'No changes detected' };
+    }
+
+    console.log('✨ Jobs have changed!');
+
+    if (newMatches.length === 0) {
+        console.log('📧 No alert: no new jobs match the filter');
+        await storage.putSnapshot(target, { jobs: currentJobs, hash: currentHash });
+        await logActivity(storage, {
+            action: 'check_completed',
+            target: target.name,
+            jobsCount: currentJobs.length,
+            pagesVisited,
+            status: 'no_email',
+            reason: 'no_new_matches',
+            changes,
+            hash: currentHash.substring(0, 12)
+        });
+        return { ...outcome, status: 'no_new_matches', message: 'No new matching jobs found' };
+    }
+
+    console.log(`📧 Found ${newMatches.length} new matching job(s)!`);
+
+    // Optionally pull description, posted date, pay range etc. from each posting
+    let matchingJobs = annotateJobs(newMatches, history);
+    if (options.enrich) {
+        matchingJobs = await options.enrich(target, matchingJobs);
+    }
+
+    return {
+        ...outcome,
+        status: 'new_matches',
+        message: 'New matching jobs found',
+        currentJobs,
+        // Tag each job so the combined alert can say where it came from
+        matchingJobs: matchingJobs.map(job => ({ ...job, target: target.name }))
+    };
+}
+
+/**
+ * Send an alert batch through a notifier and record the outcome for each
+ * of the jobs behind it
+ *
+ * The activity entry is logged as "<action>_sent" or "<action>_failed".
+ */
+async function deliver(storage, notifier, batch, jobs, activity) {
+    const result = await notifier.send(batch);
+
+    await recordNotification(storage, {
+        kind: batch.kind,
+        ...(batch.subscriber ? { subscriber: batch.subscriber } : {}),
+        channel: notifier.name,
+        status: result.success ? 'sent' : 'failed',
+        messageId: result.messageId,
+        error: result.error
+    }, jobs);
+
+    const { action, ...details } = activity;
+    await logActivity(storage, {
+        action: `${action}_${result.success ? 'sent' : 'failed'}`,
+        ...details,
+        ...(result.success ? { messageId: result.messageId } : { error: result.error }),
+        status: result.success ? 'success' : 'error'
+    });
+
+    return result;
+}
+
+/**
+ * Send a batch through every notifier, one channel's failure not holding
+ * back the others; activity(notifier) gives each one's log entry
+ *
+ * Returns whether at least one channel sent it.
+ */
+async function broadcast(storage, notifiers, batch, jobs, activity) {
+    let delivered = false;
+    for (const notifier of notifiers) {
+        const alert = await deliver(storage, notifier, batch, jobs, activity(notifier));
+        if (alert.success) {
+            delivered = true;
+            console.log(`✅ ${notifier.name} alert sent`);
+        } else {
+            console.error(`❌ ${notifier.name} alert failed:`, alert.error);
+        }
+    }
+    return delivered;
+}
+
+/**
+ * Fan the run's new jobs out to subscribers
+ *
+ * Each subscriber's matches join their queued digest, which goes out on
+ * every channel they have once it is due ("immediate" ones right away) and
+ * stays queued if no channel could send it. One subscriber failing doesn't
+ * stop the others.
+ */
+async function notifySubscribers(options, results) {
+    const { storage, subscriberNotifiers = {} } = options;
+    if (!storage.getSubscriptions) {
+        return;
+    }
+    const now = options.now ? new Date(options.now) : new Date();
+
+    for (const subscription of await storage.getSubscriptions()) {
+        try {
+            const matches = matchSubscription(subscription, results, options.scoring);
+            const digest = queueDigest(await storage.getDigest(subscription.id), matches, now);
+
+            if (!isDigestDue(subscription, digest, now)) {
+                if (matches.length > 0) {
+                    await storage.putDigest(subscription.id, digest);
+                    console.log(`🗞️ Queued ${matches.length} job(s) for ${subscription.id}'s ${subscription.digest} digest`);
+                }
+                continue;
+            }
+
+            const jobs = sortByScore(digest.jobs);
+            const entries = groupDuplicates(jobs);
+            const filters = subscription.filter ? [subscription.filter] : [];
+            console.log(`📨 Sending ${jobs.length} job(s) to ${subscription.id}...`);
+
+            const batch = createAlertBatch('new', entries, { filters, subscriber: subscription.id, digest: subscription.digest });
+
+            let delivered = false;
+            for (const [channel, destination] of Object.entries(subscription.channels)) {
+                const notifier = subscriberNotifiers[channel] ? subscriberNotifiers[channel](destination) : null;
+                if (!notifier || !notifier.isConfigured()) {
+                    console.log(`⚠️ ${channel} alerts are not configured, skipping ${subscription.id}'s ${channel} channel`);
+                    continue;
+                }
+                const alert = await deliver(storage, notifier, batch, jobs, {
+                    action: 'subscriber_alert',
+                    subscriber: subscription.id,
+                    channel,
+                    matchingJobsCount: jobs.length
+                });
+                if (alert.success) {
+                    delivered = true;
+                } else {
+                    console.error(`❌ ${channel} alert for ${subscription.id} failed:`, alert.error);
+                }
+            }
+
+            // Kept queued for the next run unless some channel got it out
+            if (delivered) {
+                await storage.putDigest(subscription.id, null);
+            } else if (matches.length > 0) {
+                await storage.putDigest(subscription.id, digest);
+            }
+        } catch (error) {
+            console.error(`💥 Error notifying subscriber ${subscription.id}:`, error);
+            await logActivity(storage, {
+                action: 'subscriber_failed',
+                subscriber: subscription.id,
+                error: error.message,
+                status: 'error'
+            });
+        }
+    }
+}
+
+/**
+ * Summarize a target's outcome for logs and status responses
+ */
+function summarizeResult(result) {
+    return {
+        target: result.target.name,
+        status: result.status,
+        message: result.message,
+        jobsCount: result.jobsCount,
+        pagesVisited: result.pagesVisited,
+        matchingJobsCount: result.matchingJobs.length,
+        changes: result.changes,
+        hash: result.hash ? result.hash.substring(0, 12) : undefined,
+        error: result.error
+    };
+}
+
+/**
+ * Check every target and send one combined alert
+ *
+ * Returns { success, matchingJobs, closedJobs, targets } where targets
+ * summarizes each target's outcome.
+ */
+async function runCheck(options) {
+    const { storage } = options;
+    const notifiers = (options.notifiers || []).filter(notifier => notifier.isConfigured());
+    const results = [];
+
+    for (const target of options.targets) {
+        try {
+            results.push(await checkTarget(target, options));
+        } catch (error) {
+            // One broken careers page shouldn't hold back the others
+            console.error(`💥 Error checking target ${target.name}:`, error);
+            await logActivity(storage, {
+                action: 'check_failed',
+                target: target.name,
+                error: error.message,
+                status: 'error'
+            });
+            await recordRun(storage, { target: target.name, status: 'error', error: error.message });
+            results.push({ target, status: 'error', error: error.message, addedJobs: [], matchingJobs: [], closedJobs: [] });
+        }
+    }
+
+    const changed = results.filter(result => result.matchingJobs.length > 0);
+    // Best matches first, across every target
+    const matchingJobs = sortByScore(changed.flatMap(result => result.matchingJobs));
+    const closedJobs = results.flatMap(result => result.closedJobs);
+
+    if (changed.length > 0) {
+        const alertJobs = groupDuplicates(matchingJobs);
+        if (alertJobs.length < matchingJobs.length) {
+            console.log(`🧩 Grouped ${matchingJobs.length} postings into ${alertJobs.length} alert entries across locations`);
+        }
+
+        // Send one alert covering every target
+        let delivered = false;
+        if (notifiers.length > 0) {
+            console.log(`\n📣 Sending alert for ${matchingJobs.length} job(s) from ${changed.length} target(s) via ${notifiers.map(n => n.name).join(', ')}...`);
+            const filters = [...new Set(changed.map(result => result.target.filter).filter(Boolean))];
+            delivered = await broadcast(storage, notifiers, createAlertBatch('new', alertJobs, { filters }), matchingJobs, notifier => ({
+                action: notifier.name,
+                matchingJobsCount: matchingJobs.length,
+                targets: changed.map(summarizeResult)
+            }));
+        } else {
+            console.log('📣 No alert channels configured, skipping notification');
+        }
+
+        // Jobs only count as alerted (and get a closed alert later) once a channel has sent them
+        if (delivered) {
+            for (const result of changed) {
+                await storage.putHistory(result.target, markAlerted(await storage.getHistory(result.target), result.matchingJobs));
+            }
+        }
+
+        // Save new snapshots for each changed target
+        for (const result of changed) {
+            await storage.putSnapshot(result.target, { jobs: result.currentJobs, hash: result.hash });
+        }
+
+        // Display matching jobs in console
+        console.log('\n📋 Matching Jobs:');
+        alertJobs.forEach((job, index) => {
+            console.log(`\n${index + 1}. ${job.title}`);
+            console.log(`   Target: ${job.target}`);
+            console.log(`   Department: ${job.department}`);
+            console.log(`   Level: ${describeClassification(job) || 'Unknown'}`);
+            console.log(`   ${job.postings ? 'Locations' : 'Location'}: ${job.location}`);
+            if (job.score_breakdown && job.score_breakdown.length > 0) {
+                console.log(`   Score: ${job.score} (${formatBreakdown(job)})`);
+            }
+            if (job.matched_clauses && job.matched_clauses.length > 0) {
+                console.log(`   Matched: ${job.matched_clauses.join(', ')}`);
+            }
+            if (job.postings) {
+                job.postings.forEach(posting => console.log(`   Link (${posting.location}): ${posting.link}`));
+            } else {
+                console.log(`   Link: ${job.link}`);
+            }
+        });
+    }
+
+    // Subscribers get their share, and any digests that have come due
+    await notifySubscribers(options, results);
+
+    if (closedJobs.length > 0) {
+        console.log(`\n📪 ${closedJobs.length} job(s) you were alerted about have closed`);
+
+        if (options.notifyClosed) {
+            await broadcast(storage, notifiers, createAlertBatch('closed', closedJobs), closedJobs, notifier => ({
+                action: `closed_${notifier.name}`,
+                closedJobsCount: closedJobs.length,
+                closedIds: closedJobs.map(job => job.id)
+            }));
+        }
+    }
+
+    return {
+        success: results.some(result => result.status !== 'error'),
+        matchingJobs,
+        closedJobs,
+        targets: results.map(summarizeResult)
+    };
+}
+
+module.exports = {
+    checkTarget,
+    runCheck
+};
@@ -0,0 +1,142 @@
+/**
+ * Seniority and role family classification
+ *
+ * Derives `seniority` (intern, junior, mid, senior, staff, principal,
+ * manager, director) and `role_family` (backend, frontend, mobile, data, ml,
+ * infra, security, em) from each job's title and department, so filters can
+ * say "seniority>=senior AND role_family=backend".
+ *
+ * Rules are filter expressions (lib/filter.js), tried in order; the first
+ * match sets the value, otherwise the default applies. Seniority is set
+ * first, so role family rules can use it. The defaults live in
+ * classification-rules.json; overrides have the same shape and their rules
+ * are tried before the defaults:
+ *
+ *   {
+ *     "seniority": { "rules": [{ "value": "senior", "match": "title:\"Software Engineer III\"" }] },
+ *     "role_family": { "default": "other", "rules": [{ "value": "fullstack", "match": "\"Full Stack\"" }] }
+ *   }
+ */
+
+const DEFAULT_RULES = require('./classification-rules.json');
+const { SENIORITY_RANKS, parseFilter, matchJob } = require('./filter');
+
+const CLASSIFICATIONS = ['seniority', 'role_family'];
+
+// How role families read in alerts
+const ROLE_FAMILY_LABELS = {
+    backend: 'Backend',
+    frontend: 'Frontend',
+    mobile: 'Mobile',
+    data: 'Data',
+    ml: 'ML',
+    infra: 'Infra/SRE',
+    security: 'Security',
+    em: 'Engineering Management'
+};
+
+/**
+ * Check one classification's rules, parsing each match up front
+ */
+function validateRules(field, config, name) {
+    if (config === undefined) {
+        return;
+    }
+    if (!config || typeof config !== 'object' || Array.isArray(config) || (config.rules !== undefined && !Array.isArray(config.rules))) {
+        throw new Error(`${name}: "${field}" must be an object with a "rules" list`);
+    }
+
+    const values = (config.rules || []).map(rule => rule && rule.value);
+    if (config.default !== undefined) {
+        values.push(config.default);
+    }
+
+    for (const rule of config.rules || []) {
+        if (!rule || typeof rule.value !== 'string' || typeof rule.match !== 'string') {
+            throw new Error(`${name}: every ${field} rule needs a "value" and a "match"`);
+        }
+        try {
+            parseFilter(rule.match);
+        } catch (error) {
+            throw new Error(`${name}: ${field} rule "${rule.value}": ${error.message}`);
+        }
+    }
+
+    if (field === 'seniority') {
+        const unknown = values.find(value => value !== null && SENIORITY_RANKS[value] === undefined);
+        if (unknown !== undefined) {
+            throw new Error(`${name}: unknown seniority "${unknown}", use ${Object.keys(SENIORITY_RANKS).join(', ')}`);
+        }
+    }
+}
+
+/**
+ * Combine rule overrides with the defaults
+ *
+ * overrides is an object or a JSON string; name labels errors, e.g.
+ * "CLASSIFIER_RULES".
+ */
+function loadRules(overrides, name = 'classifier rules') {
+    if (!overrides) {
+        return DEFAULT_RULES;
+    }
+
+    let custom;
+    try {
+        custom = typeof overrides === 'string' ? JSON.parse(overrides) : overrides;
+    } catch (error) {
+        throw new Error(`${name} are not valid JSON: ${error.message}`);
+    }
+    if (!custom || typeof custom !== 'object' || Array.isArray(custom)) {
+        throw new Error(`${name} must be a JSON object`);
+    }
+
+    const rules = {};
+    for (const field of CLASSIFICATIONS) {
+        validateRules(field, custom[field], name);
+        const config = custom[field] || {};
+        rules[field] = {
+            default: config.default !== undefined ? config.default : DEFAULT_RULES[field].default,
+            rules: [...(config.rules || []), ...DEFAULT_RULES[field].rules]
+        };
+    }
+    return rules;
+}
+
+/**
+ * Add seniority and role_family to a job
+ */
+function classifyJob(job, rules = DEFAULT_RULES) {
+    const classified = { ...job };
+    for (const field of CLASSIFICATIONS) {
+        const rule = rules[field].rules.find(candidate => matchJob(classified, candidate.match));
+        classified[field] = rule ? rule.value : rules[field].default;
+    }
+    return classified;
+}
+
+function classifyJobs(jobs, rules) {
+    return jobs.map(job => classifyJob(job, rules));
+}
+
+/**
+ * One-line summary for alerts, e.g. "Senior · Backend"
+ */
+function describeClassification(job) {
+    const parts = [];
+    if (job.seniority) {
+        parts.push(job.seniority.charAt(0).toUpperCase() + job.seniority.slice(1));
+    }
+    if (job.role_family) {
+        parts.push(ROLE_FAMILY_LABELS[job.role_family] || job.role_family);
+    }
+    return parts.join(' · ');
+}
+
+module.exports = {
+    DEFAULT_RULES,
+    loadRules,
+    classifyJob,
+    classifyJobs,
+    describeClassification
+};
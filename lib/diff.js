@@ -0,0 +1,103 @@
+/**
+ * Per-job change detection
+ *
+ * Compares the stored snapshot of a target with the jobs scraped now, job
+ * by job (keyed on job ID), so alerts can be limited to what is actually
+ * new instead of re-sending every match whenever anything on the page moves.
+ */
+
+const { getJobId } = require('./job-id');
+
+// Fields that make a job count as modified when they change (the link is
+// already covered by the job ID, and tracking parameters in it are noise)
+const TRACKED_FIELDS = ['title', 'department', 'location', 'workplace'];
+
+/**
+ * Diff two job lists
+ *
+ * Returns { added, removed, modified, unchanged }, where modified entries
+ * are { job, previous, changes } and changes lists the fields that differ.
+ * Snapshots saved before jobs had IDs get them derived from their links.
+ */
+function diffJobs(previousJobs, currentJobs, adapter) {
+    const withId = job => (job.id ? job : { ...job, id: getJobId(job, adapter) });
+
+    const previousById = new Map();
+    for (const job of (previousJobs || []).map(withId)) {
+        previousById.set(job.id, job);
+    }
+
+    const added = [];
+    const modified = [];
+    let unchanged = 0;
+    const seen = new Set();
+
+    for (const job of currentJobs.map(withId)) {
+        seen.add(job.id);
+        const previous = previousById.get(job.id);
+
+        if (!previous) {
+            added.push(job);
+            continue;
+        }
+
+        const changes = TRACKED_FIELDS.filter(field => (job[field] || '') !== (previous[field] || ''));
+        if (changes.length > 0) {
+            modified.push({ job, previous, changes });
+        } else {
+            unchanged++;
+        }
+    }
+
+    const removed = [...previousById.values()].filter(job => !seen.has(job.id));
+
+    return { added, removed, modified, unchanged };
+}
+
+/**
+ * Whether a diff has anything in it
+ */
+function hasChanges(diff) {
+    return diff.added.length > 0 || diff.removed.length > 0 || diff.modified.length > 0;
+}
+
+/**
+ * Jobs worth alerting on: new jobs that match, plus modified jobs that
+ * match now but didn't before (e.g. a retitled posting)
+ *
+ * filter takes a list of jobs and returns the matching ones. history (see
+ * lib/history.js, as it was before this scrape) leaves out jobs alerted on
+ * earlier that never closed, e.g. one missing from a single scrape.
+ */
+function findNewMatches(diff, filter, history = {}) {
+    const previouslyMatching = new Set(filter(diff.modified.map(change => change.previous)).map(job => job.id));
+    const alreadyAlerted = job => history[job.id] && history[job.id].alerted_at && !history[job.id].closed_at;
+    const candidates = [
+        ...diff.added,
+        ...diff.modified.filter(change => !previouslyMatching.has(change.previous.id)).map(change => change.job)
+    ];
+    return filter(candidates.filter(job => !alreadyAlerted(job)));
+}
+
+/**
+ * Compact form of a diff for activity logs
+ */
+function summarizeDiff(diff) {
+    return {
+        added: diff.added.length,
+        removed: diff.removed.length,
+        modified: diff.modified.length,
+        unchanged: diff.unchanged,
+        addedIds: diff.added.map(job => job.id),
+        removedIds: diff.removed.map(job => job.id),
+        modifiedIds: diff.modified.map(change => `${change.job.id} (${change.changes.join(', ')})`)
+    };
+}
+
+module.exports = {
+    TRACKED_FIELDS,
+    diffJobs,
+    hasChanges,
+    findNewMatches,
+    summarizeDiff
+};
@@ -0,0 +1,207 @@
+/**
+ * Job detail enrichment for the Node scrapers
+ *
+ * Opens each job's posting page and adds description, posted_at,
+ * employment_type, requisition_id and pay_range. Results are cached by job ID,
+ * so a posting is only fetched once.
+ */
+
+const DEFAULT_DELAY_MS = 1000;
+
+// "Req ID: R-1234", "Requisition # 5678", "Job ID 42": an explicit label, then
+// an ID with at least one digit, so prose like "Requirements" never matches
+const REQUISITION_PATTERN = /\b(?:(?:req(?:uisition)?\.?|job)\s*(?:id|no|number)\b\.?\s*[:#-]?|(?:req(?:uisition)?\.?|job)\s*#|requisition\s*:)\s*((?=[A-Z-]*\d)[A-Z0-9][A-Z0-9-]*)/i;
+
+/**
+ * Default detail extraction, used when the adapter has no extractDetail.
+ * Runs inside the browser via page.evaluate(), so it must stay self-contained.
+ */
+function extractDetail() {
+    const jsonLd = [];
+    document.querySelectorAll('script[type="application/ld+json"]').forEach(script => {
+        try {
+            jsonLd.push(JSON.parse(script.textContent));
+        } catch (error) {
+            // Ignore malformed structured data
+        }
+    });
+
+    const content = document.querySelector('[class*="job-description"], [class*="jobDescription"], [data-automation-id="jobPostingDescription"], article, main');
+
+    return {
+        jsonLd,
+        description: content ? content.innerText.trim() : null,
+        text: document.body ? document.body.innerText : ''
+    };
+}
+
+/**
+ * Find a schema.org JobPosting in the page's JSON-LD blocks
+ */
+function findJobPosting(jsonLd) {
+    const queue = [...(jsonLd || [])];
+    while (queue.length > 0) {
+        const item = queue.shift();
+        if (!item || typeof item !== 'object') {
+            continue;
+        }
+        if (Array.isArray(item)) {
+            queue.push(...item);
+            continue;
+        }
+        if ([].concat(item['@type']).includes('JobPosting')) {
+            return item;
+        }
+        if (item['@graph']) {
+            queue.push(...[].concat(item['@graph']));
+        }
+    }
+    return null;
+}
+
+function stripHTML(html) {
+    return html
+        .replace(/<br\s*\/?>|<\/(p|div|li|h\d)>/gi, '\n')
+        .replace(/<[^>]+>/g, '')
+        .replace(/&nbsp;/g, ' ')
+        .replace(/&amp;/g, '&')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;/g, "'")
+        .replace(/[ \t]+/g, ' ')
+        .replace(/\n\s*\n+/g, '\n\n')
+        .trim();
+}
+
+function formatEmploymentType(value) {
+    return value
+        .replace(/_/g, '-')
+        .toLowerCase()
+        .replace(/^\w/, c => c.toUpperCase());
+}
+
+function formatPayRange(baseSalary) {
+    const value = baseSalary.value || {};
+    const amount = number => Number(number).toLocaleString('en-US');
+    const range = value.minValue && value.maxValue
+        ? `${amount(value.minValue)} - ${amount(value.maxValue)}`
+        : value.value ? amount(value.value) : null;
+
+    if (!range) {
+        return null;
+    }
+
+    const unit = value.unitText ? ` per ${value.unitText.toLowerCase()}` : '';
+    return `${baseSalary.currency ? baseSalary.currency + ' ' : ''}${range}${unit}`;
+}
+
+/**
+ * Turn raw page data into the detail fields, preferring structured data over text heuristics
+ */
+function normalizeDetail(raw) {
+    const posting = findJobPosting(raw.jsonLd);
+    const text = raw.text || '';
+
+    const description = posting && posting.description
+        ? stripHTML(posting.description)
+        : raw.description || null;
+
+    const datePosted = posting && posting.datePosted ? new Date(posting.datePosted) : null;
+
+    let employmentType = posting && posting.employmentType
+        ? [].concat(posting.employmentType).map(formatEmploymentType).join(', ')
+        : null;
+    if (!employmentType) {
+        const match = text.match(/\b(full[- ]time|part[- ]time|contract(?:or)?|internship|temporary)\b/i);
+        employmentType = match ? formatEmploymentType(match[1]) : null;
+    }
+
+    let requisitionId = null;
+    if (posting && posting.identifier) {
+        requisitionId = typeof posting.identifier === 'object' ? posting.identifier.value : posting.identifier;
+    }
+    if (!requisitionId) {
+        const match = text.match(REQUISITION_PATTERN);
+        requisitionId = match ? match[1] : null;
+    }
+
+    let payRange = posting && posting.baseSalary ? formatPayRange(posting.baseSalary) : null;
+    if (!payRange) {
+        const match = text.match(/(?:[$€£₹]|USD|EUR|GBP|INR)\s?\d[\d,.]*(?:\s?[kKmM])?\s?(?:-|–|—|to)\s?(?:[$€£₹]|USD|EUR|GBP|INR)?\s?\d[\d,.]*(?:\s?[kKmM])?(?:\s*(?:per|\/)\s*(?:year|yr|annum|hour|hr|month))?/);
+        payRange = match ? match[0].replace(/\s+/g, ' ').trim() : null;
+    }
+
+    return {
+        description,
+        posted_at: datePosted && !Number.isNaN(datePosted.getTime()) ? datePosted.toISOString() : null,
+        employment_type: employmentType,
+        requisition_id: requisitionId ? String(requisitionId) : null,
+        pay_range: payRange
+    };
+}
+
+/**
+ * Add posting details to each job, fetching only postings missing from the cache
+ * The cache is a plain object keyed by job ID and is updated in place
+ */
+async function enrichJobs(browser, jobs, adapter, cache, options = {}) {
+    const extract = adapter.extractDetail || extractDetail;
+    const delayMs = options.delayMs !== undefined ? options.delayMs : DEFAULT_DELAY_MS;
+    const cacheKey = job => job.id || job.link;
+    const toFetch = jobs.filter(job => !cache[cacheKey(job)]);
+
+    if (toFetch.length > 0) {
+        console.log(`🔎 Fetching details for ${toFetch.length} posting(s) (${jobs.length - toFetch.length} cached)`);
+        const page = await browser.newPage();
+        if (options.userAgent) {
+            await page.setUserAgent(options.userAgent);
+        }
+
+        try {
+            for (const [index, job] of toFetch.entries()) {
+                try {
+                    await page.goto(job.link, { waitUntil: 'networkidle2', timeout: options.timeout || 60000 });
+                    const raw = await page.evaluate(extract);
+                    cache[cacheKey(job)] = {
+                        ...normalizeDetail(raw),
+                        fetched_at: new Date().toISOString()
+                    };
+                } catch (error) {
+                    // Leave it uncached so the next run retries
+                    console.error(`❌ Could not fetch details for ${job.link}:`, error.message);
+                }
+
+                if (delayMs > 0 && index < toFetch.length - 1) {
+                    await new Promise(resolve => setTimeout(resolve, delayMs));
+                }
+            }
+        } finally {
+            await page.close();
+        }
+    }
+
+    return jobs.map(job => {
+        const detail = cache[cacheKey(job)];
+        if (!detail) {
+            return job;
+        }
+
+        // Values the source already provided win over scraped ones
+        const enriched = { ...job };
+        for (const [key, value] of Object.entries(detail)) {
+            if (key !== 'fetched_at' && value !== null && (enriched[key] === undefined || enriched[key] === null)) {
+                enriched[key] = value;
+            }
+        }
+        return enriched;
+    });
+}
+
+module.exports = {
+    enrichJobs,
+    extractDetail,
+    findJobPosting,
+    normalizeDetail,
+    stripHTML
+};
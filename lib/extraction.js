@@ -0,0 +1,104 @@
+/**
+ * Declarative listing extraction shared by every runtime
+ *
+ * A spec describes where the jobs are and how to read each field:
+ *   {
+ *     container: '.job-list',
+ *     item: 'li[role="listitem"]',
+ *     fields: {
+ *       title: { selector: 'h3 a', transform: 'trim', required: true },
+ *       link: { selector: 'h3 a', attribute: 'href', transform: 'url', required: true },
+ *       department: { selector: '.text-gray-48', transform: 'trim', default: 'N/A' }
+ *     }
+ *   }
+ *
+ * Each runtime only collects raw values (textContent or attribute of the first
+ * match inside the item): collectRawItems() in the browser, the HTMLRewriter
+ * extractor in the Worker. applySpec() then turns them into jobs the same way everywhere.
+ */
+
+const TRANSFORMS = {
+    trim: value => value.trim(),
+    collapseWhitespace: value => value.replace(/\s+/g, ' ').trim(),
+    lowercase: value => value.toLowerCase(),
+    url: (value, context) => {
+        try {
+            return new URL(value.trim(), context.pageUrl).href;
+        } catch (error) {
+            return '';
+        }
+    }
+};
+
+/**
+ * Full selector for the item elements
+ */
+function itemSelector(spec) {
+    return spec.container ? `${spec.container} ${spec.item}` : spec.item;
+}
+
+/**
+ * Collect raw field values for every item on the page.
+ * Runs inside the browser via page.evaluate(collectRawItems, spec), so it must stay self-contained.
+ */
+function collectRawItems(spec) {
+    const selector = spec.container ? `${spec.container} ${spec.item}` : spec.item;
+
+    return Array.from(document.querySelectorAll(selector)).map(item => {
+        const values = {};
+        Object.entries(spec.fields).forEach(([field, definition]) => {
+            const element = item.querySelector(definition.selector);
+            if (!element) {
+                values[field] = null;
+            } else if (definition.attribute) {
+                values[field] = element.getAttribute(definition.attribute);
+            } else {
+                values[field] = element.textContent;
+            }
+        });
+        return values;
+    });
+}
+
+function applyTransforms(value, transform, context) {
+    return [].concat(transform || []).reduce((current, name) => {
+        const fn = TRANSFORMS[name];
+        if (!fn) {
+            throw new Error(`Unknown extraction transform "${name}"`);
+        }
+        return fn(current, context);
+    }, value);
+}
+
+/**
+ * Turn raw items into jobs: run transforms, fill defaults and drop items missing required fields
+ */
+function applySpec(rawItems, spec, pageUrl) {
+    const context = { pageUrl };
+    const scrapedAt = new Date().toISOString();
+
+    return rawItems
+        .map(values => {
+            const job = {};
+            for (const [field, definition] of Object.entries(spec.fields)) {
+                let value = values[field];
+                if (value !== null && value !== undefined) {
+                    value = applyTransforms(value, definition.transform, context);
+                }
+                if ((value === null || value === undefined || value === '') && definition.default !== undefined) {
+                    value = definition.default;
+                }
+                job[field] = value === undefined ? null : value;
+            }
+            job.scraped_at = scrapedAt;
+            return job;
+        })
+        .filter(job => Object.entries(spec.fields).every(([field, definition]) => !definition.required || job[field]));
+}
+
+module.exports = {
+    TRANSFORMS,
+    itemSelector,
+    collectRawItems,
+    applySpec
+};
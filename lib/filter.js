@@ -0,0 +1,544 @@
+/**
+ * Job filter expressions
+ *
+ * One matcher for every scraper and alert, replacing the flat keyword
+ * lists. A filter is a small boolean expression:
+ *
+ *   (backend OR "data engineer") AND NOT (manager OR intern)
+ *   location:remote OR department="Data Science"
+ *   title:/^(senior|staff)\b/ AND NOT location:"San Francisco"
+ *
+ *   term           words or a "quoted phrase", matched as whole words in the
+ *                  title and department (end a word with * to match prefixes)
+ *   field:term     match within one field instead (title, department,
+ *                  location, workplace, description, or any for all of them)
+ *   field="value"  the whole field equals the value (ignoring case)
+ *   field:(a OR b) a field applied to every term in the group
+ *   seniority>=senior
+ *                  compare seniority levels (>, >=, <, <=), see SENIORITY_RANKS
+ *   /regex/flags   a regular expression, case-insensitive unless flags are given
+ *   AND, OR, NOT   combine terms; a comma also means OR, and parentheses group.
+ *                  AND binds tighter than OR. Keywords are case-insensitive.
+ *
+ * Consecutive bare words form one phrase, so "Full Stack" matches the phrase
+ * rather than both words anywhere. A plain keyword list ("Software, Backend")
+ * is therefore a valid filter meaning any of them.
+ *
+ * Words match on word boundaries, ignoring case and plurals: "AI" doesn't
+ * match "Email", "Lead" doesn't match "Leading", and "Engineers" matches
+ * "Engineer". Phrases also match their synonyms ("ML" and "Machine
+ * Learning"), from DEFAULT_SYNONYMS plus any passed in.
+ *
+ * Matching reports which terms matched, so alerts can say why a job was
+ * included.
+ */
+
+const FIELDS = ['title', 'department', 'location', 'workplace', 'description', 'seniority', 'role_family'];
+
+// Searched by terms without a field, as the keyword lists always were
+const DEFAULT_FIELDS = ['title', 'department'];
+
+const FIELD_ALIASES = { dept: 'department', any: 'any' };
+
+const OPERATORS = ['AND', 'OR', 'NOT'];
+
+// Seniority levels set by lib/classify.js, for comparisons. Managers rank
+// with staff engineers, so "seniority>=senior" includes them.
+const SENIORITY_RANKS = {
+    intern: 0,
+    junior: 1,
+    mid: 2,
+    senior: 3,
+    staff: 4,
+    manager: 4,
+    principal: 5,
+    director: 6
+};
+
+const COMPARISONS = {
+    '>': (a, b) => a > b,
+    '>=': (a, b) => a >= b,
+    '<': (a, b) => a < b,
+    '<=': (a, b) => a <= b
+};
+
+// Each key matches its values and the other way round; extended by JOB_SYNONYMS
+const DEFAULT_SYNONYMS = {
+    'ML': ['Machine Learning'],
+    'AI': ['Artificial Intelligence'],
+    'SRE': ['Site Reliability'],
+    'Backend': ['Back End'],
+    'Frontend': ['Front End'],
+    'Full Stack': ['Fullstack'],
+    'DevOps': ['Dev Ops']
+};
+
+// Words are letters and digits, keeping the suffix of "C++" and "C#"
+const WORD = /[\p{L}\p{N}]+[+#]*\*?/gu;
+
+function filterError(source, message, position) {
+    return new Error(`Invalid filter "${source}": ${message}${position === undefined ? '' : ` at position ${position + 1}`}`);
+}
+
+function fieldName(word) {
+    const name = word.toLowerCase();
+    return FIELDS.includes(name) ? name : FIELD_ALIASES[name] || null;
+}
+
+/**
+ * Reduce a word to its singular, so "Engineers" and "Engineer" compare equal
+ *
+ * Deliberately simple: only plural endings are removed, never "-ing" or
+ * "-er", so "Leading" stays distinct from "Lead".
+ */
+function stem(word) {
+    if (word.length <= 3 || /(ss|us|is)$/.test(word)) {
+        return word; // "AWS", "iOS", "Business", "Analysis"
+    }
+    if (word.endsWith('ies')) {
+        return `${word.slice(0, -3)}y`;
+    }
+    if (/(sh|ch|x|z)es$/.test(word)) {
+        return word.slice(0, -2);
+    }
+    return word.endsWith('s') ? word.slice(0, -1) : word;
+}
+
+/**
+ * Split text into lowercase words, dropping possessives
+ */
+function splitWords(text) {
+    return String(text).toLowerCase().replace(/['’]s\b/g, '').match(WORD) || [];
+}
+
+/**
+ * Words of a job field, as { word, stem } pairs
+ */
+function textWords(text) {
+    return splitWords(text).map(word => {
+        word = word.replace(/\*$/, '');
+        return { word, stem: stem(word) };
+    });
+}
+
+/**
+ * Words of a search phrase; a trailing * matches any word starting with it
+ */
+function phraseWords(phrase) {
+    return splitWords(phrase).map(word => word.endsWith('*') ? { prefix: word.slice(0, -1) } : { stem: stem(word) });
+}
+
+function phraseKey(words) {
+    return words.map(word => word.prefix !== undefined ? `${word.prefix}*` : word.stem).join(' ');
+}
+
+/**
+ * Does the phrase appear as consecutive whole words of the text?
+ */
+function containsPhrase(text, phrase) {
+    if (phrase.length === 0) {
+        return false;
+    }
+    for (let start = 0; start + phrase.length <= text.length; start++) {
+        const found = phrase.every((part, i) => part.prefix !== undefined
+            ? text[start + i].word.startsWith(part.prefix)
+            : text[start + i].stem === part.stem);
+        if (found) {
+            return true;
+        }
+    }
+    return false;
+}
+
+// Synonym lookups built from a synonym map, by map
+const synonymIndexes = new WeakMap();
+const NO_SYNONYMS = {};
+
+/**
+ * Index a synonym map: phrase key -> every phrase it should match
+ *
+ * The defaults are always included. A phrase listed in several groups
+ * matches the members of all of them.
+ */
+function synonymIndex(synonyms = NO_SYNONYMS) {
+    if (synonymIndexes.has(synonyms)) {
+        return synonymIndexes.get(synonyms);
+    }
+
+    const index = new Map();
+    for (const map of [DEFAULT_SYNONYMS, synonyms]) {
+        for (const [phrase, alternatives] of Object.entries(map)) {
+            const group = [phrase, ...[].concat(alternatives)].map(phraseWords).filter(words => words.length > 0);
+            for (const words of group) {
+                const key = phraseKey(words);
+                index.set(key, [...(index.get(key) || [words]), ...group.filter(other => phraseKey(other) !== key)]);
+            }
+        }
+    }
+
+    synonymIndexes.set(synonyms, index);
+    return index;
+}
+
+/**
+ * Parse a synonym map: a JSON object of phrase -> list of equivalent phrases
+ *
+ * name labels errors, e.g. "JOB_SYNONYMS".
+ */
+function parseSynonyms(value, name = 'synonyms') {
+    if (!value) {
+        return {};
+    }
+
+    let synonyms;
+    try {
+        synonyms = typeof value === 'string' ? JSON.parse(value) : value;
+    } catch (error) {
+        throw new Error(`${name} is not valid JSON: ${error.message}`);
+    }
+
+    const valid = synonyms && typeof synonyms === 'object' && !Array.isArray(synonyms) &&
+        Object.values(synonyms).every(alternatives => [].concat(alternatives).every(alt => typeof alt === 'string'));
+    if (!valid) {
+        throw new Error(`${name} must map each phrase to a phrase or a list of phrases, e.g. {"ML": ["Machine Learning"]}`);
+    }
+    return synonyms;
+}
+
+/**
+ * Split a filter into tokens, each remembering where it came from
+ */
+function tokenize(source) {
+    const tokens = [];
+    let i = 0;
+
+    while (i < source.length) {
+        const char = source[i];
+
+        if (/\s/.test(char)) {
+            i++;
+        } else if (char === '(' || char === ')' || char === ',') {
+            tokens.push({ type: char, start: i, end: i + 1 });
+            i++;
+        } else if (char === '"') {
+            let value = '';
+            let j = i + 1;
+            while (j < source.length && source[j] !== '"') {
+                if (source[j] === '\\' && j + 1 < source.length) {
+                    j++;
+                }
+                value += source[j++];
+            }
+            if (j >= source.length) {
+                throw filterError(source, 'unterminated quote', i);
+            }
+            tokens.push({ type: 'string', value, start: i, end: j + 1 });
+            i = j + 1;
+        } else if (char === '/') {
+            let j = i + 1;
+            while (j < source.length && source[j] !== '/') {
+                j += source[j] === '\\' ? 2 : 1;
+            }
+            if (j >= source.length) {
+                throw filterError(source, 'unterminated regex', i);
+            }
+            const flags = /^[a-z]*/.exec(source.slice(j + 1))[0];
+            let pattern;
+            try {
+                pattern = new RegExp(source.slice(i + 1, j), flags || 'i');
+            } catch (error) {
+                throw filterError(source, error.message, i);
+            }
+            tokens.push({ type: 'regex', pattern, start: i, end: j + 1 + flags.length });
+            i = j + 1 + flags.length;
+        } else {
+            let j = i;
+            while (j < source.length && !/[\s(),"]/.test(source[j])) {
+                j++;
+            }
+            const word = source.slice(i, j);
+
+            // field:value, field=value and field>=value, with the value attached or following
+            const scoped = /^([A-Za-z_]+)(>=|<=|[:=<>])(.*)$/.exec(word);
+            if (scoped && fieldName(scoped[1])) {
+                const valueStart = i + scoped[1].length + scoped[2].length;
+                tokens.push({ type: 'field', field: fieldName(scoped[1]), op: scoped[2], start: i, end: valueStart });
+                i = valueStart;
+                // A regex or quote right after the colon is read as its own token
+                continue;
+            }
+
+            if (OPERATORS.includes(word.toUpperCase())) {
+                tokens.push({ type: word.toUpperCase(), start: i, end: j });
+            } else {
+                tokens.push({ type: 'word', value: word, start: i, end: j });
+            }
+            i = j;
+        }
+    }
+
+    return tokens;
+}
+
+/**
+ * Parse a filter into an expression tree, or null for an empty filter
+ *
+ * Throws on syntax errors, so bad config is caught at startup.
+ */
+function parseFilter(source) {
+    const text = (source || '').trim();
+    if (!text) {
+        return null;
+    }
+
+    const tokens = tokenize(text);
+    let position = 0;
+    // The field of an enclosing field:( ... ) group
+    let scope = null;
+
+    const peek = () => tokens[position];
+    const fail = (message, token = peek()) => filterError(text, message, token ? token.start : text.length);
+
+    function parseOr() {
+        const children = [parseAnd()];
+        while (peek() && (peek().type === 'OR' || peek().type === ',')) {
+            position++;
+            children.push(parseAnd());
+        }
+        return children.length === 1 ? children[0] : { type: 'or', children };
+    }
+
+    function parseAnd() {
+        const children = [parseUnary()];
+        while (peek() && peek().type === 'AND') {
+            position++;
+            children.push(parseUnary());
+        }
+        return children.length === 1 ? children[0] : { type: 'and', children };
+    }
+
+    function parseUnary() {
+        if (peek() && peek().type === 'NOT') {
+            position++;
+            return { type: 'not', child: parseUnary() };
+        }
+        return parsePrimary();
+    }
+
+    function parsePrimary() {
+        const token = peek();
+        if (!token) {
+            throw fail('expected a term');
+        }
+
+        if (token.type === '(') {
+            position++;
+            const expression = parseOr();
+            if (!peek() || peek().type !== ')') {
+                throw fail('expected ")"');
+            }
+            position++;
+            return expression;
+        }
+
+        if (token.type === 'field') {
+            position++;
+            if (peek() && peek().type === '(') {
+                const outer = scope;
+                scope = token;
+                const group = parsePrimary();
+                scope = outer;
+                return group;
+            }
+            return parseTerm(token.field, token.op, token.start);
+        }
+
+        // Terms in a field group are reported with their field, e.g. "title:Intern"
+        return scope
+            ? parseTerm(scope.field, scope.op, token.start, text.slice(scope.start, scope.end))
+            : parseTerm(null, ':', token.start);
+    }
+
+    function parseTerm(field, op, start, prefix = '') {
+        const token = peek();
+        let term;
+
+        if (token && token.type === 'string') {
+            position++;
+            term = { value: token.value };
+        } else if (token && token.type === 'regex') {
+            position++;
+            term = { pattern: token.pattern };
+        } else if (token && token.type === 'word') {
+            // Bare words up to the next operator make one phrase
+            const words = [];
+            while (peek() && peek().type === 'word') {
+                words.push(peek().value);
+                position++;
+            }
+            term = { value: words.join(' ') };
+        } else {
+            throw fail(field ? `expected a value for ${field}` : 'expected a term');
+        }
+
+        if (COMPARISONS[op]) {
+            const rank = SENIORITY_RANKS[(term.value || '').toLowerCase()];
+            if (field !== 'seniority') {
+                throw fail(`"${op}" only works with seniority`, token);
+            }
+            if (rank === undefined) {
+                throw fail(`unknown seniority "${text.slice(token.start, tokens[position - 1].end)}", use ${Object.keys(SENIORITY_RANKS).join(', ')}`, token);
+            }
+            term = { compare: op, rank };
+        } else if (term.value !== undefined) {
+            if (op === '=') {
+                term.exact = term.value.trim().toLowerCase();
+            } else {
+                term.words = phraseWords(term.value);
+                if (term.words.length === 0) {
+                    throw fail(`"${term.value}" has no words to match`, token);
+                }
+                term.key = phraseKey(term.words);
+            }
+        }
+
+        return {
+            type: 'term',
+            fields: field === 'any' ? FIELDS : field ? [field] : DEFAULT_FIELDS,
+            ...term,
+            text: prefix + text.slice(start, tokens[position - 1].end)
+        };
+    }
+
+    const tree = parseOr();
+    if (position < tokens.length) {
+        throw fail(`unexpected "${text.slice(peek().start, peek().end)}"`);
+    }
+    return tree;
+}
+
+/**
+ * What a job is matched against: its fields split into words once, and the
+ * synonyms in effect
+ */
+function matchContext(job, options = {}) {
+    const words = {};
+    return {
+        job,
+        synonyms: synonymIndex(options.synonyms),
+        words: field => words[field] || (words[field] = textWords(job[field] == null ? '' : job[field]))
+    };
+}
+
+/**
+ * Does one term match a job?
+ */
+function matchTerm(term, context) {
+    return term.fields.some(field => {
+        if (term.words) {
+            const phrases = context.synonyms.get(term.key) || [term.words];
+            return phrases.some(phrase => containsPhrase(context.words(field), phrase));
+        }
+
+        if (term.compare) {
+            const rank = SENIORITY_RANKS[context.job[field]];
+            return rank !== undefined && COMPARISONS[term.compare](rank, term.rank);
+        }
+
+        const value = context.job[field] == null ? '' : String(context.job[field]);
+        if (term.pattern) {
+            term.pattern.lastIndex = 0;
+            return term.pattern.test(value);
+        }
+        return value.trim().toLowerCase() === term.exact;
+    });
+}
+
+/**
+ * Evaluate an expression tree against a job
+ *
+ * Returns the text of every term that made it match (an empty list for an
+ * empty filter or a purely negative one), or null when the job doesn't
+ * match.
+ */
+function evaluate(node, context) {
+    if (!node) {
+        return [];
+    }
+
+    switch (node.type) {
+        case 'term':
+            return matchTerm(node, context) ? [node.text] : null;
+        case 'not':
+            return evaluate(node.child, context) ? null : [];
+        case 'and': {
+            const clauses = [];
+            for (const child of node.children) {
+                const matched = evaluate(child, context);
+                if (!matched) {
+                    return null;
+                }
+                clauses.push(...matched);
+            }
+            return clauses;
+        }
+        case 'or': {
+            const matches = node.children.map(child => evaluate(child, context)).filter(Boolean);
+            return matches.length > 0 ? matches.flat() : null;
+        }
+        default:
+            throw new Error(`Unknown filter node "${node.type}"`);
+    }
+}
+
+// Parsed filters, so each distinct filter is parsed once per process
+const compiled = new Map();
+
+function compile(source) {
+    const key = source || '';
+    if (!compiled.has(key)) {
+        compiled.set(key, parseFilter(key));
+    }
+    return compiled.get(key);
+}
+
+/**
+ * Match one job; returns the matched clauses, or null
+ *
+ * options.synonyms adds to DEFAULT_SYNONYMS.
+ */
+function matchJob(job, filter, options) {
+    return evaluate(compile(filter), matchContext(job, options));
+}
+
+/**
+ * Keep the jobs a filter matches, each labeled with matched_clauses
+ */
+function filterJobs(jobs, filter, options) {
+    const tree = compile(filter);
+    return jobs.reduce((matching, job) => {
+        const clauses = evaluate(tree, matchContext(job, options));
+        if (clauses) {
+            matching.push({ ...job, matched_clauses: [...new Set(clauses)] });
+        }
+        return matching;
+    }, []);
+}
+
+/**
+ * Turn a keyword list into the equivalent filter: any of the keywords
+ */
+function keywordsFilter(keywords) {
+    return (keywords || []).map(keyword => JSON.stringify(keyword)).join(' OR ');
+}
+
+module.exports = {
+    FIELDS,
+    SENIORITY_RANKS,
+    DEFAULT_SYNONYMS,
+    parseFilter,
+    parseSynonyms,
+    matchJob,
+    filterJobs,
+    keywordsFilter
+};
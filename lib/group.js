@@ -0,0 +1,83 @@
+/**
+ * Cross-location duplicate grouping
+ *
+ * Employers often post one role in several cities as separate listings.
+ * Postings from the same employer with the same normalized title and
+ * department are grouped into one alert entry listing every location:
+ *
+ *   { ...best posting, location: "Bangalore, India; Dublin, Ireland",
+ *     locations: ["Bangalore, India", "Dublin, Ireland"],
+ *     postings: [{ id, location, link }, ...] }
+ *
+ * Grouping is only for alerts: history, snapshots and notification records
+ * keep every posting's own ID.
+ */
+
+// Job boards that host many employers, told apart by the first path segment
+// (boards.greenhouse.io/stripe/..., jobs.lever.co/netflix/...)
+function employerOf(job) {
+    try {
+        const url = new URL(job.link);
+        return `${url.hostname.replace(/^www\./, '')}/${url.pathname.split('/')[1] || ''}`;
+    } catch (error) {
+        return job.target || '';
+    }
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Title without the places in the job's own location or workplace words,
+ * e.g. "Software Engineer - Dublin (Hybrid)" -> "software engineer"
+ */
+function normalizeTitle(job) {
+    let title = ` ${(job.title || '').toLowerCase()} `;
+    const places = (job.location || '').toLowerCase().split(/[,;/]/).map(place => place.trim()).filter(Boolean);
+    for (const place of [...places, 'remote', 'hybrid', 'on-site', 'onsite']) {
+        title = title.replace(new RegExp(`(^|[^\\p{L}\\p{N}])${escapeRegExp(place)}(?=$|[^\\p{L}\\p{N}])`, 'gu'), '$1');
+    }
+    return title.replace(/[^\p{L}\p{N}+#]+/gu, ' ').trim();
+}
+
+function duplicateKey(job) {
+    const department = (job.department || '').toLowerCase().replace(/\s+/g, ' ').trim();
+    return [employerOf(job), normalizeTitle(job), department].join('\n');
+}
+
+/**
+ * Group near-duplicate postings, keeping the order of each group's first
+ * posting (so a list sorted by score stays sorted)
+ */
+function groupDuplicates(jobs) {
+    const groups = new Map();
+    for (const job of jobs) {
+        const key = duplicateKey(job);
+        if (!groups.has(key)) {
+            groups.set(key, []);
+        }
+        groups.get(key).push(job);
+    }
+
+    return [...groups.values()].map(group => {
+        if (group.length === 1) {
+            return group[0];
+        }
+        const [first] = group;
+        const locations = [...new Set(group.map(job => job.location).filter(Boolean))];
+        const clauses = [...new Set(group.flatMap(job => job.matched_clauses || []))];
+        return {
+            ...first,
+            location: locations.join('; '),
+            locations,
+            postings: group.map(job => ({ id: job.id, location: job.location, link: job.link })),
+            ...(first.matched_clauses ? { matched_clauses: clauses } : {})
+        };
+    });
+}
+
+module.exports = {
+    normalizeTitle,
+    groupDuplicates
+};
@@ -0,0 +1,159 @@
+/**
+ * Job lifecycle history
+ *
+ * Keeps one record per job ever observed on a target, keyed by job ID:
+ *
+ *   {
+ *     id, title, link, department, location,
+ *     first_seen,   // first scrape that listed the job
+ *     last_seen,    // latest scrape that listed the job
+ *     closed_at,    // when it dropped off the listing, null while open
+ *     reopened,     // how many times it came back after closing
+ *     reopened_at,  // when it last came back
+ *     missed,       // consecutive scrapes it has been missing from
+ *     missing_since,
+ *     alerted_at    // when a new-jobs alert including it was last sent on some channel
+ *   }
+ *
+ * Unlike the latest-jobs snapshot, records are never overwritten wholesale,
+ * so it shows how long roles stay open and which "new" jobs are reposts.
+ */
+
+/**
+ * Fold one successful scrape into the history
+ *
+ * A job only counts as closed once it has been missing for
+ * options.closeAfter consecutive scrapes (default 1), so a flaky page
+ * doesn't close and reopen jobs; closed_at is when it first went missing.
+ *
+ * Returns { history, opened, reopened, closed } with the IDs that changed
+ * state in this run. The history object is updated in place.
+ */
+function updateHistory(history, currentJobs, options = {}) {
+    const now = options.now || new Date().toISOString();
+    const closeAfter = Math.max(1, options.closeAfter || 1);
+    const opened = [];
+    const reopened = [];
+    const closed = [];
+    const seen = new Set();
+
+    for (const job of currentJobs) {
+        seen.add(job.id);
+        let record = history[job.id];
+
+        if (!record) {
+            record = { id: job.id, first_seen: now, closed_at: null, reopened: 0 };
+            history[job.id] = record;
+            opened.push(job.id);
+        } else if (record.closed_at) {
+            record.closed_at = null;
+            record.reopened = (record.reopened || 0) + 1;
+            record.reopened_at = now;
+            reopened.push(job.id);
+        }
+
+        // Keep the latest details so closed jobs can still be described
+        record.title = job.title;
+        record.link = job.link;
+        record.department = job.department;
+        record.location = job.location;
+        record.last_seen = now;
+        record.missed = 0;
+        record.missing_since = null;
+    }
+
+    for (const record of Object.values(history)) {
+        if (record.closed_at || seen.has(record.id)) {
+            continue;
+        }
+
+        record.missed = (record.missed || 0) + 1;
+        record.missing_since = record.missing_since || now;
+
+        if (record.missed >= closeAfter) {
+            record.closed_at = record.missing_since;
+            closed.push(record.id);
+        }
+    }
+
+    return { history, opened, reopened, closed };
+}
+
+/**
+ * Remember which jobs went out in a new-jobs alert, so only those get a
+ * "position closed" notification later
+ */
+function markAlerted(history, jobs, now = new Date().toISOString()) {
+    for (const job of jobs) {
+        if (history[job.id]) {
+            history[job.id].alerted_at = now;
+        }
+    }
+    return history;
+}
+
+/**
+ * Add lifecycle details to jobs for alerts
+ *
+ * Every job gets its first_seen date; jobs that came back after closing
+ * are flagged as reposted so they aren't mistaken for brand new roles.
+ */
+function annotateJobs(jobs, history) {
+    return jobs.map(job => {
+        const record = history[job.id];
+        if (!record) {
+            return job;
+        }
+        return {
+            ...job,
+            first_seen: record.first_seen,
+            reposted: record.reopened > 0 && !record.closed_at && record.reopened_at === record.last_seen
+        };
+    });
+}
+
+/**
+ * How long a job has been (or was) listed, in whole days
+ */
+function daysOpen(record, now = new Date()) {
+    const end = record.closed_at ? new Date(record.closed_at) : now;
+    return Math.floor((end - new Date(record.first_seen)) / (24 * 60 * 60 * 1000));
+}
+
+/**
+ * Look up history records
+ *
+ * options.state is 'open', 'closed' or 'reposted' (any state by default);
+ * options.since keeps records seen on or after that date. Newest first,
+ * capped at options.limit.
+ */
+function queryHistory(history, options = {}) {
+    const since = options.since ? new Date(options.since) : null;
+    if (since && isNaN(since)) {
+        throw new Error(`Invalid date "${options.since}"`);
+    }
+
+    const records = Object.values(history).filter(record => {
+        if (options.state === 'open' && record.closed_at) {
+            return false;
+        }
+        if (options.state === 'closed' && !record.closed_at) {
+            return false;
+        }
+        if (options.state === 'reposted' && !record.reopened) {
+            return false;
+        }
+        return !since || record.last_seen >= since.toISOString();
+    });
+
+    records.sort((a, b) => b.first_seen.localeCompare(a.first_seen));
+    return options.limit ? records.slice(0, options.limit) : records;
+}
+
+module.exports = {
+    updateHistory,
+    markAlerted,
+    annotateJobs,
+    daysOpen,
+    queryHistory
+};
@@ -0,0 +1,126 @@
+/**
+ * Streaming job list extraction for Cloudflare Workers, built on HTMLRewriter
+ *
+ * Collects the same raw values as collectRawItems() does in a browser: each
+ * field is the textContent (or attribute) of the first element inside the job
+ * item that matches its selector. See lib/extraction.js for the spec format.
+ */
+
+const { itemSelector, applySpec } = require('./extraction');
+
+const NAMED_ENTITIES = {
+    amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: '\u00a0',
+    ndash: '–', mdash: '—', bull: '•', middot: '·', hellip: '…',
+    lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”',
+    copy: '©', reg: '®', trade: '™', euro: '€', pound: '£', rupee: '₹'
+};
+
+/**
+ * HTMLRewriter hands over raw source text, so decode character references the way the DOM would
+ */
+function decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+        if (entity[0] === '#') {
+            const codePoint = entity[1] === 'x' || entity[1] === 'X'
+                ? parseInt(entity.slice(2), 16)
+                : parseInt(entity.slice(1), 10);
+            return codePoint > 0 && codePoint <= 0x10ffff ? String.fromCodePoint(codePoint) : match;
+        }
+        const decoded = NAMED_ENTITIES[entity.toLowerCase()];
+        return decoded !== undefined ? decoded : match;
+    });
+}
+
+/**
+ * Stream the response through HTMLRewriter and extract one job per item element
+ */
+async function extractJobsFromResponse(response, spec, pageUrl, options = {}) {
+    const Rewriter = options.HTMLRewriter || globalThis.HTMLRewriter;
+    if (!Rewriter) {
+        throw new Error('HTMLRewriter is not available in this runtime');
+    }
+
+    const items = [];      // In document order, like querySelectorAll
+    const openItems = [];  // Items whose end tag hasn't been reached yet
+    const selector = itemSelector(spec);
+
+    const rewriter = new Rewriter().on(selector, {
+        element(element) {
+            const item = { values: {}, capturing: {} };
+            items.push(item);
+            openItems.push(item);
+
+            onEnd(element, () => {
+                openItems.splice(openItems.indexOf(item), 1);
+            });
+        }
+    });
+
+    for (const [field, definition] of Object.entries(spec.fields)) {
+        rewriter.on(`${selector} ${definition.selector}`, {
+            element(element) {
+                // Only the first match in each item counts, as with querySelector()
+                const owners = openItems.filter(item => !(field in item.values));
+                if (owners.length === 0) {
+                    return;
+                }
+
+                if (definition.attribute) {
+                    const value = element.getAttribute(definition.attribute);
+                    owners.forEach(item => {
+                        item.values[field] = value;
+                    });
+                    return;
+                }
+
+                owners.forEach(item => {
+                    item.values[field] = '';
+                    item.capturing[field] = true;
+                });
+                onEnd(element, () => {
+                    owners.forEach(item => {
+                        item.capturing[field] = false;
+                    });
+                });
+            },
+            text(chunk) {
+                if (definition.attribute) {
+                    return;
+                }
+                openItems.forEach(item => {
+                    if (item.capturing[field]) {
+                        item.values[field] += chunk.text;
+                    }
+                });
+            }
+        });
+    }
+
+    // Drain the transformed body so every handler runs
+    await rewriter.transform(response).arrayBuffer();
+
+    const rawItems = items.map(({ values }) => {
+        const raw = {};
+        for (const field of Object.keys(spec.fields)) {
+            const value = values[field];
+            raw[field] = value === undefined || value === null ? null : decodeEntities(value);
+        }
+        return raw;
+    });
+
+    return applySpec(rawItems, spec, pageUrl);
+}
+
+function onEnd(element, callback) {
+    try {
+        element.onEndTag(callback);
+    } catch (error) {
+        // Void or self-closing element, it has no content to wait for
+        callback();
+    }
+}
+
+module.exports = {
+    extractJobsFromResponse,
+    decodeEntities
+};
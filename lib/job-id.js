@@ -0,0 +1,82 @@
+/**
+ * Stable job identity
+ *
+ * A job's ID is "<adapter>:<posting id>", with the posting ID taken from the
+ * link using the adapter's idPattern (e.g. 7185448 from /positions/7185448/).
+ * When there is no pattern or it doesn't match, the canonicalized URL is used
+ * instead, so tracking parameters or a trailing slash never make a job look new.
+ */
+
+// Query parameters that only track where a click came from
+const TRACKING_PARAMS = /^(utm_[a-z_]+|gh_src|ref|referrer|source|src|lever-source|lever-origin|fbclid|gclid|msclkid|mc_[a-z]+|trk|trackingid)$/i;
+
+/**
+ * Normalize a URL for comparison: https, no www, no fragment, no tracking params,
+ * sorted query string and no trailing slash
+ */
+function canonicalizeUrl(link) {
+    let url;
+    try {
+        url = new URL(link);
+    } catch (error) {
+        return link.trim();
+    }
+
+    url.protocol = 'https:';
+    url.hostname = url.hostname.replace(/^www\./, '');
+    url.hash = '';
+
+    const params = [...url.searchParams]
+        .filter(([key]) => !TRACKING_PARAMS.test(key))
+        .sort(([a], [b]) => a.localeCompare(b));
+    url.search = new URLSearchParams(params).toString();
+
+    if (url.pathname.length > 1) {
+        url.pathname = url.pathname.replace(/\/+$/, '');
+    }
+
+    return url.href;
+}
+
+/**
+ * Posting ID from the link, or null when the adapter can't tell
+ */
+function getSourceId(job, adapter) {
+    if (!adapter || !adapter.idPattern || !job.link) {
+        return null;
+    }
+    const match = job.link.match(adapter.idPattern);
+    return match ? match[1] : null;
+}
+
+function getJobId(job, adapter) {
+    const sourceId = getSourceId(job, adapter);
+    if (sourceId) {
+        return `${adapter.name}:${sourceId}`;
+    }
+    return `url:${canonicalizeUrl(job.link || '')}`;
+}
+
+/**
+ * Give every job an id and drop duplicates of the same posting, keeping the first
+ */
+function assignJobIds(jobs, adapter) {
+    const seen = new Set();
+    const result = [];
+
+    for (const job of jobs) {
+        const id = job.id || getJobId(job, adapter);
+        if (!seen.has(id)) {
+            seen.add(id);
+            result.push({ id, ...job });
+        }
+    }
+
+    return result;
+}
+
+module.exports = {
+    canonicalizeUrl,
+    getJobId,
+    assignJobIds
+};
@@ -0,0 +1,136 @@
+/**
+ * Field normalization for scraped jobs, run after extraction and before hashing
+ *
+ * - collapses whitespace in text fields
+ * - splits badges such as "Engineering • Live and Work Anywhere" into
+ *   department and a workplace attribute (remote / hybrid / onsite)
+ * - canonicalizes location strings ("Bengaluru,  IND" -> "Bangalore, India")
+ */
+
+const TEXT_FIELDS = ['title', 'department', 'location'];
+
+// Separators sites use between a department and its badges
+const COMPOUND_SEPARATOR = /\s*[•·|]\s*/;
+
+const WORKPLACE_PATTERNS = [
+    { workplace: 'remote', pattern: /\b(remote|live and work anywhere|work from (home|anywhere)|wfh|distributed|anywhere)\b/i },
+    { workplace: 'hybrid', pattern: /\bhybrid\b/i },
+    { workplace: 'onsite', pattern: /\b(on[- ]?site|in[- ]office|office[- ]based)\b/i }
+];
+
+const LOCATION_ALIASES = {
+    'bengaluru': 'Bangalore',
+    'bangalore urban': 'Bangalore',
+    'bombay': 'Mumbai',
+    'gurugram': 'Gurgaon',
+    'new delhi': 'Delhi',
+    'nyc': 'New York',
+    'new york city': 'New York',
+    'sf': 'San Francisco'
+};
+
+// Country names and codes, only ever the last part of a location. No
+// two-letter code that is also a US state: "IN" is Indiana as often as India.
+const COUNTRY_ALIASES = {
+    'ind': 'India',
+    'us': 'United States',
+    'usa': 'United States',
+    'united states of america': 'United States',
+    'uk': 'United Kingdom',
+    'gb': 'United Kingdom'
+};
+
+function collapseWhitespace(value) {
+    return value.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Classify a piece of text as a workplace badge, or null
+ */
+function detectWorkplace(text) {
+    if (!text) {
+        return null;
+    }
+    const match = WORKPLACE_PATTERNS.find(({ pattern }) => pattern.test(text));
+    return match ? match.workplace : null;
+}
+
+/**
+ * "Engineering • Live and Work Anywhere" -> { department: 'Engineering', workplace: 'remote' }
+ */
+function splitDepartment(department) {
+    const parts = department.split(COMPOUND_SEPARATOR).filter(Boolean);
+    const departmentParts = [];
+    let workplace = null;
+
+    for (const part of parts) {
+        const partWorkplace = detectWorkplace(part);
+        if (partWorkplace && parts.length > 1) {
+            workplace = workplace || partWorkplace;
+        } else {
+            departmentParts.push(part);
+        }
+    }
+
+    return {
+        department: departmentParts.length > 0 ? departmentParts.join(' - ') : department,
+        workplace
+    };
+}
+
+/**
+ * Normalize separators, aliases and duplicate parts in a location string
+ */
+function canonicalizeLocation(location) {
+    const parts = location
+        .split(/\s*(?:,|;|\/|\s-\s|\|)\s*/)
+        .map(part => part.trim())
+        .filter(Boolean)
+        .map((part, index, all) => LOCATION_ALIASES[part.toLowerCase()] ||
+            (index === all.length - 1 && COUNTRY_ALIASES[part.toLowerCase()]) || part);
+
+    const unique = parts.filter((part, index) =>
+        parts.findIndex(other => other.toLowerCase() === part.toLowerCase()) === index);
+
+    return unique.join(', ');
+}
+
+/**
+ * Normalize one job. Fields other than title/department/location are kept as-is.
+ */
+function normalizeJob(job) {
+    const normalized = { ...job };
+
+    for (const field of TEXT_FIELDS) {
+        if (typeof normalized[field] === 'string') {
+            normalized[field] = collapseWhitespace(normalized[field]);
+        }
+    }
+
+    let workplace = job.workplace || null;
+
+    if (normalized.department) {
+        const split = splitDepartment(normalized.department);
+        normalized.department = split.department;
+        workplace = workplace || split.workplace;
+    }
+
+    if (normalized.location && normalized.location !== 'N/A') {
+        normalized.location = canonicalizeLocation(normalized.location);
+        workplace = workplace || detectWorkplace(normalized.location);
+    }
+
+    normalized.workplace = workplace;
+    return normalized;
+}
+
+function normalizeJobs(jobs) {
+    return jobs.map(normalizeJob);
+}
+
+module.exports = {
+    normalizeJob,
+    normalizeJobs,
+    canonicalizeLocation,
+    detectWorkplace
+};
@@ -0,0 +1,71 @@
+/**
+ * Helpers shared by the notifiers: alert headings, the lines describing a
+ * job, and posting JSON with fetch
+ */
+
+const { describeClassification } = require('../classify');
+const { formatBreakdown } = require('../score');
+
+function truncate(text, limit) {
+    return text.length > limit ? `${text.slice(0, limit - 1)}…` : text;
+}
+
+/**
+ * Alert heading, e.g. "🚀 3 new jobs", "🗞️ Daily digest: 3 new jobs" or
+ * "📪 2 jobs closed"
+ */
+function alertHeading(batch) {
+    const jobs = `job${batch.count === 1 ? '' : 's'}`;
+    if (batch.kind === 'closed') {
+        return `📪 ${batch.count} ${jobs} closed`;
+    }
+    if (batch.digest === 'daily' || batch.digest === 'weekly') {
+        return `🗞️ ${batch.digest === 'daily' ? 'Daily' : 'Weekly'} digest: ${batch.count} new ${jobs}`;
+    }
+    return `🚀 ${batch.count} new ${jobs}`;
+}
+
+/**
+ * The lines describing one job, without its title or link
+ */
+function jobDetails(job) {
+    const lines = [`${job.department} · ${job.location}${job.workplace ? ` (${job.workplace})` : ''}`];
+    const level = describeClassification(job);
+    if (level) {
+        lines.push(`Level: ${level}`);
+    }
+    if (job.score_breakdown && job.score_breakdown.length > 0) {
+        lines.push(`Score: ${job.score} (${formatBreakdown(job)})`);
+    }
+    if (job.matched_clauses && job.matched_clauses.length > 0) {
+        lines.push(`Matched: ${job.matched_clauses.join(', ')}`);
+    }
+    return lines;
+}
+
+/**
+ * The batch as JSON consumers see it, with an "event" such as "new_jobs"
+ */
+function batchPayload(batch) {
+    return { event: `${batch.kind}_jobs`, ...batch };
+}
+
+/**
+ * POST a JSON body, resolving to the response; fetchFn defaults to
+ * globalThis.fetch so this runs the same on Node and Workers
+ */
+function postJson(fetchFn, url, body) {
+    return (fetchFn || globalThis.fetch)(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+}
+
+module.exports = {
+    truncate,
+    alertHeading,
+    jobDetails,
+    batchPayload,
+    postJson
+};
@@ -0,0 +1,82 @@
+/**
+ * Discord notifier: posts alerts to a channel webhook as one embed
+ */
+
+const { truncate, alertHeading, jobDetails, postJson } = require('./common');
+
+// Discord allows 25 embed fields; keep alerts readable well before that
+const DISCORD_MAX_JOBS = 10;
+const DISCORD_FIELD_LIMIT = 1024;
+
+/**
+ * Markdown apply links, one per location for grouped postings
+ */
+function applyLinks(job) {
+    if (!job.postings) {
+        return `[Apply Here](${job.link})`;
+    }
+    return `Apply: ${job.postings.map(posting => `[${posting.location}](${posting.link})`).join(' · ')}`;
+}
+
+/**
+ * Discord webhook payload with one embed field per job
+ */
+function discordMessage(batch) {
+    const shown = batch.jobs.slice(0, DISCORD_MAX_JOBS);
+    const more = batch.jobs.length - shown.length;
+    const description = [
+        batch.filters.length > 0 ? `Filters: ${batch.filters.join('; ')}` : '',
+        more > 0 ? `Showing the top ${shown.length}, ${more} more not shown` : ''
+    ].filter(Boolean).join('\n');
+
+    return {
+        embeds: [{
+            title: alertHeading(batch),
+            ...(description ? { description } : {}),
+            color: batch.kind === 'closed' ? 0x484848 : 0xFF5A5F,
+            fields: shown.map(job => ({
+                name: truncate(job.title, 256),
+                value: truncate(`${jobDetails(job).join('\n')}\n${applyLinks(job)}`, DISCORD_FIELD_LIMIT),
+                inline: false
+            })),
+            timestamp: batch.timestamp
+        }]
+    };
+}
+
+class DiscordNotifier {
+    constructor({ webhookUrl, fetch } = {}) {
+        this.name = 'discord';
+        this.webhookUrl = webhookUrl;
+        this.fetch = fetch;
+    }
+
+    isConfigured() {
+        return Boolean(this.webhookUrl);
+    }
+
+    async send(batch) {
+        return this.post(discordMessage(batch));
+    }
+
+    async test() {
+        return this.post({ content: '🧪 Test alert from your job scraper: Discord alerts are working!' });
+    }
+
+    async post(body) {
+        try {
+            const response = await postJson(this.fetch, this.webhookUrl, body);
+            if (!response.ok) {
+                return { success: false, error: `Discord webhook returned HTTP ${response.status}` };
+            }
+            return { success: true };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+}
+
+module.exports = {
+    discordMessage,
+    DiscordNotifier
+};
@@ -0,0 +1,34 @@
+/**
+ * Email notifier
+ *
+ * Wraps an email service: the MailSlurp services (email-service.js,
+ * src/worker-email-service.js) or any object with the same
+ * sendJobAlert(jobs, filters, { to, digest }), sendClosedJobsAlert(jobs)
+ * and testEmailService() methods.
+ */
+
+class EmailNotifier {
+    constructor({ service, to } = {}) {
+        this.name = 'email';
+        this.service = service;
+        this.to = to;
+    }
+
+    isConfigured() {
+        return Boolean(this.service && this.to);
+    }
+
+    async send(batch) {
+        const result = batch.kind === 'closed'
+            ? await this.service.sendClosedJobsAlert(batch.jobs)
+            : await this.service.sendJobAlert(batch.jobs, batch.filters, { to: this.to, digest: batch.digest });
+        return { success: result.success, messageId: result.emailId, error: result.error };
+    }
+
+    async test() {
+        const result = await this.service.testEmailService();
+        return { success: result.success, messageId: result.emailId, error: result.error };
+    }
+}
+
+module.exports = { EmailNotifier };
@@ -0,0 +1,40 @@
+/**
+ * File log notifier: appends each alert batch to a file as one JSON line,
+ * in the same shape the webhook notifier posts
+ *
+ * The runtime passes in appendFile (fs.promises.appendFile on Node), so
+ * this module loads on Workers too, where it is never configured.
+ */
+
+const { batchPayload } = require('./common');
+
+class FileLogNotifier {
+    constructor({ path, appendFile } = {}) {
+        this.name = 'file';
+        this.path = path;
+        this.appendFile = appendFile;
+    }
+
+    isConfigured() {
+        return Boolean(this.path && this.appendFile);
+    }
+
+    async send(batch) {
+        return this.append(batchPayload(batch));
+    }
+
+    async test() {
+        return this.append({ event: 'test', timestamp: new Date().toISOString() });
+    }
+
+    async append(entry) {
+        try {
+            await this.appendFile(this.path, JSON.stringify(entry) + '\n');
+            return { success: true };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+}
+
+module.exports = { FileLogNotifier };
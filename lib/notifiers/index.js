@@ -0,0 +1,109 @@
+/**
+ * Alert channels
+ *
+ * The check loop (lib/check.js) sends every alert through this interface,
+ * so each runtime can turn on any mix of channels:
+ *
+ *   name                 channel name recorded with notifications, e.g. "discord"
+ *   isConfigured()       -> whether it has what it needs to send
+ *   send(batch)          -> { success, messageId, error }, never throws
+ *   test()               -> the same, after sending a test message
+ *
+ * Every channel gets the same alert batch (createAlertBatch below):
+ *
+ *   { kind: 'new' | 'closed', timestamp, count, jobs, filters,
+ *     subscriber?, digest? }
+ *
+ *   EmailNotifier        email.js           MailSlurp (or any email service with the same methods)
+ *   DiscordNotifier      discord.js         channel webhook
+ *   TelegramNotifier     telegram.js        bot message to a chat
+ *   WebhookNotifier      webhook.js         the batch as JSON to any URL
+ *   FileLogNotifier      file-log.js        the batch as a JSON line in a file (Node only)
+ */
+
+const { EmailNotifier } = require('./email');
+const { DiscordNotifier } = require('./discord');
+const { TelegramNotifier } = require('./telegram');
+const { WebhookNotifier } = require('./webhook');
+const { FileLogNotifier } = require('./file-log');
+
+/**
+ * Build the alert batch every channel receives
+ *
+ * options: { filters, subscriber, digest }
+ */
+function createAlertBatch(kind, jobs, options = {}) {
+    return {
+        kind,
+        timestamp: new Date().toISOString(),
+        count: jobs.length,
+        jobs,
+        filters: options.filters || [],
+        ...(options.subscriber ? { subscriber: options.subscriber, digest: options.digest } : {})
+    };
+}
+
+/**
+ * The configured channels for the main alert
+ *
+ * env is process.env or a Worker's env. Email is on once it is set up;
+ * every other channel is opt-in with its <NAME>_ENABLED set to "true" (as
+ * with FILE_LOG_ENABLED) and needs its settings present. runtime:
+ * { email: { service, to }, fetch, appendFile } is what the runtime can offer.
+ */
+function createNotifiers(env, runtime = {}) {
+    const enabled = name => env[`${name}_ENABLED`] === 'true';
+    const notifiers = [];
+
+    notifiers.push(new EmailNotifier(runtime.email));
+    if (enabled('DISCORD')) {
+        notifiers.push(new DiscordNotifier({ webhookUrl: env.DISCORD_WEBHOOK_URL, fetch: runtime.fetch }));
+    }
+    if (enabled('TELEGRAM')) {
+        notifiers.push(new TelegramNotifier({ botToken: env.TELEGRAM_BOT_TOKEN, chatId: env.TELEGRAM_CHAT_ID, fetch: runtime.fetch }));
+    }
+    if (enabled('WEBHOOK')) {
+        notifiers.push(new WebhookNotifier({ url: env.WEBHOOK_URL, fetch: runtime.fetch }));
+    }
+    if (enabled('FILE_LOG')) {
+        notifiers.push(new FileLogNotifier({ path: env.LOG_FILE_PATH || './job-alerts.log', appendFile: runtime.appendFile }));
+    }
+
+    return notifiers.filter(notifier => notifier.isConfigured());
+}
+
+/**
+ * Notifier factories for subscribers' channels (lib/subscriptions.js),
+ * each taking the subscriber's destination: an email address, a Discord
+ * webhook URL or a Telegram chat ID (sent by TELEGRAM_BOT_TOKEN's bot)
+ */
+function subscriberNotifiers(env, runtime = {}) {
+    return {
+        email: to => new EmailNotifier({ service: runtime.email && runtime.email.service, to }),
+        discord: webhookUrl => new DiscordNotifier({ webhookUrl, fetch: runtime.fetch }),
+        telegram: chatId => new TelegramNotifier({ botToken: env.TELEGRAM_BOT_TOKEN, chatId, fetch: runtime.fetch })
+    };
+}
+
+/**
+ * Send a test message through each notifier, one after another
+ */
+async function testNotifiers(notifiers) {
+    const results = [];
+    for (const notifier of notifiers) {
+        results.push({ channel: notifier.name, ...(await notifier.test()) });
+    }
+    return results;
+}
+
+module.exports = {
+    createAlertBatch,
+    createNotifiers,
+    subscriberNotifiers,
+    testNotifiers,
+    EmailNotifier,
+    DiscordNotifier,
+    TelegramNotifier,
+    WebhookNotifier,
+    FileLogNotifier
+};
@@ -0,0 +1,80 @@
+/**
+ * Telegram notifier: sends alerts to a chat through a bot (HTML parse mode)
+ */
+
+const { alertHeading, jobDetails, postJson } = require('./common');
+
+// Telegram messages are capped at 4096 characters
+const TELEGRAM_LIMIT = 4096;
+
+function escapeHtml(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * Telegram message text, cut off at whole jobs
+ */
+function telegramMessage(batch) {
+    let text = `<b>${escapeHtml(alertHeading(batch))}</b>\n`;
+    if (batch.filters.length > 0) {
+        text += `Filters: ${escapeHtml(batch.filters.join('; '))}\n`;
+    }
+
+    for (const [index, job] of batch.jobs.entries()) {
+        const postings = job.postings
+            ? `Apply: ${job.postings.map(posting => `<a href="${escapeHtml(posting.link)}">${escapeHtml(posting.location)}</a>`).join(' · ')}\n`
+            : '';
+        const entry = `\n<b><a href="${escapeHtml(job.link)}">${escapeHtml(job.title)}</a></b>\n` +
+            jobDetails(job).map(line => `${escapeHtml(line)}\n`).join('') + postings;
+        const more = `\n…and ${batch.jobs.length - index} more`;
+        if (text.length + entry.length + more.length > TELEGRAM_LIMIT) {
+            return text + more;
+        }
+        text += entry;
+    }
+    return text;
+}
+
+class TelegramNotifier {
+    constructor({ botToken, chatId, fetch } = {}) {
+        this.name = 'telegram';
+        this.botToken = botToken;
+        this.chatId = chatId;
+        this.fetch = fetch;
+    }
+
+    isConfigured() {
+        return Boolean(this.botToken && this.chatId);
+    }
+
+    async send(batch) {
+        return this.sendMessage(telegramMessage(batch));
+    }
+
+    async test() {
+        return this.sendMessage('🧪 Test alert from your job scraper: Telegram alerts are working!');
+    }
+
+    async sendMessage(text) {
+        try {
+            const response = await postJson(this.fetch, `https://api.telegram.org/bot${this.botToken}/sendMessage`, {
+                chat_id: this.chatId,
+                text,
+                parse_mode: 'HTML',
+                disable_web_page_preview: true
+            });
+            const result = await response.json();
+            if (!result.ok) {
+                return { success: false, error: `Telegram: ${result.description || `HTTP ${response.status}`}` };
+            }
+            return { success: true, messageId: String(result.result.message_id) };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+}
+
+module.exports = {
+    telegramMessage,
+    TelegramNotifier
+};
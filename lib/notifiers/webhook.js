@@ -0,0 +1,42 @@
+/**
+ * Generic webhook notifier: POSTs the alert batch as JSON, e.g.
+ *
+ *   { "event": "new_jobs", "kind": "new", "timestamp": "...", "count": 2,
+ *     "jobs": [...], "filters": [...] }
+ */
+
+const { batchPayload, postJson } = require('./common');
+
+class WebhookNotifier {
+    constructor({ url, fetch } = {}) {
+        this.name = 'webhook';
+        this.url = url;
+        this.fetch = fetch;
+    }
+
+    isConfigured() {
+        return Boolean(this.url);
+    }
+
+    async send(batch) {
+        return this.post(batchPayload(batch));
+    }
+
+    async test() {
+        return this.post({ event: 'test', timestamp: new Date().toISOString() });
+    }
+
+    async post(body) {
+        try {
+            const response = await postJson(this.fetch, this.url, body);
+            if (!response.ok) {
+                return { success: false, error: `Webhook returned HTTP ${response.status}` };
+            }
+            return { success: true };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+}
+
+module.exports = { WebhookNotifier };
@@ -0,0 +1,179 @@
+/**
+ * Puppeteer listing extraction shared by the Node scrapers
+ *
+ * Listings that span several pages are followed according to the adapter's
+ * (or target's) pagination settings:
+ *   { type: 'next', selector }                    - "next page" link or button
+ *   { type: 'numbered', selector }                - numbered page links, visited in order
+ *   { type: 'load-more', selector }               - "load more" button, or infinite scroll when no selector
+ */
+
+const { itemSelector, collectRawItems, applySpec } = require('./extraction');
+const { getJobId } = require('./job-id');
+
+const DEFAULT_MAX_PAGES = 10;
+
+/**
+ * Wait for the adapter's listing to render and extract its jobs from every page
+ * Returns { jobs, pagesVisited }
+ */
+async function extractJobsFromPage(page, adapter, options = {}) {
+    const timeout = options.timeout || 30000;
+    const maxPages = options.maxPages || DEFAULT_MAX_PAGES;
+    const pagination = options.pagination || adapter.pagination;
+
+    await waitForListing(page, adapter, timeout);
+
+    // Keyed by job ID so re-rendered or overlapping pages don't duplicate jobs
+    const jobsById = new Map();
+    const collect = jobs => jobs.forEach(job => {
+        const id = getJobId(job, adapter);
+        if (!jobsById.has(id)) {
+            jobsById.set(id, { id, ...job });
+        }
+    });
+
+    collect(await extractCurrentPage(page, adapter.spec));
+    let pagesVisited = 1;
+
+    const pager = pagination && { itemSelector: itemSelector(adapter.spec), ...pagination };
+    while (pager && pagesVisited < maxPages) {
+        const advanced = await goToNextPage(page, pager, pagesVisited + 1, timeout);
+        if (!advanced) {
+            break;
+        }
+
+        await waitForListing(page, adapter, timeout);
+        pagesVisited++;
+
+        const countBefore = jobsById.size;
+        collect(await extractCurrentPage(page, adapter.spec));
+
+        // Nothing new means the listing is exhausted or the pager is looping
+        if (jobsById.size === countBefore) {
+            break;
+        }
+    }
+
+    // Only worth a warning if the cap, not the end of the listing, stopped us
+    if (pager && pagesVisited >= maxPages && await hasNextPage(page, pager, pagesVisited + 1)) {
+        console.log(`⚠️ Stopped after ${maxPages} page(s), the listing may have more`);
+    }
+
+    return { jobs: [...jobsById.values()], pagesVisited };
+}
+
+async function extractCurrentPage(page, spec) {
+    const rawItems = await page.evaluate(collectRawItems, spec);
+    return applySpec(rawItems, spec, page.url());
+}
+
+async function waitForListing(page, adapter, timeout) {
+    await page.waitForSelector(adapter.spec.container || itemSelector(adapter.spec), { timeout });
+}
+
+/**
+ * Find the enabled control leading to the given page (a "next" link,
+ * numbered link or "load more" button), or null when there is none
+ */
+async function findNextControl(page, pagination, pageNumber) {
+    if (!pagination.selector) {
+        return null;
+    }
+
+    if (pagination.type === 'numbered') {
+        const links = await page.$$(pagination.selector);
+        for (const link of links) {
+            const text = await link.evaluate(el => el.textContent.trim());
+            if (text === String(pageNumber) && !(await isDisabled(link))) {
+                return link;
+            }
+        }
+        return null;
+    }
+
+    const control = await page.$(pagination.selector);
+    return control && !(await isDisabled(control)) ? control : null;
+}
+
+/**
+ * Whether the listing offers another page, without moving to it
+ */
+async function hasNextPage(page, pagination, pageNumber) {
+    // Scrolling can always be tried, so there's no telling whether it would load more
+    if (pagination.type === 'infinite-scroll' || (pagination.type === 'load-more' && !pagination.selector)) {
+        return true;
+    }
+    return Boolean(await findNextControl(page, pagination, pageNumber));
+}
+
+/**
+ * Move the page on to the next batch of results
+ * Returns false when there is nothing more to load
+ */
+async function goToNextPage(page, pagination, pageNumber, timeout) {
+    switch (pagination.type) {
+        case 'next':
+        case 'numbered': {
+            const control = await findNextControl(page, pagination, pageNumber);
+            return control ? followOrClick(page, control, timeout) : false;
+        }
+
+        case 'load-more':
+        case 'infinite-scroll': {
+            const countBefore = await page.$$eval(pagination.itemSelector, items => items.length);
+            const button = await findNextControl(page, pagination, pageNumber);
+
+            if (button) {
+                await button.click();
+            } else if (pagination.selector && pagination.type === 'load-more') {
+                return false;
+            } else {
+                await page.evaluate(() => window.scrollTo(0, document.body.scrollHeight));
+            }
+
+            try {
+                await page.waitForFunction(
+                    (selector, count) => document.querySelectorAll(selector).length > count,
+                    { timeout: pagination.waitTimeout || 10000 },
+                    pagination.itemSelector,
+                    countBefore
+                );
+                return true;
+            } catch (error) {
+                // No more items appeared
+                return false;
+            }
+        }
+
+        default:
+            throw new Error(`Unknown pagination type "${pagination.type}"`);
+    }
+}
+
+/**
+ * Navigate to the element's href if it has one, otherwise click it and let the listing re-render
+ */
+async function followOrClick(page, element, timeout) {
+    const href = await element.evaluate(el => (el.tagName === 'A' && el.href && !el.href.startsWith('javascript:') ? el.href : null));
+    const currentUrl = page.url();
+
+    if (href && href !== currentUrl && !href.startsWith(`${currentUrl.split('#')[0]}#`)) {
+        await page.goto(href, { waitUntil: 'networkidle2', timeout });
+    } else {
+        await element.click();
+        await page.waitForNetworkIdle({ idleTime: 500, timeout }).catch(() => {});
+    }
+
+    return true;
+}
+
+function isDisabled(element) {
+    return element.evaluate(el => el.disabled === true
+        || el.getAttribute('aria-disabled') === 'true'
+        || el.classList.contains('disabled')
+        || el.classList.contains('active')
+        || el.getAttribute('aria-current') === 'page');
+}
+
+module.exports = { extractJobsFromPage, DEFAULT_MAX_PAGES };
@@ -0,0 +1,112 @@
+/**
+ * Lock file that keeps job checks from overlapping (Node only)
+ *
+ * The lock records who holds it. It is written in full to a temp file and
+ * linked into place, which fails if a lock already exists, so nobody ever
+ * reads a half-written one. A lock left behind by a process that died is
+ * taken over: on the same machine as soon as its process is gone, otherwise
+ * once it is older than staleMs.
+ */
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+
+const DEFAULT_STALE_MS = 60 * 60 * 1000;
+
+function isRunning(pid) {
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch (error) {
+        // EPERM: the process exists but belongs to someone else
+        return error.code === 'EPERM';
+    }
+}
+
+async function readLock(file) {
+    try {
+        return JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (error) {
+        return error.code === 'ENOENT' ? undefined : null;
+    }
+}
+
+async function isStale(file, lock, staleMs) {
+    if (!lock || !lock.startedAt) {
+        // Unreadable, e.g. damaged or from an older version: all we have is its age
+        try {
+            return Date.now() - (await fs.stat(file)).mtimeMs > staleMs;
+        } catch (error) {
+            return true; // gone already
+        }
+    }
+    if (lock.hostname === os.hostname() && !isRunning(lock.pid)) {
+        return true;
+    }
+    return Date.now() - Date.parse(lock.startedAt) > staleMs;
+}
+
+/**
+ * Create the lock file, failing with EEXIST if there already is one
+ */
+async function createLock(file, lock) {
+    const temp = path.join(path.dirname(file), `.${path.basename(file)}.${process.pid}.tmp`);
+    await fs.writeFile(temp, JSON.stringify(lock));
+    try {
+        await fs.link(temp, file);
+    } finally {
+        await fs.unlink(temp).catch(() => {});
+    }
+}
+
+/**
+ * Try to take the lock
+ *
+ * Returns { acquired: true, release } or { acquired: false, heldBy, startedAt }.
+ * release() only removes the lock while it is still ours.
+ */
+async function acquireRunLock(file, options = {}) {
+    const staleMs = options.staleMs || DEFAULT_STALE_MS;
+    const lock = {
+        pid: process.pid,
+        hostname: os.hostname(),
+        startedAt: new Date().toISOString()
+    };
+
+    for (let attempt = 0; attempt < 2; attempt++) {
+        try {
+            await createLock(file, lock);
+            return {
+                acquired: true,
+                release: async () => {
+                    const current = await readLock(file);
+                    if (current && current.pid === lock.pid && current.startedAt === lock.startedAt) {
+                        await fs.unlink(file).catch(() => {});
+                    }
+                }
+            };
+        } catch (error) {
+            if (error.code !== 'EEXIST') {
+                throw error;
+            }
+        }
+
+        const holder = await readLock(file);
+        if (holder === undefined) {
+            continue; // released in the meantime
+        }
+        if (!(await isStale(file, holder, staleMs))) {
+            return holder && holder.startedAt
+                ? { acquired: false, heldBy: `${holder.hostname}:${holder.pid}`, startedAt: holder.startedAt }
+                : { acquired: false, heldBy: 'unknown', startedAt: null };
+        }
+
+        console.log(`🔓 Removing stale lock ${file}${holder ? ` (pid ${holder.pid}, started ${holder.startedAt})` : ''}`);
+        await fs.unlink(file).catch(() => {});
+    }
+
+    return { acquired: false, heldBy: 'unknown', startedAt: null };
+}
+
+module.exports = { acquireRunLock };
@@ -0,0 +1,205 @@
+/**
+ * Relevance scoring
+ *
+ * Gives each matching job a score so alerts can lead with the best fits and
+ * leave out marginal ones. Scoring is configured with a JSON object:
+ *
+ *   {
+ *     "keywords": { "Backend": 3, "Kubernetes": 2, "PHP": -2 },
+ *     "fields": { "title": 3, "department": 1 },
+ *     "rules": [
+ *       { "match": "location:Remote OR workplace:remote", "score": 4, "label": "Remote" },
+ *       { "match": "department:\"Trust & Safety\"", "score": -10, "label": "Excluded team" }
+ *     ],
+ *     "minScore": 3
+ *   }
+ *
+ * Each keyword found in a job scores its weight times the weight of the
+ * best field it was found in. Without keywords, every filter term the job
+ * matched (matched_clauses) counts 1 the same way. Rules are filter
+ * expressions (lib/filter.js) adding a bonus or penalty. Jobs scoring under
+ * minScore are dropped.
+ *
+ * Each scored job gets `score` and `score_breakdown`, a list of
+ * { reason, points }.
+ */
+
+const { FIELDS, parseFilter, matchJob } = require('./filter');
+
+// Fields searched for keywords and clauses, and what a match in each is worth
+const DEFAULT_FIELD_WEIGHTS = {
+    title: 3,
+    department: 1,
+    location: 1,
+    workplace: 1,
+    description: 0.5,
+    seniority: 1,
+    role_family: 1
+};
+
+const DEFAULT_SCORING = {
+    keywords: {},
+    fields: DEFAULT_FIELD_WEIGHTS,
+    rules: [],
+    minScore: null
+};
+
+function isNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value);
+}
+
+/**
+ * Parse and check a scoring config
+ *
+ * value is an object or a JSON string; name labels errors, e.g.
+ * "SCORING_RULES". Missing parts fall back to the defaults.
+ */
+function loadScoring(value, name = 'scoring') {
+    if (!value) {
+        return DEFAULT_SCORING;
+    }
+
+    let config;
+    try {
+        config = typeof value === 'string' ? JSON.parse(value) : value;
+    } catch (error) {
+        throw new Error(`${name} is not valid JSON: ${error.message}`);
+    }
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+        throw new Error(`${name} must be a JSON object`);
+    }
+
+    const keywords = config.keywords || {};
+    for (const [keyword, weight] of Object.entries(keywords)) {
+        if (!isNumber(weight)) {
+            throw new Error(`${name}: keyword "${keyword}" needs a numeric weight`);
+        }
+    }
+
+    const fields = config.fields ? { ...DEFAULT_FIELD_WEIGHTS, ...config.fields } : DEFAULT_FIELD_WEIGHTS;
+    for (const [field, weight] of Object.entries(fields)) {
+        if (!FIELDS.includes(field)) {
+            throw new Error(`${name}: unknown field "${field}", use ${FIELDS.join(', ')}`);
+        }
+        if (!isNumber(weight)) {
+            throw new Error(`${name}: field "${field}" needs a numeric weight`);
+        }
+    }
+
+    const rules = config.rules || [];
+    if (!Array.isArray(rules)) {
+        throw new Error(`${name}: "rules" must be a list`);
+    }
+    for (const rule of rules) {
+        if (!rule || typeof rule.match !== 'string' || !isNumber(rule.score)) {
+            throw new Error(`${name}: every rule needs a "match" and a numeric "score"`);
+        }
+        try {
+            parseFilter(rule.match);
+        } catch (error) {
+            throw new Error(`${name}: rule "${rule.label || rule.match}": ${error.message}`);
+        }
+    }
+
+    if (config.minScore !== undefined && config.minScore !== null && !isNumber(config.minScore)) {
+        throw new Error(`${name}: "minScore" must be a number`);
+    }
+
+    return {
+        keywords,
+        fields,
+        rules,
+        minScore: isNumber(config.minScore) ? config.minScore : null
+    };
+}
+
+/**
+ * The best weighted field a filter term matches in, or null
+ *
+ * Each field is tried on its own, so a term that searches several fields
+ * counts where it matters most.
+ */
+function bestField(job, term, fields, options) {
+    let best = null;
+    for (const [field, weight] of Object.entries(fields)) {
+        if (job[field] == null || (best && weight <= best.weight)) {
+            continue;
+        }
+        if (matchJob({ [field]: job[field] }, term, options)) {
+            best = { field, weight };
+        }
+    }
+    return best;
+}
+
+function round(points) {
+    return Math.round(points * 100) / 100;
+}
+
+/**
+ * Score one job; returns a copy with score and score_breakdown
+ *
+ * options.synonyms is passed on to the matcher.
+ */
+function scoreJob(job, scoring = DEFAULT_SCORING, options) {
+    const breakdown = [];
+
+    const keywords = Object.entries(scoring.keywords);
+    const terms = keywords.length > 0
+        ? keywords.map(([keyword, weight]) => ({ reason: keyword, term: `any:${JSON.stringify(keyword)}`, weight }))
+        : (job.matched_clauses || []).map(clause => ({ reason: clause, term: clause, weight: 1 }));
+
+    for (const { reason, term, weight } of terms) {
+        const field = bestField(job, term, scoring.fields, options);
+        if (field && field.weight !== 0 && weight !== 0) {
+            breakdown.push({ reason: `${reason} in ${field.field}`, points: round(weight * field.weight) });
+        }
+    }
+
+    for (const rule of scoring.rules) {
+        if (matchJob(job, rule.match, options)) {
+            breakdown.push({ reason: rule.label || rule.match, points: rule.score });
+        }
+    }
+
+    return {
+        ...job,
+        score: round(breakdown.reduce((total, entry) => total + entry.points, 0)),
+        score_breakdown: breakdown
+    };
+}
+
+/**
+ * Score jobs and drop the ones under the minimum score
+ */
+function scoreJobs(jobs, scoring = DEFAULT_SCORING, options) {
+    return jobs
+        .map(job => scoreJob(job, scoring, options))
+        .filter(job => scoring.minScore === null || job.score >= scoring.minScore);
+}
+
+/**
+ * Highest score first; jobs with equal scores keep their order
+ */
+function sortByScore(jobs) {
+    return [...jobs].sort((a, b) => (b.score || 0) - (a.score || 0));
+}
+
+/**
+ * Breakdown as text, e.g. "Backend in title +9, Remote +4"
+ */
+function formatBreakdown(job) {
+    return (job.score_breakdown || [])
+        .map(entry => `${entry.reason} ${entry.points >= 0 ? '+' : '−'}${Math.abs(entry.points)}`)
+        .join(', ');
+}
+
+module.exports = {
+    DEFAULT_FIELD_WEIGHTS,
+    DEFAULT_SCORING,
+    loadScoring,
+    scoreJob,
+    scoreJobs,
+    sortByScore,
+    formatBreakdown
+};
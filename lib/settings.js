@@ -0,0 +1,21 @@
+/**
+ * JSON settings that can live in a file (Node only)
+ *
+ * For a setting NAME, NAME_FILE points at a JSON file; otherwise NAME holds
+ * the JSON itself, which is also how the Worker takes it.
+ */
+
+const fs = require('fs');
+
+/**
+ * Read a setting's raw JSON and where it came from, for error messages
+ */
+function readJsonSetting(env, name) {
+    const file = env[`${name}_FILE`];
+    if (file) {
+        return { value: fs.readFileSync(file, 'utf8'), source: `${name}_FILE (${file})` };
+    }
+    return { value: env[name], source: name };
+}
+
+module.exports = { readJsonSetting };
@@ -0,0 +1,409 @@
+/**
+ * SQLite-backed job store for the Node scrapers
+ *
+ * Replaces the loose state files (jobs-hash.txt, latest-jobs.json,
+ * job-history.json, previous-jobs.json, scraper-log.json) with one
+ * embedded database that is written transactionally and can be queried:
+ *
+ *   jobs           one row per job per target: lifecycle history, plus the
+ *                  latest details and whether it is in the current snapshot
+ *   snapshots      per-target hash and save time of the current snapshot
+ *   runs           one row per target check
+ *   observations   which jobs each run saw
+ *   notifications  every alert sent (or attempted), per job, channel and subscriber
+ *   activity       the activity log, without the 100 entry cap
+ *   subscriptions  who gets which alerts (lib/subscriptions.js)
+ *   digests        jobs queued for each subscriber's next digest
+ *
+ * The schema is versioned; MIGRATIONS are applied in order on open.
+ */
+
+const Database = require('better-sqlite3');
+
+const MIGRATIONS = [
+    {
+        version: 1,
+        up: `
+            CREATE TABLE jobs (
+                target TEXT NOT NULL,
+                id TEXT NOT NULL,
+                title TEXT,
+                link TEXT,
+                department TEXT,
+                location TEXT,
+                data TEXT,
+                listed INTEGER NOT NULL DEFAULT 0,
+                first_seen TEXT,
+                last_seen TEXT,
+                closed_at TEXT,
+                reopened INTEGER NOT NULL DEFAULT 0,
+                reopened_at TEXT,
+                missed INTEGER NOT NULL DEFAULT 0,
+                missing_since TEXT,
+                alerted_at TEXT,
+                PRIMARY KEY (target, id)
+            );
+            CREATE INDEX jobs_listed ON jobs (target, listed);
+
+            CREATE TABLE snapshots (
+                target TEXT PRIMARY KEY,
+                hash TEXT,
+                saved_at TEXT NOT NULL
+            );
+
+            CREATE TABLE runs (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                target TEXT NOT NULL,
+                started_at TEXT NOT NULL,
+                status TEXT NOT NULL,
+                jobs_count INTEGER,
+                pages_visited INTEGER,
+                hash TEXT,
+                changes TEXT,
+                error TEXT
+            );
+            CREATE INDEX runs_target ON runs (target, started_at);
+
+            CREATE TABLE observations (
+                run_id INTEGER NOT NULL REFERENCES runs (id) ON DELETE CASCADE,
+                job_id TEXT NOT NULL,
+                PRIMARY KEY (run_id, job_id)
+            );
+
+            CREATE TABLE notifications (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                kind TEXT NOT NULL,
+                channel TEXT NOT NULL,
+                target TEXT,
+                job_id TEXT,
+                sent_at TEXT NOT NULL,
+                status TEXT NOT NULL,
+                message_id TEXT,
+                error TEXT
+            );
+            CREATE INDEX notifications_job ON notifications (target, job_id);
+
+            CREATE TABLE activity (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                timestamp TEXT NOT NULL,
+                action TEXT,
+                target TEXT,
+                status TEXT,
+                data TEXT NOT NULL
+            );
+
+            CREATE TABLE meta (
+                key TEXT PRIMARY KEY,
+                value TEXT
+            );
+        `
+    },
+    {
+        version: 2,
+        up: `
+            CREATE TABLE subscriptions (
+                id TEXT PRIMARY KEY,
+                position INTEGER NOT NULL,
+                data TEXT NOT NULL
+            );
+
+            CREATE TABLE digests (
+                subscriber TEXT PRIMARY KEY,
+                since TEXT NOT NULL,
+                jobs TEXT NOT NULL
+            );
+
+            ALTER TABLE notifications ADD COLUMN subscriber TEXT;
+        `
+    }
+];
+
+// Lifecycle fields kept in their own columns (see lib/history.js)
+const HISTORY_FIELDS = [
+    'title', 'link', 'department', 'location', 'first_seen', 'last_seen', 'closed_at',
+    'reopened', 'reopened_at', 'missed', 'missing_since', 'alerted_at'
+];
+
+class JobStore {
+    constructor(filename = './scraper.db') {
+        this.filename = filename;
+        this.db = new Database(filename);
+        this.db.pragma('journal_mode = WAL');
+        this.db.pragma('foreign_keys = ON');
+        this.applied = this.migrate();
+    }
+
+    /**
+     * Apply pending migrations, returning the versions applied now
+     */
+    migrate() {
+        this.db.exec('CREATE TABLE IF NOT EXISTS schema_migrations (version INTEGER PRIMARY KEY, applied_at TEXT NOT NULL)');
+        const current = this.db.prepare('SELECT MAX(version) AS version FROM schema_migrations').get().version || 0;
+        const pending = MIGRATIONS.filter(migration => migration.version > current);
+
+        for (const migration of pending) {
+            this.transaction(() => {
+                this.db.exec(migration.up);
+                this.db.prepare('INSERT INTO schema_migrations (version, applied_at) VALUES (?, ?)')
+                    .run(migration.version, new Date().toISOString());
+            });
+        }
+
+        return pending.map(migration => migration.version);
+    }
+
+    get schemaVersion() {
+        return this.db.prepare('SELECT MAX(version) AS version FROM schema_migrations').get().version || 0;
+    }
+
+    /**
+     * Run fn inside a single transaction
+     */
+    transaction(fn) {
+        return this.db.transaction(fn)();
+    }
+
+    getMeta(key) {
+        const row = this.db.prepare('SELECT value FROM meta WHERE key = ?').get(key);
+        return row ? row.value : null;
+    }
+
+    setMeta(key, value) {
+        this.db.prepare('INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT (key) DO UPDATE SET value = excluded.value')
+            .run(key, value);
+    }
+
+    /**
+     * A target's current snapshot: { jobs, hash, savedAt }, or null before the first save
+     */
+    getSnapshot(target) {
+        const snapshot = this.db.prepare('SELECT hash, saved_at FROM snapshots WHERE target = ?').get(target);
+        if (!snapshot) {
+            return null;
+        }
+
+        const jobs = this.db.prepare('SELECT data FROM jobs WHERE target = ? AND listed = 1 ORDER BY rowid')
+            .all(target)
+            .map(row => JSON.parse(row.data));
+
+        return { jobs, hash: snapshot.hash, savedAt: snapshot.saved_at };
+    }
+
+    /**
+     * Replace a target's snapshot; the jobs and hash are committed together
+     */
+    saveSnapshot(target, jobs, hash) {
+        const now = new Date().toISOString();
+        const upsert = this.db.prepare(`
+            INSERT INTO jobs (target, id, title, link, department, location, data, listed, first_seen, last_seen)
+            VALUES (@target, @id, @title, @link, @department, @location, @data, 1, @seen, @seen)
+            ON CONFLICT (target, id) DO UPDATE SET
+                title = excluded.title, link = excluded.link, department = excluded.department,
+                location = excluded.location, data = excluded.data, listed = 1
+        `);
+
+        this.transaction(() => {
+            this.db.prepare('UPDATE jobs SET listed = 0 WHERE target = ?').run(target);
+            for (const job of jobs) {
+                upsert.run({
+                    target,
+                    id: job.id,
+                    title: job.title || null,
+                    link: job.link || null,
+                    department: job.department || null,
+                    location: job.location || null,
+                    data: JSON.stringify(job),
+                    // Only used for jobs without history yet, e.g. imported snapshots
+                    seen: job.scraped_at || now
+                });
+            }
+            this.db.prepare(`
+                INSERT INTO snapshots (target, hash, saved_at) VALUES (?, ?, ?)
+                ON CONFLICT (target) DO UPDATE SET hash = excluded.hash, saved_at = excluded.saved_at
+            `).run(target, hash || null, now);
+        });
+    }
+
+    /**
+     * A target's lifecycle history, in the shape lib/history.js works on
+     */
+    getHistory(target) {
+        const history = {};
+        const rows = this.db.prepare(`SELECT id, ${HISTORY_FIELDS.join(', ')} FROM jobs WHERE target = ? AND first_seen IS NOT NULL`)
+            .all(target);
+
+        for (const row of rows) {
+            history[row.id] = row;
+        }
+        return history;
+    }
+
+    /**
+     * Write back a target's lifecycle history
+     */
+    saveHistory(target, history) {
+        const columns = HISTORY_FIELDS.join(', ');
+        const values = HISTORY_FIELDS.map(field => `@${field}`).join(', ');
+        const updates = HISTORY_FIELDS.map(field => `${field} = excluded.${field}`).join(', ');
+        const upsert = this.db.prepare(`
+            INSERT INTO jobs (target, id, ${columns}) VALUES (@target, @id, ${values})
+            ON CONFLICT (target, id) DO UPDATE SET ${updates}
+        `);
+
+        this.transaction(() => {
+            for (const record of Object.values(history)) {
+                const row = { target, id: record.id };
+                for (const field of HISTORY_FIELDS) {
+                    row[field] = record[field] === undefined ? null : record[field];
+                }
+                row.reopened = row.reopened || 0;
+                row.missed = row.missed || 0;
+                upsert.run(row);
+            }
+        });
+    }
+
+    /**
+     * Record one target check and the jobs it saw, returning the run ID
+     */
+    recordRun(run, jobIds = []) {
+        const insertObservation = this.db.prepare('INSERT OR IGNORE INTO observations (run_id, job_id) VALUES (?, ?)');
+
+        return this.transaction(() => {
+            const { lastInsertRowid } = this.db.prepare(`
+                INSERT INTO runs (target, started_at, status, jobs_count, pages_visited, hash, changes, error)
+                VALUES (@target, @startedAt, @status, @jobsCount, @pagesVisited, @hash, @changes, @error)
+            `).run({
+                target: run.target,
+                startedAt: run.startedAt || new Date().toISOString(),
+                status: run.status,
+                jobsCount: run.jobsCount === undefined ? null : run.jobsCount,
+                pagesVisited: run.pagesVisited === undefined ? null : run.pagesVisited,
+                hash: run.hash || null,
+                changes: run.changes ? JSON.stringify(run.changes) : null,
+                error: run.error || null
+            });
+
+            for (const jobId of jobIds) {
+                insertObservation.run(lastInsertRowid, jobId);
+            }
+            return Number(lastInsertRowid);
+        });
+    }
+
+    /**
+     * Recent runs, newest first, optionally for one target
+     */
+    getRuns({ target, limit = 20 } = {}) {
+        const rows = target
+            ? this.db.prepare('SELECT * FROM runs WHERE target = ? ORDER BY id DESC LIMIT ?').all(target, limit)
+            : this.db.prepare('SELECT * FROM runs ORDER BY id DESC LIMIT ?').all(limit);
+
+        return rows.map(row => ({ ...row, changes: row.changes ? JSON.parse(row.changes) : null }));
+    }
+
+    /**
+     * Record an alert sent for a set of jobs on one channel
+     *
+     * notification is { kind: 'new' | 'closed', channel, subscriber, status, messageId, error };
+     * subscriber is unset for the main alert.
+     */
+    recordNotification(notification, jobs) {
+        const insert = this.db.prepare(`
+            INSERT INTO notifications (kind, channel, subscriber, target, job_id, sent_at, status, message_id, error)
+            VALUES (@kind, @channel, @subscriber, @target, @jobId, @sentAt, @status, @messageId, @error)
+        `);
+        const sentAt = new Date().toISOString();
+
+        this.transaction(() => {
+            for (const job of jobs) {
+                insert.run({
+                    kind: notification.kind,
+                    channel: notification.channel,
+                    subscriber: notification.subscriber || null,
+                    target: job.target || null,
+                    jobId: job.id,
+                    sentAt,
+                    status: notification.status,
+                    messageId: notification.messageId || null,
+                    error: notification.error || null
+                });
+            }
+        });
+    }
+
+    /**
+     * Every subscription, in the order they were added
+     */
+    getSubscriptions() {
+        return this.db.prepare('SELECT data FROM subscriptions ORDER BY position')
+            .all()
+            .map(row => JSON.parse(row.data));
+    }
+
+    /**
+     * Replace the subscriptions
+     */
+    saveSubscriptions(subscriptions) {
+        const insert = this.db.prepare('INSERT INTO subscriptions (id, position, data) VALUES (?, ?, ?)');
+
+        this.transaction(() => {
+            this.db.prepare('DELETE FROM subscriptions').run();
+            subscriptions.forEach((subscription, index) => insert.run(subscription.id, index, JSON.stringify(subscription)));
+        });
+    }
+
+    /**
+     * A subscriber's queued digest: { since, jobs }, or null
+     */
+    getDigest(subscriber) {
+        const row = this.db.prepare('SELECT since, jobs FROM digests WHERE subscriber = ?').get(subscriber);
+        return row ? { since: row.since, jobs: JSON.parse(row.jobs) } : null;
+    }
+
+    /**
+     * Queue a subscriber's digest, or clear it with null
+     */
+    saveDigest(subscriber, digest) {
+        if (!digest) {
+            this.db.prepare('DELETE FROM digests WHERE subscriber = ?').run(subscriber);
+            return;
+        }
+        this.db.prepare(`
+            INSERT INTO digests (subscriber, since, jobs) VALUES (?, ?, ?)
+            ON CONFLICT (subscriber) DO UPDATE SET since = excluded.since, jobs = excluded.jobs
+        `).run(subscriber, digest.since, JSON.stringify(digest.jobs));
+    }
+
+    /**
+     * Append an activity log entry ({ timestamp, action, target, status, ... })
+     */
+    logActivity(entry) {
+        this.db.prepare('INSERT INTO activity (timestamp, action, target, status, data) VALUES (?, ?, ?, ?, ?)').run(
+            entry.timestamp || new Date().toISOString(),
+            entry.action || null,
+            entry.target || null,
+            entry.status || null,
+            JSON.stringify(entry)
+        );
+    }
+
+    /**
+     * The latest activity log entries, oldest first
+     */
+    getActivity(limit = 100) {
+        return this.db.prepare('SELECT data FROM activity ORDER BY id DESC LIMIT ?')
+            .all(limit)
+            .map(row => JSON.parse(row.data))
+            .reverse();
+    }
+
+    close() {
+        this.db.close();
+    }
+}
+
+module.exports = {
+    MIGRATIONS,
+    JobStore
+};
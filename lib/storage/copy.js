@@ -0,0 +1,51 @@
+/**
+ * Copy state between storage backends, e.g. when switching to a new one
+ */
+
+const { getJobId } = require('../job-id');
+const { resolveAdapter } = require('../adapters');
+
+/**
+ * Copy snapshots, history, the run log and any subscriptions from one
+ * backend to another
+ *
+ * Snapshots saved before jobs had IDs get them derived from their links.
+ * Returns the number of jobs and log entries copied.
+ */
+async function copyState(from, to, targets) {
+    let jobs = 0;
+
+    for (const target of targets) {
+        const history = await from.getHistory(target);
+        if (Object.keys(history).length > 0) {
+            await to.putHistory(target, history);
+        }
+
+        const snapshot = await from.getSnapshot(target);
+        if (snapshot) {
+            const adapter = resolveAdapter(target);
+            await to.putSnapshot(target, {
+                hash: snapshot.hash,
+                jobs: snapshot.jobs.map(job => (job.id ? job : { ...job, id: getJobId(job, adapter) }))
+            });
+            jobs += snapshot.jobs.length;
+        }
+    }
+
+    const subscriptions = await from.getSubscriptions();
+    if (subscriptions.length > 0) {
+        await to.putSubscriptions(subscriptions);
+        for (const subscription of subscriptions) {
+            await to.putDigest(subscription.id, await from.getDigest(subscription.id));
+        }
+    }
+
+    const logs = await from.getRunLog(Infinity);
+    for (const entry of logs) {
+        await to.appendRunLog(entry);
+    }
+
+    return { jobs, logEntries: logs.length };
+}
+
+module.exports = { copyState };
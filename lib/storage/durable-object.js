@@ -0,0 +1,100 @@
+/**
+ * Durable Object storage backend (Workers)
+ *
+ * Client for the JobTracker Durable Object (src/job-tracker.js), which
+ * keeps snapshots, history, the run log and subscriptions with strong
+ * consistency. One tracker instance holds the state for every target, and
+ * also hands out the lease that keeps overlapping checks from
+ * double-sending alerts.
+ */
+
+const TRACKER_NAME = 'job-tracker';
+
+class DurableObjectStorage {
+    constructor(namespace, options = {}) {
+        if (!namespace) {
+            throw new Error('DurableObjectStorage needs a Durable Object binding (JOB_TRACKER)');
+        }
+        this.stub = namespace.get(namespace.idFromName(options.name || TRACKER_NAME));
+    }
+
+    async request(method, path, params = {}, body) {
+        const url = new URL(`https://job-tracker${path}`);
+        for (const [key, value] of Object.entries(params)) {
+            url.searchParams.set(key, value);
+        }
+
+        const response = await this.stub.fetch(url.toString(), {
+            method,
+            headers: { 'Content-Type': 'application/json' },
+            body: body === undefined ? undefined : JSON.stringify(body)
+        });
+        const result = await response.json();
+
+        if (!response.ok) {
+            throw new Error(`JobTracker ${method} ${path} failed: ${result.error || response.status}`);
+        }
+        return result;
+    }
+
+    async getSnapshot(target) {
+        return this.request('GET', '/snapshot', { target: target.name });
+    }
+
+    async putSnapshot(target, snapshot) {
+        await this.request('PUT', '/snapshot', { target: target.name }, snapshot);
+    }
+
+    async getHistory(target) {
+        return this.request('GET', '/history', { target: target.name });
+    }
+
+    async putHistory(target, history) {
+        await this.request('PUT', '/history', { target: target.name }, history);
+    }
+
+    async appendRunLog(entry) {
+        await this.request('POST', '/log', {}, entry);
+    }
+
+    async getRunLog(limit = 100) {
+        return this.request('GET', '/log', { limit });
+    }
+
+    async getSubscriptions() {
+        return this.request('GET', '/subscriptions');
+    }
+
+    async putSubscriptions(subscriptions) {
+        await this.request('PUT', '/subscriptions', {}, subscriptions);
+    }
+
+    async getDigest(id) {
+        return this.request('GET', '/digest', { subscriber: id });
+    }
+
+    async putDigest(id, digest) {
+        await this.request('PUT', '/digest', { subscriber: id }, digest);
+    }
+
+    async getMeta(key) {
+        return this.request('GET', '/meta', { key });
+    }
+
+    async setMeta(key, value) {
+        await this.request('PUT', '/meta', { key }, value);
+    }
+
+    /**
+     * Take the run lease; returns { acquired, heldBy, expiresAt }
+     */
+    async acquireLock(owner, ttlMs) {
+        return this.request('POST', '/lock', {}, { owner, ttlMs });
+    }
+
+    async releaseLock(owner) {
+        return this.request('DELETE', '/lock', {}, { owner });
+    }
+}
+
+module.exports = { DurableObjectStorage };
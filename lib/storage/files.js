@@ -0,0 +1,118 @@
+/**
+ * Local file storage backend (Node only)
+ *
+ * The original state files: a hash and a jobs snapshot per target, a job
+ * history file per target and one activity log capped at logLimit entries.
+ * Subscriptions and their queued digests get a file each.
+ * Named targets get their own files, e.g. latest-jobs.stripe.json.
+ *
+ * Every write goes through a temp file and a rename, and a snapshot's hash
+ * and jobs are committed together (lib/atomic-write.js), so a crash never
+ * leaves a new hash next to a stale job list.
+ */
+
+const fs = require('fs').promises;
+const { targetStateFile } = require('../targets');
+const { writeFileAtomic, commitFiles, recoverCommit } = require('../atomic-write');
+
+const DEFAULT_FILES = {
+    hashFile: './jobs-hash.txt',
+    jobsFile: './latest-jobs.json',
+    historyFile: './job-history.json',
+    logFile: './scraper-log.json',
+    subscriptionsFile: './subscriptions.json',
+    digestsFile: './subscription-digests.json'
+};
+
+async function readJson(file) {
+    try {
+        return JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (error) {
+        return null;
+    }
+}
+
+class FileStorage {
+    constructor(files = {}, options = {}) {
+        this.files = { ...DEFAULT_FILES, ...files };
+        this.logLimit = options.logLimit || 100;
+    }
+
+    // Journal for committing a target's hash and jobs files together
+    commitJournal(target) {
+        return `${targetStateFile(target, this.files.jobsFile)}.commit`;
+    }
+
+    async getSnapshot(target) {
+        // Finish a snapshot save that a crash interrupted
+        await recoverCommit(this.commitJournal(target));
+
+        const jobs = await readJson(targetStateFile(target, this.files.jobsFile));
+        if (!Array.isArray(jobs)) {
+            return null;
+        }
+
+        let hash = null;
+        try {
+            hash = (await fs.readFile(targetStateFile(target, this.files.hashFile), 'utf8')).trim();
+        } catch (error) {
+            // Snapshots can outlive their hash file
+        }
+        return { jobs, hash };
+    }
+
+    async putSnapshot(target, snapshot) {
+        await commitFiles([
+            [targetStateFile(target, this.files.hashFile), snapshot.hash || ''],
+            [targetStateFile(target, this.files.jobsFile), JSON.stringify(snapshot.jobs, null, 2)]
+        ], this.commitJournal(target));
+    }
+
+    async getHistory(target) {
+        return await readJson(targetStateFile(target, this.files.historyFile)) || {};
+    }
+
+    async putHistory(target, history) {
+        await writeFileAtomic(targetStateFile(target, this.files.historyFile), JSON.stringify(history, null, 2));
+    }
+
+    async appendRunLog(entry) {
+        const logs = await this.getRunLog(this.logLimit);
+        logs.push(entry);
+        await writeFileAtomic(this.files.logFile, JSON.stringify(logs.slice(-this.logLimit), null, 2));
+    }
+
+    async getRunLog(limit = this.logLimit) {
+        const logs = await readJson(this.files.logFile);
+        return Array.isArray(logs) ? logs.slice(-limit) : [];
+    }
+
+    async getSubscriptions() {
+        const subscriptions = await readJson(this.files.subscriptionsFile);
+        return Array.isArray(subscriptions) ? subscriptions : [];
+    }
+
+    async putSubscriptions(subscriptions) {
+        await writeFileAtomic(this.files.subscriptionsFile, JSON.stringify(subscriptions, null, 2));
+    }
+
+    async getDigest(id) {
+        const digests = await readJson(this.files.digestsFile) || {};
+        return digests[id] || null;
+    }
+
+    async putDigest(id, digest) {
+        const digests = await readJson(this.files.digestsFile) || {};
+        if (digest) {
+            digests[id] = digest;
+        } else {
+            delete digests[id];
+        }
+        await writeFileAtomic(this.files.digestsFile, JSON.stringify(digests, null, 2));
+    }
+}
+
+module.exports = {
+    DEFAULT_FILES,
+    FileStorage
+};
@@ -0,0 +1,84 @@
+/**
+ * Storage backends for scraper state
+ *
+ * The check loop (lib/check.js) only talks to this interface, so the same
+ * change detection runs against local files, SQLite, Cloudflare KV or
+ * memory. Every method is async and takes a watch target (lib/targets.js):
+ *
+ *   getSnapshot(target)            -> { jobs, hash }, or null before the first save
+ *   putSnapshot(target, snapshot)  -> saves the jobs and hash together
+ *   getHistory(target)             -> job lifecycle records by ID (lib/history.js)
+ *   putHistory(target, history)
+ *   appendRunLog(entry)            -> adds an activity log entry
+ *   getRunLog(limit)               -> the latest entries, oldest first
+ *
+ * Subscriptions (lib/subscriptions.js) are kept alongside, not per target:
+ *
+ *   getSubscriptions()             -> every subscription, [] before the first save
+ *   putSubscriptions(list)         -> replaces them all
+ *   getDigest(id)                  -> { since, jobs } queued for a subscriber, or null
+ *   putDigest(id, digest)          -> null clears the queue
+ *
+ * Backends that keep structured run data also implement
+ * recordRun(run, jobIds) and recordNotification(notification, jobs), and
+ * backends that can serialize checks implement acquireLock(owner, ttlMs)
+ * and releaseLock(owner).
+ *
+ *   MemoryStorage          memory.js          tests and dry runs
+ *   FileStorage            files.js           JSON/hash files (Node)
+ *   SqliteStorage          sqlite.js          embedded database (Node)
+ *   KvStorage              kv.js              Cloudflare KV (Workers)
+ *   DurableObjectStorage   durable-object.js  JobTracker Durable Object (Workers)
+ *
+ * The Worker imports its backends directly; this module is for the Node
+ * scrapers.
+ */
+
+const { copyState } = require('./copy');
+const { MemoryStorage } = require('./memory');
+const { FileStorage } = require('./files');
+
+// Set once the state files have been copied into a SQLite database
+const FILES_IMPORTED_KEY = 'imported:mailslurp';
+
+/**
+ * Open the storage backend for the Node scrapers
+ *
+ * options: { backend: 'sqlite' | 'files' | 'memory', databaseFile, files }
+ * A new SQLite database imports the state files on first start so no
+ * history is lost; callers without state files of their own leave out files
+ * and targets, and nothing is imported.
+ */
+async function openNodeStorage(options, targets) {
+    const backend = options.backend || 'sqlite';
+
+    if (backend === 'memory') {
+        return new MemoryStorage();
+    }
+    if (backend === 'files') {
+        return new FileStorage(options.files);
+    }
+    if (backend !== 'sqlite') {
+        throw new Error(`Unknown storage backend "${backend}" (use sqlite, files or memory)`);
+    }
+
+    // Loaded lazily so the other backends work without the native module
+    const { SqliteStorage } = require('./sqlite');
+    const storage = new SqliteStorage(options.databaseFile);
+    console.log(`🗄️ Using SQLite store: ${options.databaseFile} (schema v${storage.store.schemaVersion})`);
+
+    if (options.files && !storage.store.getMeta(FILES_IMPORTED_KEY)) {
+        const imported = await copyState(new FileStorage(options.files), storage, targets);
+        storage.store.setMeta(FILES_IMPORTED_KEY, new Date().toISOString());
+        if (imported.jobs > 0 || imported.logEntries > 0) {
+            console.log(`📥 Imported ${imported.jobs} job(s) and ${imported.logEntries} log entries from the state files`);
+        }
+    }
+
+    return storage;
+}
+
+module.exports = {
+    copyState,
+    openNodeStorage
+};
@@ -0,0 +1,74 @@
+/**
+ * Cloudflare KV storage backend (Workers)
+ *
+ * Uses the same keys the Worker has always used ("jobs-hash", "latest-jobs",
+ * "job-history", "activity-logs"), suffixed with the target name for named
+ * targets, so existing namespaces keep working. Subscriptions live under
+ * "subscriptions" and each subscriber's queued digest under "digest:<id>".
+ */
+
+const { targetStateKey } = require('../targets');
+
+class KvStorage {
+    constructor(namespace, options = {}) {
+        if (!namespace) {
+            throw new Error('KvStorage needs a KV namespace binding (JOB_STORAGE)');
+        }
+        this.kv = namespace;
+        this.logLimit = options.logLimit || 10;
+    }
+
+    async getSnapshot(target) {
+        const jobs = await this.kv.get(targetStateKey(target, 'latest-jobs'), { type: 'json' });
+        if (!Array.isArray(jobs)) {
+            return null;
+        }
+        const hash = await this.kv.get(targetStateKey(target, 'jobs-hash'));
+        return { jobs, hash };
+    }
+
+    async putSnapshot(target, snapshot) {
+        await this.kv.put(targetStateKey(target, 'jobs-hash'), snapshot.hash || '');
+        await this.kv.put(targetStateKey(target, 'latest-jobs'), JSON.stringify(snapshot.jobs));
+    }
+
+    async getHistory(target) {
+        return await this.kv.get(targetStateKey(target, 'job-history'), { type: 'json' }) || {};
+    }
+
+    async putHistory(target, history) {
+        await this.kv.put(targetStateKey(target, 'job-history'), JSON.stringify(history));
+    }
+
+    async appendRunLog(entry) {
+        const logs = await this.getRunLog(this.logLimit);
+        await this.kv.put('activity-logs', JSON.stringify([...logs, entry].slice(-this.logLimit)));
+    }
+
+    async getRunLog(limit = this.logLimit) {
+        const logs = await this.kv.get('activity-logs', { type: 'json' });
+        return Array.isArray(logs) ? logs.slice(-limit) : [];
+    }
+
+    async getSubscriptions() {
+        return await this.kv.get('subscriptions', { type: 'json' }) || [];
+    }
+
+    async putSubscriptions(subscriptions) {
+        await this.kv.put('subscriptions', JSON.stringify(subscriptions));
+    }
+
+    async getDigest(id) {
+        return this.kv.get(`digest:${id}`, { type: 'json' });
+    }
+
+    async putDigest(id, digest) {
+        if (digest) {
+            await this.kv.put(`digest:${id}`, JSON.stringify(digest));
+        } else {
+            await this.kv.delete(`digest:${id}`);
+        }
+    }
+}
+
+module.exports = { KvStorage };
@@ -0,0 +1,73 @@
+/**
+ * In-memory storage backend
+ *
+ * Keeps everything in plain objects for the lifetime of the process. Used by
+ * the tests to run the check loop without touching disk or Cloudflare, and
+ * handy for one-off dry runs. Values are copied in and out, like a real
+ * backend that serializes them.
+ */
+
+const copy = value => (value === undefined || value === null ? null : JSON.parse(JSON.stringify(value)));
+
+class MemoryStorage {
+    constructor() {
+        this.snapshots = {};
+        this.histories = {};
+        this.runLog = [];
+        this.runs = [];
+        this.notifications = [];
+        this.subscriptions = [];
+        this.digests = {};
+    }
+
+    async getSnapshot(target) {
+        return copy(this.snapshots[target.name]);
+    }
+
+    async putSnapshot(target, snapshot) {
+        this.snapshots[target.name] = copy(snapshot);
+    }
+
+    async getHistory(target) {
+        return copy(this.histories[target.name]) || {};
+    }
+
+    async putHistory(target, history) {
+        this.histories[target.name] = copy(history);
+    }
+
+    async appendRunLog(entry) {
+        this.runLog.push(copy(entry));
+    }
+
+    async getRunLog(limit = 100) {
+        return copy(this.runLog.slice(-limit));
+    }
+
+    async getSubscriptions() {
+        return copy(this.subscriptions);
+    }
+
+    async putSubscriptions(subscriptions) {
+        this.subscriptions = copy(subscriptions);
+    }
+
+    async getDigest(id) {
+        return copy(this.digests[id]);
+    }
+
+    async putDigest(id, digest) {
+        this.digests[id] = copy(digest);
+    }
+
+    async recordRun(run, jobIds = []) {
+        this.runs.push({ id: this.runs.length + 1, ...copy(run), jobIds: [...jobIds] });
+        return this.runs.length;
+    }
+
+    async recordNotification(notification, jobs) {
+        this.notifications.push({ ...copy(notification), jobIds: jobs.map(job => job.id) });
+    }
+}
+
+module.exports = { MemoryStorage };
@@ -0,0 +1,69 @@
+/**
+ * SQLite storage backend (Node only)
+ *
+ * Adapts the JobStore in lib/sqlite-store.js to the storage interface, and
+ * adds the run and notification records the other backends don't keep.
+ */
+
+const { JobStore } = require('../sqlite-store');
+
+class SqliteStorage {
+    constructor(filename) {
+        this.store = new JobStore(filename);
+    }
+
+    async getSnapshot(target) {
+        const snapshot = this.store.getSnapshot(target.name);
+        return snapshot ? { jobs: snapshot.jobs, hash: snapshot.hash } : null;
+    }
+
+    async putSnapshot(target, snapshot) {
+        this.store.saveSnapshot(target.name, snapshot.jobs, snapshot.hash);
+    }
+
+    async getHistory(target) {
+        return this.store.getHistory(target.name);
+    }
+
+    async putHistory(target, history) {
+        this.store.saveHistory(target.name, history);
+    }
+
+    async appendRunLog(entry) {
+        this.store.logActivity(entry);
+    }
+
+    async getRunLog(limit = 100) {
+        return this.store.getActivity(limit);
+    }
+
+    async getSubscriptions() {
+        return this.store.getSubscriptions();
+    }
+
+    async putSubscriptions(subscriptions) {
+        this.store.saveSubscriptions(subscriptions);
+    }
+
+    async getDigest(id) {
+        return this.store.getDigest(id);
+    }
+
+    async putDigest(id, digest) {
+        this.store.saveDigest(id, digest);
+    }
+
+    async recordRun(run, jobIds) {
+        return this.store.recordRun(run, jobIds);
+    }
+
+    async recordNotification(notification, jobs) {
+        this.store.recordNotification(notification, jobs);
+    }
+
+    close() {
+        this.store.close();
+    }
+}
+
+module.exports = { SqliteStorage };
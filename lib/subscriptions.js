@@ -0,0 +1,271 @@
+/**
+ * Subscriptions: who gets which alerts, where and when
+ *
+ * Each subscriber narrows the run's matches with their own filter and gets
+ * them on their own channels, either right away or in a daily or weekly
+ * digest sent at a local hour in their timezone:
+ *
+ *   {
+ *     "id": "backend-team",
+ *     "filter": "role_family=backend AND seniority>=senior",
+ *     "targets": ["airbnb-blr"],
+ *     "channels": {
+ *       "email": "backend@example.com",
+ *       "discord": "https://discord.com/api/webhooks/...",
+ *       "telegram": "-1001234567890"
+ *     },
+ *     "digest": "daily",
+ *     "timezone": "Asia/Kolkata",
+ *     "hour": 9
+ *   }
+ *
+ * `keywords` works in place of `filter`, as for targets. `targets` limits
+ * the subscription to some watch targets (all by default). `digest` is
+ * "immediate" (the default), "daily" or "weekly"; weekly digests go out on
+ * `day` (default "monday"). `timezone` defaults to UTC and `hour` to 9.
+ *
+ * Subscriber filters apply to the jobs their target's filter matched, so
+ * an empty target filter lets subscribers choose from every job.
+ * Subscriptions and queued digests are kept by the storage backend
+ * (getSubscriptions/putSubscriptions, getDigest/putDigest).
+ */
+
+const { parseFilter, filterJobs, keywordsFilter } = require('./filter');
+const { scoreJobs } = require('./score');
+
+const CHANNELS = ['email', 'discord', 'telegram'];
+const DIGESTS = ['immediate', 'daily', 'weekly'];
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+function pad(value) {
+    return String(value).padStart(2, '0');
+}
+
+/**
+ * Wall clock time in a timezone: { date: "YYYY-MM-DD", hour, minute, weekday }
+ */
+function localTime(date, timezone) {
+    const parts = {};
+    const format = new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        weekday: 'long'
+    });
+    for (const part of format.formatToParts(new Date(date))) {
+        parts[part.type] = part.value;
+    }
+    return {
+        date: `${parts.year}-${parts.month}-${parts.day}`,
+        hour: Number(parts.hour),
+        minute: Number(parts.minute),
+        weekday: parts.weekday.toLowerCase()
+    };
+}
+
+/**
+ * Check a subscription and fill in its defaults
+ */
+function validateSubscription(raw) {
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+        throw new Error('A subscription must be a JSON object');
+    }
+    const { id } = raw;
+    if (typeof id !== 'string' || !ID_PATTERN.test(id)) {
+        throw new Error(`Invalid subscription id "${id}": use letters, numbers, "-" and "_" only`);
+    }
+    const fail = message => {
+        throw new Error(`Subscription "${id}": ${message}`);
+    };
+
+    const filter = raw.filter !== undefined ? raw.filter : keywordsFilter(raw.keywords);
+    if (typeof filter !== 'string') {
+        fail('"filter" must be a string');
+    }
+    try {
+        parseFilter(filter);
+    } catch (error) {
+        fail(error.message);
+    }
+
+    if (raw.targets !== undefined && (!Array.isArray(raw.targets) || raw.targets.some(name => typeof name !== 'string'))) {
+        fail('"targets" must be a list of target names');
+    }
+
+    const channels = raw.channels;
+    if (!channels || typeof channels !== 'object' || Array.isArray(channels) || Object.keys(channels).length === 0) {
+        fail(`needs at least one channel (${CHANNELS.join(', ')})`);
+    }
+    for (const [channel, destination] of Object.entries(channels)) {
+        if (!CHANNELS.includes(channel)) {
+            fail(`unknown channel "${channel}", use ${CHANNELS.join(', ')}`);
+        }
+        if (typeof destination !== 'string' || destination.trim() === '') {
+            fail(`the ${channel} channel needs a destination`);
+        }
+    }
+    if (channels.email !== undefined && !/^[^@\s]+@[^@\s]+$/.test(channels.email)) {
+        fail(`"${channels.email}" is not an email address`);
+    }
+    if (channels.discord !== undefined && !/^https:\/\//.test(channels.discord)) {
+        fail('the discord channel needs a webhook URL');
+    }
+
+    const digest = raw.digest || 'immediate';
+    if (!DIGESTS.includes(digest)) {
+        fail(`unknown digest "${digest}", use ${DIGESTS.join(', ')}`);
+    }
+
+    const timezone = raw.timezone || 'UTC';
+    try {
+        localTime(new Date(), timezone);
+    } catch (error) {
+        fail(`unknown timezone "${timezone}"`);
+    }
+
+    const hour = raw.hour !== undefined ? raw.hour : 9;
+    if (!Number.isInteger(hour) || hour < 0 || hour > 23) {
+        fail('"hour" must be a whole hour from 0 to 23');
+    }
+
+    const day = (raw.day || 'monday').toLowerCase();
+    if (!WEEKDAYS.includes(day)) {
+        fail(`unknown day "${raw.day}"`);
+    }
+
+    return {
+        id,
+        filter,
+        ...(raw.targets ? { targets: raw.targets } : {}),
+        channels: { ...channels },
+        digest,
+        timezone,
+        hour,
+        day
+    };
+}
+
+/**
+ * Add a subscription, or replace the one with the same id
+ */
+async function saveSubscription(storage, raw) {
+    const subscription = validateSubscription(raw);
+    const subscriptions = (await storage.getSubscriptions()).filter(existing => existing.id !== subscription.id);
+    await storage.putSubscriptions([...subscriptions, subscription]);
+    return subscription;
+}
+
+/**
+ * Remove a subscription and its queued digest; false if there was none
+ */
+async function removeSubscription(storage, id) {
+    const subscriptions = await storage.getSubscriptions();
+    const remaining = subscriptions.filter(subscription => subscription.id !== id);
+    if (remaining.length === subscriptions.length) {
+        return false;
+    }
+    await storage.putSubscriptions(remaining);
+    await storage.putDigest(id, null);
+    return true;
+}
+
+/**
+ * A subscriber's share of the run's new jobs
+ *
+ * results are runCheck's target outcomes. Each target's added jobs are
+ * matched against the subscriber's own filter (with the target's synonyms)
+ * and scored, whatever the target's filter let through; jobs the main
+ * alert already enriched are sent with their details.
+ */
+function matchSubscription(subscription, results, scoring) {
+    return results
+        .filter(result => !subscription.targets || subscription.targets.includes(result.target.name))
+        .flatMap(result => {
+            const enriched = new Map(result.matchingJobs.map(job => [job.id, job]));
+            const jobs = result.addedJobs.map(job => enriched.get(job.id) || job);
+            const options = { synonyms: result.target.synonyms };
+            return scoreJobs(subscription.filter ? filterJobs(jobs, subscription.filter, options) : jobs, scoring, options);
+        });
+}
+
+/**
+ * Add jobs to a queued digest ({ since, jobs }, or null when empty)
+ *
+ * A job queued again replaces its earlier copy.
+ */
+function queueDigest(digest, jobs, now = new Date()) {
+    if (jobs.length === 0) {
+        return digest;
+    }
+    const key = job => `${job.target}:${job.id}`;
+    const added = new Set(jobs.map(key));
+    const queued = digest ? digest.jobs.filter(job => !added.has(key(job))) : [];
+    return {
+        since: digest ? digest.since : new Date(now).toISOString(),
+        jobs: [...queued, ...jobs]
+    };
+}
+
+/**
+ * The latest scheduled digest time at or before now, as local "YYYY-MM-DD HH:MM"
+ */
+function lastDigestTime(subscription, now) {
+    const local = localTime(now, subscription.timezone);
+    let daysBack = local.hour < subscription.hour ? 1 : 0;
+    if (subscription.digest === 'weekly') {
+        daysBack = (WEEKDAYS.indexOf(local.weekday) - WEEKDAYS.indexOf(subscription.day) + 7) % 7;
+        if (daysBack === 0 && local.hour < subscription.hour) {
+            daysBack = 7;
+        }
+    }
+
+    const [year, month, day] = local.date.split('-').map(Number);
+    const date = new Date(Date.UTC(year, month - 1, day - daysBack)).toISOString().slice(0, 10);
+    return `${date} ${pad(subscription.hour)}:00`;
+}
+
+/**
+ * Whether a queued digest should go out now
+ *
+ * Immediate subscriptions send whatever is queued. Digests go out on the
+ * first run after a scheduled time that passed since the oldest job was
+ * queued, so infrequent runs send late rather than never.
+ */
+function isDigestDue(subscription, digest, now = new Date()) {
+    if (!digest || digest.jobs.length === 0) {
+        return false;
+    }
+    if (subscription.digest === 'immediate') {
+        return true;
+    }
+    const since = localTime(digest.since, subscription.timezone);
+    return `${since.date} ${pad(since.hour)}:${pad(since.minute)}` <= lastDigestTime(subscription, now);
+}
+
+/**
+ * One-line summary, e.g. "backend-team: role_family=backend → email, discord (daily at 09:00 Asia/Kolkata)"
+ */
+function describeSubscription(subscription) {
+    const schedule = subscription.digest === 'immediate'
+        ? 'immediate'
+        : `${subscription.digest} at ${pad(subscription.hour)}:00${subscription.digest === 'weekly' ? ` on ${subscription.day}` : ''} ${subscription.timezone}`;
+    return `${subscription.id}: ${subscription.filter || 'all matches'} → ${Object.keys(subscription.channels).join(', ')} (${schedule})`;
+}
+
+module.exports = {
+    CHANNELS,
+    DIGESTS,
+    validateSubscription,
+    saveSubscription,
+    removeSubscription,
+    matchSubscription,
+    queueDigest,
+    isDigestDue,
+    describeSubscription
+};
@@ -0,0 +1,169 @@
+/**
+ * Watch targets
+ *
+ * One scraper instance can watch several careers pages. Each target is
+ * named and carries its own URL, source adapter and filter (lib/filter.js);
+ * its listings are tracked separately so a change on one page never masks
+ * or triggers a change on another.
+ *
+ * Targets come from WATCH_TARGETS, a JSON array:
+ *
+ *   [
+ *     { "name": "airbnb-blr", "url": "https://careers.airbnb.com/positions/?_offices=bangalore-india", "keywords": ["Backend"] },
+ *     { "name": "stripe", "url": "https://boards.greenhouse.io/stripe", "adapter": "greenhouse",
+ *       "filter": "(Backend OR Infrastructure) AND NOT Manager" }
+ *   ]
+ *
+ * A target's "keywords" list is still accepted and means any of them, and
+ * its "synonyms" add to JOB_SYNONYMS for that target.
+ *
+ * Without it, a single "default" target is built from AIRBNB_JOBS_URL,
+ * SCRAPER_ADAPTER and JOB_FILTER (or JOB_KEYWORDS), which keeps existing
+ * setups working (including their state files and KV keys).
+ */
+
+const { parseFilter, parseSynonyms, keywordsFilter } = require('./filter');
+
+const DEFAULT_TARGET_NAME = 'default';
+
+// Names end up in file names and KV keys
+const NAME_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+/**
+ * Accept keywords as an array or a comma-separated string
+ */
+function parseKeywords(value) {
+    if (Array.isArray(value)) {
+        return value.map(k => String(k).trim()).filter(Boolean);
+    }
+    if (typeof value === 'string') {
+        return value.split(',').map(k => k.trim()).filter(Boolean);
+    }
+    return null;
+}
+
+/**
+ * Pick a filter from an explicit filter or a keyword list
+ *
+ * Returns null when neither is set.
+ */
+function resolveFilter(filter, keywords) {
+    if (typeof filter === 'string' && filter.trim()) {
+        return filter.trim();
+    }
+    const list = parseKeywords(keywords);
+    return list ? keywordsFilter(list) : null;
+}
+
+/**
+ * Parse a filter up front so a typo fails at startup, not on the first match
+ */
+function validateFilter(filter, name) {
+    try {
+        parseFilter(filter);
+    } catch (error) {
+        throw new Error(`Target "${name}": ${error.message}`);
+    }
+    return filter;
+}
+
+/**
+ * Validate one WATCH_TARGETS entry and fill in defaults
+ */
+function normalizeTarget(raw, index, defaults) {
+    if (!raw || typeof raw !== 'object' || !raw.url) {
+        throw new Error(`WATCH_TARGETS entry ${index + 1} needs a "url"`);
+    }
+
+    const name = raw.name ? String(raw.name) : `target-${index + 1}`;
+    if (!NAME_PATTERN.test(name)) {
+        throw new Error(`Invalid target name "${name}": use letters, numbers, "-" and "_" only`);
+    }
+
+    const { keywords, ...settings } = raw;
+    return {
+        ...settings,
+        name,
+        filter: validateFilter(resolveFilter(raw.filter, keywords) ?? defaults.filter, name),
+        synonyms: raw.synonyms ? { ...defaults.synonyms, ...parseSynonyms(raw.synonyms, `Target "${name}" synonyms`) } : defaults.synonyms,
+        maxPages: parseInt(raw.maxPages, 10) || defaults.maxPages
+    };
+}
+
+/**
+ * Build the list of targets to watch from an env-like object
+ *
+ * defaults supplies the fallback url, filter (or keywords) and maxPages.
+ */
+function loadTargets(env = {}, defaults = {}) {
+    const fallback = {
+        filter: resolveFilter(env.JOB_FILTER, env.JOB_KEYWORDS) ?? resolveFilter(defaults.filter, defaults.keywords) ?? '',
+        synonyms: parseSynonyms(env.JOB_SYNONYMS, 'JOB_SYNONYMS'),
+        maxPages: parseInt(env.SCRAPE_MAX_PAGES, 10) || defaults.maxPages
+    };
+
+    if (!env.WATCH_TARGETS) {
+        return [{
+            name: DEFAULT_TARGET_NAME,
+            url: env.AIRBNB_JOBS_URL || defaults.url,
+            adapter: env.SCRAPER_ADAPTER || undefined, // Optional, otherwise picked from the URL
+            filter: validateFilter(fallback.filter, DEFAULT_TARGET_NAME),
+            synonyms: fallback.synonyms,
+            maxPages: fallback.maxPages
+        }];
+    }
+
+    let entries;
+    try {
+        entries = typeof env.WATCH_TARGETS === 'string' ? JSON.parse(env.WATCH_TARGETS) : env.WATCH_TARGETS;
+    } catch (error) {
+        throw new Error(`WATCH_TARGETS is not valid JSON: ${error.message}`);
+    }
+
+    if (!Array.isArray(entries) || entries.length === 0) {
+        throw new Error('WATCH_TARGETS must be a non-empty JSON array');
+    }
+
+    const targets = entries.map((entry, index) => normalizeTarget(entry, index, fallback));
+
+    const seen = new Set();
+    for (const target of targets) {
+        if (seen.has(target.name)) {
+            throw new Error(`Duplicate target name "${target.name}" in WATCH_TARGETS`);
+        }
+        seen.add(target.name);
+    }
+
+    return targets;
+}
+
+/**
+ * Per-target state key, e.g. "jobs-hash" -> "jobs-hash:stripe"
+ *
+ * The default target keeps the bare key so single-target installs pick up
+ * their existing state.
+ */
+function targetStateKey(target, base) {
+    return target.name === DEFAULT_TARGET_NAME ? base : `${base}:${target.name}`;
+}
+
+/**
+ * Per-target state file, e.g. "./jobs-hash.txt" -> "./jobs-hash.stripe.txt"
+ */
+function targetStateFile(target, file) {
+    if (target.name === DEFAULT_TARGET_NAME) {
+        return file;
+    }
+    const dot = file.lastIndexOf('.');
+    return dot > file.lastIndexOf('/')
+        ? `${file.slice(0, dot)}.${target.name}${file.slice(dot)}`
+        : `${file}.${target.name}`;
+}
+
+module.exports = {
+    DEFAULT_TARGET_NAME,
+    parseKeywords,
+    loadTargets,
+    targetStateKey,
+    targetStateFile
+};
@@ -4,6 +4,20 @@ const cron = require('node-cron');
 const fs = require('fs').promises;
 const crypto = require('crypto');
 const EmailService = require('./email-service');
+const { resolveAdapter } = require('./lib/adapters');
+const { extractJobsFromPage } = require('./lib/page-scraper');
+const { enrichJobs } = require('./lib/enrich');
+const { assignJobIds } = require('./lib/job-id');
+const { loadTargets } = require('./lib/targets');
+const { loadRules } = require('./lib/classify');
+const { loadScoring } = require('./lib/score');
+const { saveSubscription, removeSubscription, describeSubscription } = require('./lib/subscriptions');
+const { createNotifiers, subscriberNotifiers, testNotifiers } = require('./lib/notifiers');
+const { readJsonSetting } = require('./lib/settings');
+const { runCheck } = require('./lib/check');
+const { openNodeStorage } = require('./lib/storage');
+const { writeFileAtomic } = require('./lib/atomic-write');
+const { acquireRunLock } = require('./lib/run-lock');
 
 // Configuration
 const config = {
@@ -12,20 +26,58 @@ const config = {
         receiver: process.env.EMAIL_RECEIVER
     },
     scraping: {
-        url: process.env.AIRBNB_JOBS_URL || 'https://careers.airbnb.com/positions/?_departments=engineering&_offices=bangalore-india',
+        // Each target has its own URL, adapter and filter; see lib/targets.js and lib/filter.js
+        targets: loadTargets(process.env, {
+            url: 'https://careers.airbnb.com/positions/?_departments=engineering&_offices=bangalore-india',
+            keywords: ['Software', 'Backend'],
+            maxPages: 10 // Listing pages to follow per check
+        }),
         interval: process.env.SCRAPE_INTERVAL || '0 0 */2 * *', // Every 2 days at midnight
-        keywords: process.env.JOB_KEYWORDS ? process.env.JOB_KEYWORDS.split(',').map(k => k.trim()) : ['Software', 'Backend']
+        // Seniority and role family rules, added to the defaults in lib/classification-rules.json
+        classifier: loadSetting('CLASSIFIER_RULES', loadRules),
+        // Keyword weights, bonus/penalty rules and minimum score; see lib/score.js
+        scoring: loadSetting('SCORING_RULES', loadScoring)
+    },
+    closedJobs: {
+        enabled: process.env.NOTIFY_CLOSED === 'true', // Alert when an alerted job is no longer listed
+        afterMisses: parseInt(process.env.CLOSED_AFTER_MISSES, 10) || 2 // Consecutive scrapes a job must be missing from
+    },
+    enrichment: {
+        enabled: process.env.ENRICH_DETAILS === 'true' // Open each matching posting for its full details
+    },
+    storage: {
+        backend: process.env.STORAGE_BACKEND || 'sqlite', // 'sqlite', 'files' for the JSON/hash files below, or 'memory'
+        databaseFile: process.env.DATABASE_PATH || './scraper.db'
     },
     files: {
         hashFile: './jobs-hash.txt',
         jobsFile: './latest-jobs.json',
-        logFile: './scraper-log.json'
+        historyFile: './job-history.json',
+        logFile: './scraper-log.json',
+        detailsFile: './job-details.json',
+        subscriptionsFile: './subscriptions.json',
+        digestsFile: './subscription-digests.json',
+        lockFile: './scraper.lock' // Held while a check runs, so checks never overlap
     }
 };
 
-// Initialize email service
+/**
+ * Parse a JSON setting from NAME_FILE or NAME with the given loader
+ */
+function loadSetting(name, load) {
+    const { value, source } = readJsonSetting(process.env, name);
+    return load(value, source);
+}
+
+// State storage backend (lib/storage), opened on startup
+let storage = null;
+
+// Lock for the check in progress, if any
+let runLock = null;
+
+// Initialize email service, for EMAIL_RECEIVER and subscribers' email channels
 let emailService = null;
-if (config.email.enabled && config.email.receiver) {
+if (config.email.enabled && (config.email.receiver || process.env.MAILSLURP_API_KEY)) {
     emailService = new EmailService();
 }
 
@@ -33,50 +85,47 @@ if (config.email.enabled && config.email.receiver) {
  * Generate SHA256 hash of jobs data for comparison
  */
 function generateJobsHash(jobs) {
+    // Keyed by job ID rather than link, so tracking parameters don't change the hash
     const jobsString = JSON.stringify(jobs.map(job => ({
+        id: job.id,
         title: job.title,
-        link: job.link,
         department: job.department,
         location: job.location
-    })).sort((a, b) => a.link.localeCompare(b.link))); // Sort for consistent hashing
+    })).sort((a, b) => a.id.localeCompare(b.id))); // Sort for consistent hashing
     
     return crypto.createHash('sha256').update(jobsString).digest('hex');
 }
 
 /**
- * Load previous hash from file
+ * Open the configured storage backend
  */
-async function loadPreviousHash() {
-    try {
-        const hash = await fs.readFile(config.files.hashFile, 'utf8');
-        return hash.trim();
-    } catch (error) {
-        console.log('📋 No previous hash found, treating as first run');
-        return null;
+async function openStorage() {
+    if (!storage) {
+        storage = await openNodeStorage({ ...config.storage, files: config.files }, config.scraping.targets);
     }
+    return storage;
 }
 
 /**
- * Save hash to file
+ * Load cached posting details from file
  */
-async function saveHash(hash) {
+async function loadDetailsCache() {
     try {
-        await fs.writeFile(config.files.hashFile, hash);
-        console.log(`💾 Hash saved: ${hash.substring(0, 12)}...`);
+        const data = await fs.readFile(config.files.detailsFile, 'utf8');
+        return JSON.parse(data);
     } catch (error) {
-        console.error('❌ Error saving hash:', error);
+        return {};
     }
 }
 
 /**
- * Save jobs data to file
+ * Save cached posting details to file
  */
-async function saveJobs(jobs) {
+async function saveDetailsCache(cache) {
     try {
-        await fs.writeFile(config.files.jobsFile, JSON.stringify(jobs, null, 2));
-        console.log(`💾 Saved ${jobs.length} jobs to ${config.files.jobsFile}`);
+        await writeFileAtomic(config.files.detailsFile, JSON.stringify(cache, null, 2));
     } catch (error) {
-        console.error('❌ Error saving jobs:', error);
+        console.error('❌ Error saving job details cache:', error);
     }
 }
 
@@ -85,40 +134,20 @@ async function saveJobs(jobs) {
  */
 async function logActivity(activity) {
     try {
-        const logEntry = {
+        await storage.appendRunLog({
             timestamp: new Date().toISOString(),
             ...activity
-        };
-        
-        // Read existing logs
-        let logs = [];
-        try {
-            const existingLogs = await fs.readFile(config.files.logFile, 'utf8');
-            logs = JSON.parse(existingLogs);
-        } catch (error) {
-            // File doesn't exist, start with empty array
-        }
-        
-        logs.push(logEntry);
-        
-        // Keep only last 100 entries
-        if (logs.length > 100) {
-            logs = logs.slice(-100);
-        }
-        
-        await fs.writeFile(config.files.logFile, JSON.stringify(logs, null, 2));
+        });
     } catch (error) {
         console.error('❌ Error logging activity:', error);
     }
 }
 
 /**
- * Enhanced web scraping with better error handling
+ * Launch headless Chrome with container-friendly flags
  */
-async function scrapeJobs() {
-    console.log('🔍 Starting job scraping...');
-    
-    const browser = await puppeteer.launch({
+function launchBrowser() {
+    return puppeteer.launch({
         headless: 'new',
         args: [
             '--no-sandbox', 
@@ -130,6 +159,25 @@ async function scrapeJobs() {
             '--disable-gpu'
         ]
     });
+}
+
+/**
+ * Scrape one target's listings, with better error handling
+ */
+async function scrapeJobs(target) {
+    console.log('🔍 Starting job scraping...');
+    
+    const adapter = resolveAdapter(target);
+    
+    // API-backed job boards don't need a browser
+    if (adapter.type === 'api') {
+        console.log(`📍 Fetching ${adapter.name} postings for: ${target.url}`);
+        const jobs = assignJobIds(await adapter.fetchJobs(target), adapter);
+        console.log(`✅ Successfully fetched ${jobs.length} jobs`);
+        return { jobs, pagesVisited: null };
+    }
+    
+    const browser = await launchBrowser();
     
     try {
         const page = await browser.newPage();
@@ -138,48 +186,21 @@ async function scrapeJobs() {
         await page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36');
         await page.setViewport({ width: 1366, height: 768 });
         
-        console.log(`📍 Navigating to: ${config.scraping.url}`);
+        console.log(`📍 Navigating to: ${target.url}`);
         
         // Navigate with extended timeout
-        await page.goto(config.scraping.url, { 
+        await page.goto(target.url, { 
             waitUntil: 'networkidle2', 
             timeout: 90000 
         });
         
-        // Wait for job listings to load
-        await page.waitForSelector('.job-list', { timeout: 30000 });
-        console.log('✅ Job listings found');
+        // Wait for job listings to load and extract job information from every page
+        const result = await extractJobsFromPage(page, adapter, { maxPages: target.maxPages });
+        const jobs = assignJobIds(result.jobs, adapter);
+        console.log(`✅ Job listings found (${adapter.name} adapter)`);
         
-        // Extract job information with enhanced error handling
-        const jobs = await page.evaluate(() => {
-            const jobElements = document.querySelectorAll('.job-list li[role="listitem"]');
-            const jobs = [];
-            
-            jobElements.forEach(job => {
-                try {
-                    const titleElement = job.querySelector('h3 a');
-                    const departmentElement = job.querySelector('.text-gray-48');
-                    const locationElement = job.querySelector('.col-span-4.lg\\:col-span-3 span');
-                    
-                    if (titleElement && titleElement.href) {
-                        jobs.push({
-                            title: titleElement.textContent.trim(),
-                            link: titleElement.href,
-                            department: departmentElement ? departmentElement.textContent.trim() : 'Engineering',
-                            location: locationElement ? locationElement.textContent.trim() : 'Bangalore, India',
-                            scraped_at: new Date().toISOString()
-                        });
-                    }
-                } catch (error) {
-                    console.error('Error parsing job element:', error);
-                }
-            });
-            
-            return jobs;
-        });
-        
-        console.log(`✅ Successfully scraped ${jobs.length} jobs`);
-        return jobs;
+        console.log(`✅ Successfully scraped ${jobs.length} jobs from ${result.pagesVisited} page(s)`);
+        return { jobs, pagesVisited: result.pagesVisited };
         
     } catch (error) {
         console.error('❌ Error during scraping:', error);
@@ -199,134 +220,78 @@ async function scrapeJobs() {
 }
 
 /**
- * Filter jobs by keywords and check if email should be sent
+ * Add full posting details to jobs, fetching each posting only once
  */
-function shouldSendEmail(jobs, keywords) {
-    if (!keywords || keywords.length === 0) {
-        return { shouldSend: true, matchingJobs: jobs, reason: 'no_keywords_filter' };
-    }
+async function enrichJobDetails(target, jobs) {
+    const adapter = resolveAdapter(target);
+    const cache = await loadDetailsCache();
+    const browser = await launchBrowser();
     
-    const matchingJobs = jobs.filter(job => {
-        const searchText = `${job.title} ${job.department}`.toLowerCase();
-        return keywords.some(keyword => searchText.includes(keyword.toLowerCase()));
-    });
-    
-    if (matchingJobs.length === 0) {
-        return { shouldSend: false, matchingJobs: [], reason: 'no_keyword_matches' };
+    try {
+        return await enrichJobs(browser, jobs, adapter, cache, {
+            userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
+        });
+    } catch (error) {
+        // Details are a nice-to-have, alert with what we have
+        console.error('❌ Error enriching job details:', error);
+        return jobs;
+    } finally {
+        await browser.close();
+        await saveDetailsCache(cache);
     }
-    
-    return { shouldSend: true, matchingJobs, reason: 'keyword_matches_found' };
+}
+
+/**
+ * What this runtime offers the notifiers (lib/notifiers): the email
+ * service, and a filesystem for the file log
+ */
+function notifierRuntime() {
+    return {
+        email: { service: emailService, to: config.email.receiver },
+        appendFile: fs.appendFile
+    };
 }
 
 /**
  * Main job checking function
+ *
+ * Every target is checked on its own; matches from all of them go out in
+ * a single alert. The check itself lives in lib/check.js.
  */
 async function checkForJobs() {
     const startTime = new Date();
     console.log(`\n🚀 Starting job check at ${startTime.toLocaleString()}`);
-    console.log(`🔑 Keywords: ${config.scraping.keywords.join(', ')}`);
+    
+    // A second --run-once or a cron tick during a slow check must not alert on the same jobs twice
+    const lock = await acquireRunLock(config.files.lockFile);
+    if (!lock.acquired) {
+        console.log(`⏳ Another check is already running (${lock.heldBy}, started ${lock.startedAt}), skipping`);
+        await logActivity({
+            action: 'check_skipped',
+            reason: 'already_running',
+            heldBy: lock.heldBy,
+            status: 'warning'
+        });
+        return { skipped: true };
+    }
+    runLock = lock;
+    
+    console.log(`🎯 Targets: ${config.scraping.targets.map(target => target.name).join(', ')}`);
     
     try {
-        // Scrape current jobs
-        const currentJobs = await scrapeJobs();
-        
-        if (currentJobs.length === 0) {
-            console.log('⚠️ No jobs found - this might indicate a scraping issue');
-            await logActivity({
-                action: 'scrape_completed',
-                jobsCount: 0,
-                status: 'warning',
-                message: 'No jobs found'
-            });
-            return;
-        }
-        
-        // Generate hash of current jobs
-        const currentHash = generateJobsHash(currentJobs);
-        console.log(`🔐 Current jobs hash: ${currentHash.substring(0, 12)}...`);
-        
-        // Load previous hash
-        const previousHash = await loadPreviousHash();
-        console.log(`🔐 Previous hash: ${previousHash ? previousHash.substring(0, 12) + '...' : 'None'}`);
-        
-        // Check if jobs have changed
-        const jobsChanged = currentHash !== previousHash;
-        
-        if (!jobsChanged) {
-            console.log('😴 No changes detected in job listings');
-            await logActivity({
-                action: 'check_completed',
-                jobsCount: currentJobs.length,
-                status: 'no_changes',
-                hash: currentHash.substring(0, 12)
-            });
-            return;
-        }
-        
-        console.log('✨ Jobs have changed! Checking keywords...');
-        
-        // Check if we should send email based on keywords
-        const emailCheck = shouldSendEmail(currentJobs, config.scraping.keywords);
-        
-        if (!emailCheck.shouldSend) {
-            console.log(`📧 No email sent: ${emailCheck.reason}`);
-            await saveHash(currentHash);
-            await saveJobs(currentJobs);
-            await logActivity({
-                action: 'check_completed',
-                jobsCount: currentJobs.length,
-                status: 'no_email',
-                reason: emailCheck.reason,
-                hash: currentHash.substring(0, 12)
-            });
-            return;
-        }
-        
-        console.log(`📧 Found ${emailCheck.matchingJobs.length} matching job(s)!`);
-        
-        // Send email notification
-        if (emailService) {
-            console.log('📧 Sending email notification...');
-            const emailResult = await emailService.sendJobAlert(emailCheck.matchingJobs, config.scraping.keywords);
-            
-            if (emailResult.success) {
-                console.log('✅ Email sent successfully!');
-                await logActivity({
-                    action: 'email_sent',
-                    jobsCount: currentJobs.length,
-                    matchingJobsCount: emailCheck.matchingJobs.length,
-                    emailId: emailResult.emailId,
-                    status: 'success',
-                    hash: currentHash.substring(0, 12)
-                });
-            } else {
-                console.error('❌ Email sending failed:', emailResult.error);
-                await logActivity({
-                    action: 'email_failed',
-                    jobsCount: currentJobs.length,
-                    matchingJobsCount: emailCheck.matchingJobs.length,
-                    error: emailResult.error,
-                    status: 'error',
-                    hash: currentHash.substring(0, 12)
-                });
-            }
-        } else {
-            console.log('📧 Email service not configured, skipping email');
-        }
-        
-        // Save new hash and jobs
-        await saveHash(currentHash);
-        await saveJobs(currentJobs);
-        
-        // Display matching jobs in console
-        console.log('\n📋 Matching Jobs:');
-        emailCheck.matchingJobs.forEach((job, index) => {
-            console.log(`\n${index + 1}. ${job.title}`);
-            console.log(`   Department: ${job.department}`);
-            console.log(`   Location: ${job.location}`);
-            console.log(`   Link: ${job.link}`);
+        await runCheck({
+            targets: config.scraping.targets,
+            storage,
+            scrape: scrapeJobs,
+            hash: generateJobsHash,
+            classifier: config.scraping.classifier,
+            scoring: config.scraping.scoring,
+            enrich: config.enrichment.enabled ? enrichJobDetails : null,
+            notifiers: createNotifiers(process.env, notifierRuntime()),
+            notifyClosed: config.closedJobs.enabled,
+            closeAfter: config.closedJobs.afterMisses,
+            subscriberNotifiers: subscriberNotifiers(process.env, notifierRuntime())
         });
-        
     } catch (error) {
         console.error('💥 Error during job check:', error);
         await logActivity({
@@ -334,11 +299,15 @@ async function checkForJobs() {
             error: error.message,
             status: 'error'
         });
+    } finally {
+        runLock = null;
+        await lock.release();
     }
     
     const endTime = new Date();
     const duration = (endTime - startTime) / 1000;
     console.log(`\n⏱️ Job check completed in ${duration.toFixed(2)} seconds\n`);
+    return { skipped: false };
 }
 
 /**
@@ -373,15 +342,45 @@ async function testEmail() {
     }
 }
 
+/**
+ * Send a test message on every configured alert channel
+ */
+async function testAlerts() {
+    const notifiers = createNotifiers(process.env, notifierRuntime());
+    if (notifiers.length === 0) {
+        console.log('❌ No alert channels configured');
+        return false;
+    }
+    
+    console.log(`🧪 Testing alert channels: ${notifiers.map(notifier => notifier.name).join(', ')}...`);
+    const results = await testNotifiers(notifiers);
+    results.forEach(result => {
+        if (result.success) {
+            console.log(`✅ ${result.channel} test successful!`);
+        } else {
+            console.error(`❌ ${result.channel} test failed:`, result.error);
+        }
+    });
+    return results.every(result => result.success);
+}
+
 /**
  * Graceful shutdown
  */
 process.on('SIGINT', async () => {
     console.log('\n🛑 Shutting down gracefully...');
-    await logActivity({
-        action: 'shutdown',
-        status: 'manual'
-    });
+    if (runLock) {
+        await runLock.release();
+    }
+    if (storage) {
+        await logActivity({
+            action: 'shutdown',
+            status: 'manual'
+        });
+        if (storage.close) {
+            storage.close();
+        }
+    }
     process.exit(0);
 });
 
@@ -393,11 +392,16 @@ async function start() {
     console.log('================================================');
     console.log(`📧 Email enabled: ${config.email.enabled}`);
     console.log(`📧 Receiver: ${config.email.receiver || 'Not configured'}`);
-    console.log(`🔑 Keywords: ${config.scraping.keywords.join(', ')}`);
-    console.log(`🌐 Target URL: ${config.scraping.url}`);
+    console.log(`📣 Alert channels: ${createNotifiers(process.env, notifierRuntime()).map(notifier => notifier.name).join(', ') || 'None'}`);
+    config.scraping.targets.forEach(target => {
+        console.log(`🎯 ${target.name}: ${target.url}`);
+        console.log(`   🔑 Filter: ${target.filter || 'None (all jobs)'}`);
+    });
     console.log(`⏰ Schedule: ${config.scraping.interval}`);
     console.log('================================================\n');
     
+    await openStorage();
+    
     // Initialize email service if configured
     if (emailService) {
         try {
@@ -415,7 +419,11 @@ async function start() {
         action: 'startup',
         config: {
             emailEnabled: config.email.enabled,
-            keywords: config.scraping.keywords,
+            targets: config.scraping.targets.map(target => ({
+                name: target.name,
+                url: target.url,
+                filter: target.filter
+            })),
             schedule: config.scraping.interval
         },
         status: 'success'
@@ -429,7 +437,39 @@ async function start() {
     
     console.log('✅ Scraper is now running!');
     console.log('   Press Ctrl+C to stop');
-    console.log('   Check scraper-log.json for detailed logs\n');
+    console.log(`   Check ${config.storage.backend === 'files' ? config.files.logFile : config.storage.databaseFile} for detailed logs\n`);
+}
+
+/**
+ * Manage subscriptions from the command line
+ *
+ *   --subscriptions               list them
+ *   --subscribe '<json>'          add one, or replace the one with the same id
+ *   --unsubscribe <id>            remove one
+ */
+async function manageSubscriptions(args) {
+    await openStorage();
+
+    const subscribe = args.indexOf('--subscribe');
+    const unsubscribe = args.indexOf('--unsubscribe');
+    try {
+        if (subscribe !== -1) {
+            const subscription = await saveSubscription(storage, JSON.parse(args[subscribe + 1] || 'null'));
+            console.log(`✅ Saved subscription ${describeSubscription(subscription)}`);
+        } else if (unsubscribe !== -1) {
+            const id = args[unsubscribe + 1];
+            const removed = await removeSubscription(storage, id);
+            console.log(removed ? `✅ Removed subscription ${id}` : `⚠️ No subscription named ${id}`);
+        } else {
+            const subscriptions = await storage.getSubscriptions();
+            console.log(subscriptions.length > 0 ? `📋 ${subscriptions.length} subscription(s):` : '📋 No subscriptions yet');
+            subscriptions.forEach(subscription => console.log(`   ${describeSubscription(subscription)}`));
+        }
+        return true;
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        return false;
+    }
 }
 
 // Handle command line arguments
@@ -437,8 +477,14 @@ const args = process.argv.slice(2);
 
 if (args.includes('--test-email')) {
     testEmail().then(() => process.exit(0));
+} else if (args.includes('--test-alerts')) {
+    testAlerts().then(ok => process.exit(ok ? 0 : 1));
+} else if (['--subscriptions', '--subscribe', '--unsubscribe'].some(flag => args.includes(flag))) {
+    manageSubscriptions(args).then(ok => process.exit(ok ? 0 : 1));
 } else if (args.includes('--run-once')) {
-    checkForJobs().then(() => process.exit(0));
+    openStorage()
+        .then(checkForJobs)
+        .then(result => process.exit(result.skipped ? 1 : 0));
 } else {
     start();
 }
@@ -0,0 +1,211 @@
+/**
+ * JobTracker Durable Object
+ *
+ * Owns the Worker's state with strong consistency: each target's snapshot
+ * and job history, the run log, subscriptions, and the lease that keeps
+ * cron and /trigger runs from overlapping. Jobs are stored one key per job, so snapshots and
+ * history aren't limited by the size of a single value:
+ *
+ *   snapshot:<target>            { hash, ids, savedAt }
+ *   snapshot-job:<target>:<id>   job from the latest snapshot
+ *   history:<target>:<id>        lifecycle record (lib/history.js)
+ *   log:<seq>                    run log entry, the latest RUN_LOG_LIMIT kept (default 1000)
+ *   subscriptions                every subscription (lib/subscriptions.js)
+ *   digest:<subscriber>          jobs queued for a subscriber's next digest
+ *   lock                         { owner, expiresAt } while a check runs
+ *   meta:<key>                   bookkeeping, e.g. when KV state was imported
+ *
+ * The Worker talks to it over fetch through DurableObjectStorage
+ * (lib/storage/durable-object.js).
+ */
+
+const DEFAULT_LOG_LIMIT = 1000;
+
+// storage.put() and delete() take at most 128 keys at a time
+const BATCH_SIZE = 128;
+
+function json(body, status = 200) {
+    return new Response(JSON.stringify(body), {
+        status,
+        headers: { 'Content-Type': 'application/json' }
+    });
+}
+
+// Zero-padded so log keys list in order
+function logKey(seq) {
+    return `log:${String(seq).padStart(12, '0')}`;
+}
+
+function chunk(items, size = BATCH_SIZE) {
+    const chunks = [];
+    for (let i = 0; i < items.length; i += size) {
+        chunks.push(items.slice(i, i + size));
+    }
+    return chunks;
+}
+
+export class JobTracker {
+    constructor(state, env) {
+        this.state = state;
+        this.storage = state.storage;
+        this.env = env;
+        this.logLimit = parseInt(env.RUN_LOG_LIMIT, 10) || DEFAULT_LOG_LIMIT;
+    }
+
+    async fetch(request) {
+        const url = new URL(request.url);
+        const target = url.searchParams.get('target');
+
+        try {
+            const body = request.method === 'GET' ? null : await request.json();
+
+            switch (`${request.method} ${url.pathname}`) {
+                case 'GET /snapshot':
+                    return json(await this.getSnapshot(target));
+                case 'PUT /snapshot':
+                    await this.putSnapshot(target, body);
+                    return json({ saved: true });
+                case 'GET /history':
+                    return json(await this.getHistory(target));
+                case 'PUT /history':
+                    await this.putHistory(target, body);
+                    return json({ saved: true });
+                case 'GET /log':
+                    return json(await this.getRunLog(parseInt(url.searchParams.get('limit'), 10) || 100));
+                case 'POST /log':
+                    await this.appendRunLog(body);
+                    return json({ saved: true });
+                case 'GET /subscriptions':
+                    return json(await this.storage.get('subscriptions') || []);
+                case 'PUT /subscriptions':
+                    await this.storage.put('subscriptions', body);
+                    return json({ saved: true });
+                case 'GET /digest':
+                    return json(await this.storage.get(`digest:${url.searchParams.get('subscriber')}`) ?? null);
+                case 'PUT /digest':
+                    await this.putDigest(url.searchParams.get('subscriber'), body);
+                    return json({ saved: true });
+                case 'POST /lock':
+                    return json(await this.acquireLock(body.owner, body.ttlMs));
+                case 'DELETE /lock':
+                    return json(await this.releaseLock(body.owner));
+                case 'GET /meta':
+                    return json(await this.storage.get(`meta:${url.searchParams.get('key')}`) ?? null);
+                case 'PUT /meta':
+                    await this.storage.put(`meta:${url.searchParams.get('key')}`, body);
+                    return json({ saved: true });
+                default:
+                    return json({ error: `Unknown JobTracker route: ${request.method} ${url.pathname}` }, 404);
+            }
+        } catch (error) {
+            console.error('❌ JobTracker error:', error);
+            return json({ error: error.message }, 500);
+        }
+    }
+
+    async getSnapshot(target) {
+        const snapshot = await this.storage.get(`snapshot:${target}`);
+        if (!snapshot) {
+            return null;
+        }
+
+        const stored = await this.storage.list({ prefix: `snapshot-job:${target}:` });
+        const jobs = snapshot.ids
+            .map(id => stored.get(`snapshot-job:${target}:${id}`))
+            .filter(Boolean);
+        return { jobs, hash: snapshot.hash };
+    }
+
+    async putSnapshot(target, snapshot) {
+        const ids = snapshot.jobs.map(job => job.id);
+        const current = new Set(ids.map(id => `snapshot-job:${target}:${id}`));
+        const stale = [...(await this.storage.list({ prefix: `snapshot-job:${target}:` })).keys()]
+            .filter(key => !current.has(key));
+
+        // Jobs, index and cleanup land together or not at all
+        await this.storage.transaction(async txn => {
+            for (const jobs of chunk(snapshot.jobs)) {
+                await txn.put(Object.fromEntries(jobs.map(job => [`snapshot-job:${target}:${job.id}`, job])));
+            }
+            for (const keys of chunk(stale)) {
+                await txn.delete(keys);
+            }
+            await txn.put(`snapshot:${target}`, { hash: snapshot.hash || null, ids, savedAt: new Date().toISOString() });
+        });
+    }
+
+    async getHistory(target) {
+        const prefix = `history:${target}:`;
+        const history = {};
+        for (const [key, record] of await this.storage.list({ prefix })) {
+            history[key.slice(prefix.length)] = record;
+        }
+        return history;
+    }
+
+    async putHistory(target, history) {
+        const entries = Object.entries(history).map(([id, record]) => [`history:${target}:${id}`, record]);
+
+        await this.storage.transaction(async txn => {
+            for (const records of chunk(entries)) {
+                await txn.put(Object.fromEntries(records));
+            }
+        });
+    }
+
+    async appendRunLog(entry) {
+        const seq = (await this.storage.get('log-seq') || 0) + 1;
+        await this.storage.put({
+            'log-seq': seq,
+            [logKey(seq)]: entry
+        });
+
+        // Drop whatever fell out of the window
+        if (seq > this.logLimit) {
+            const stale = await this.storage.list({ prefix: 'log:', end: logKey(seq - this.logLimit + 1) });
+            for (const keys of chunk([...stale.keys()])) {
+                await this.storage.delete(keys);
+            }
+        }
+    }
+
+    async getRunLog(limit) {
+        const latest = await this.storage.list({ prefix: 'log:', reverse: true, limit });
+        return [...latest.values()].reverse();
+    }
+
+    async putDigest(subscriber, digest) {
+        if (digest) {
+            await this.storage.put(`digest:${subscriber}`, digest);
+        } else {
+            await this.storage.delete(`digest:${subscriber}`);
+        }
+    }
+
+    /**
+     * Take the run lease unless another check holds an unexpired one
+     *
+     * The lease expires on its own so a run that dies mid-way can't block
+     * checks forever.
+     */
+    async acquireLock(owner, ttlMs = 15 * 60 * 1000) {
+        const now = Date.now();
+        const lock = await this.storage.get('lock');
+
+        if (lock && lock.owner !== owner && lock.expiresAt > now) {
+            return { acquired: false, heldBy: lock.owner, expiresAt: new Date(lock.expiresAt).toISOString() };
+        }
+
+        await this.storage.put('lock', { owner, expiresAt: now + ttlMs });
+        return { acquired: true, expiresAt: new Date(now + ttlMs).toISOString() };
+    }
+
+    async releaseLock(owner) {
+        const lock = await this.storage.get('lock');
+        if (!lock || lock.owner !== owner) {
+            return { released: false };
+        }
+        await this.storage.delete('lock');
+        return { released: true };
+    }
+}
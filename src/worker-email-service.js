@@ -3,6 +3,9 @@
  * Adapted from the original email-service.js for Workers environment
  */
 
+import { describeClassification } from '../lib/classify.js';
+import { formatBreakdown } from '../lib/score.js';
+
 export class WorkerEmailService {
     constructor(env) {
         this.apiKey = env.MAILSLURP_API_KEY;
@@ -64,9 +67,7 @@ export class WorkerEmailService {
         }
     }
 
-    generateJobEmailHTML(jobs, keywords) {
-        const matchingJobs = this.filterJobsByKeywords(jobs, keywords);
-        
+    generateJobEmailHTML(matchingJobs, filters) {
         if (matchingJobs.length === 0) {
             return null; // No matching jobs
         }
@@ -88,6 +89,7 @@ export class WorkerEmailService {
                 .job-title a:hover { text-decoration: underline; }
                 .job-meta { color: #666; font-size: 14px; margin: 5px 0; }
                 .job-meta strong { color: #333; }
+                .reposted-badge { background: #fff4e5; color: #8a5300; padding: 3px 8px; border-radius: 10px; font-size: 12px; font-weight: normal; margin-left: 8px; white-space: nowrap; }
                 .keywords-matched { background: #e8f5e8; color: #2d5a2d; padding: 5px 10px; border-radius: 15px; font-size: 12px; display: inline-block; margin: 5px 5px 0 0; }
                 .apply-btn { background: #FF5A5F; color: white; padding: 12px 25px; text-decoration: none; border-radius: 25px; display: inline-block; margin-top: 15px; font-weight: bold; }
                 .apply-btn:hover { background: #e04347; }
@@ -101,7 +103,7 @@ export class WorkerEmailService {
             <div class="container">
                 <div class="header">
                     <h1>🚀 New Airbnb Job Opportunities</h1>
-                    <p>Engineering positions matching your keywords</p>
+                    <p>Engineering positions matching your filters</p>
                 </div>
                 
                 <div class="content">
@@ -110,30 +112,53 @@ export class WorkerEmailService {
                         <div class="stats-label">New Matching Position${matchingJobs.length > 1 ? 's' : ''} Found</div>
                     </div>
                     
-                    <p><strong>Keywords that triggered this alert:</strong> ${keywords.join(', ')}</p>
+                    ${filters.length > 0 ? `
+                    <p><strong>Filters that triggered this alert:</strong> ${filters.map(filter => this.escapeHtml(filter)).join('; ')}</p>
+                    ` : ''}
                     
                     ${matchingJobs.map(job => {
-                        const matchedKeywords = this.getMatchedKeywords(job, keywords);
+                        const matchedClauses = job.matched_clauses || [];
+                        const level = describeClassification(job);
                         return `
                         <div class="job-card">
                             <h2 class="job-title">
                                 <a href="${job.link}" target="_blank">${job.title}</a>
+                                ${job.reposted ? `<span class="reposted-badge">Reposted · first listed ${new Date(job.first_seen).toLocaleDateString()}</span>` : ''}
                             </h2>
                             
                             <div class="job-meta">
                                 <strong>Department:</strong> ${job.department}
                             </div>
+                            ${level ? `
                             <div class="job-meta">
-                                <strong>Location:</strong> ${job.location}
+                                <strong>Level:</strong> ${level}
+                            </div>
+                            ` : ''}
+                            ${job.score_breakdown && job.score_breakdown.length > 0 ? `
+                            <div class="job-meta">
+                                <strong>Relevance:</strong> ${job.score} (${this.escapeHtml(formatBreakdown(job))})
                             </div>
+                            ` : ''}
+                            <div class="job-meta">
+                                ${job.postings ? `
+                                <strong>Locations:</strong> ${job.postings.map(posting => `<a href="${posting.link}" target="_blank">${this.escapeHtml(posting.location)}</a>`).join(' · ')}${job.workplace ? ` (${job.workplace})` : ''}
+                                ` : `
+                                <strong>Location:</strong> ${job.location}${job.workplace ? ` (${job.workplace})` : ''}
+                                `}
+                            </div>
+                            ${job.target && job.target !== 'default' ? `
+                            <div class="job-meta">
+                                <strong>Source:</strong> ${job.target}
+                            </div>
+                            ` : ''}
                             <div class="job-meta">
                                 <strong>Scraped:</strong> ${job.scraped_at ? new Date(job.scraped_at).toLocaleDateString() : 'Recently'}
                             </div>
                             
-                            ${matchedKeywords.length > 0 ? `
+                            ${matchedClauses.length > 0 ? `
                             <div style="margin: 10px 0;">
-                                <strong>Matched Keywords:</strong><br>
-                                ${matchedKeywords.map(keyword => `<span class="keywords-matched">${keyword}</span>`).join('')}
+                                <strong>Matched:</strong><br>
+                                ${matchedClauses.map(clause => `<span class="keywords-matched">${this.escapeHtml(clause)}</span>`).join('')}
                             </div>
                             ` : ''}
                             
@@ -156,27 +181,67 @@ export class WorkerEmailService {
         return html;
     }
 
-    filterJobsByKeywords(jobs, keywords) {
-        if (!keywords || keywords.length === 0) {
-            return jobs;
-        }
+    generateClosedJobsEmailHTML(jobs) {
+        const html = `
+        <!DOCTYPE html>
+        <html>
+        <head>
+            <meta charset="utf-8">
+            <style>
+                body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+                .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+                .header { background: #484848; color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+                .header h1 { margin: 0; font-size: 28px; }
+                .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px; }
+                .job-card { background: white; border-left: 4px solid #999; margin: 20px 0; padding: 20px; border-radius: 5px; box-shadow: 0 2px 5px rgba(0,0,0,0.1); }
+                .job-title { color: #484848; font-size: 20px; font-weight: bold; margin-bottom: 10px; }
+                .job-title a { color: #484848; text-decoration: none; }
+                .job-meta { color: #666; font-size: 14px; margin: 5px 0; }
+                .job-meta strong { color: #333; }
+            </style>
+        </head>
+        <body>
+            <div class="container">
+                <div class="header">
+                    <h1>📪 Position${jobs.length > 1 ? 's' : ''} Closed</h1>
+                    <p>${jobs.length} job${jobs.length > 1 ? 's' : ''} you were alerted about ${jobs.length > 1 ? 'are' : 'is'} no longer listed</p>
+                </div>
+                <div class="content">
+                    ${jobs.map(job => `
+                        <div class="job-card">
+                            <h2 class="job-title">
+                                <a href="${job.link}" target="_blank">${job.title}</a>
+                            </h2>
+                            <div class="job-meta">
+                                <strong>Location:</strong> ${job.location}
+                            </div>
+                            ${job.target && job.target !== 'default' ? `
+                            <div class="job-meta">
+                                <strong>Source:</strong> ${job.target}
+                            </div>
+                            ` : ''}
+                            <div class="job-meta">
+                                <strong>Listed:</strong> ${new Date(job.first_seen).toLocaleDateString()} – ${new Date(job.last_seen).toLocaleDateString()}
+                            </div>
+                        </div>
+                    `).join('')}
+                </div>
+            </div>
+        </body>
+        </html>
+        `;
 
-        return jobs.filter(job => {
-            const searchText = `${job.title} ${job.department}`.toLowerCase();
-            return keywords.some(keyword => 
-                searchText.includes(keyword.toLowerCase())
-            );
-        });
+        return html;
     }
 
-    getMatchedKeywords(job, keywords) {
-        const searchText = `${job.title} ${job.department}`.toLowerCase();
-        return keywords.filter(keyword => 
-            searchText.includes(keyword.toLowerCase())
-        );
+    escapeHtml(text) {
+        return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
     }
 
-    async sendJobAlert(jobs, keywords) {
+    // options.to sends to a subscriber instead of EMAIL_RECEIVER; options.digest marks a daily or weekly digest
+    async sendJobAlert(matchingJobs, filters = [], options = {}) {
+        const to = options.to || this.receiverEmail;
+        const digest = options.digest === 'daily' || options.digest === 'weekly' ? `${options.digest === 'daily' ? 'Daily' : 'Weekly'} digest: ` : '';
         try {
             if (!this.inbox || !this.inbox.id) {
                 console.log('📧 Initializing inbox for email sending...');
@@ -187,18 +252,16 @@ export class WorkerEmailService {
                 }
             }
 
-            const emailHTML = this.generateJobEmailHTML(jobs, keywords);
+            const emailHTML = this.generateJobEmailHTML(matchingJobs, filters);
             
             if (!emailHTML) {
-                console.log('📧 No jobs match the specified keywords, skipping email');
+                console.log('📧 No matching jobs to send, skipping email');
                 return { success: true, reason: 'no_matching_jobs' };
             }
 
-            const matchingJobs = this.filterJobsByKeywords(jobs, keywords);
-            
             const emailData = {
-                to: [this.receiverEmail],
-                subject: `🔔 ${matchingJobs.length} New Airbnb Job${matchingJobs.length > 1 ? 's' : ''} - ${matchingJobs.map(j => j.title).join(', ').substring(0, 50)}${matchingJobs.map(j => j.title).join(', ').length > 50 ? '...' : ''}`,
+                to: [to],
+                subject: `🔔 ${digest}${matchingJobs.length} New Airbnb Job${matchingJobs.length > 1 ? 's' : ''} - ${matchingJobs.map(j => j.title).join(', ').substring(0, 50)}${matchingJobs.map(j => j.title).join(', ').length > 50 ? '...' : ''}`,
                 body: emailHTML,
                 isHTML: true
             };
@@ -223,7 +286,7 @@ export class WorkerEmailService {
             const result = await response.json();
             
             console.log(`✅ Email sent successfully! Email ID: ${result.id}`);
-            console.log(`📧 Sent to: ${this.receiverEmail}`);
+            console.log(`📧 Sent to: ${to}`);
             console.log(`📝 Subject: ${emailData.subject}`);
             
             return { 
@@ -239,6 +302,50 @@ export class WorkerEmailService {
         }
     }
 
+    async sendClosedJobsAlert(jobs) {
+        try {
+            if (!this.inbox || !this.inbox.id) {
+                await this.initialize();
+                
+                if (!this.inbox || !this.inbox.id) {
+                    throw new Error('Failed to initialize inbox - no inbox ID available');
+                }
+            }
+
+            const emailData = {
+                to: [this.receiverEmail],
+                subject: `📪 ${jobs.length} Position${jobs.length > 1 ? 's' : ''} Closed - ${jobs.map(j => j.title).join(', ').substring(0, 50)}${jobs.map(j => j.title).join(', ').length > 50 ? '...' : ''}`,
+                body: this.generateClosedJobsEmailHTML(jobs),
+                isHTML: true
+            };
+
+            console.log(`📧 Sending closed notification for ${jobs.length} job(s)...`);
+            
+            const response = await fetch(`${this.baseUrl}/inboxes/${this.inbox.id}/emails`, {
+                method: 'POST',
+                headers: {
+                    'x-api-key': this.apiKey,
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify(emailData)
+            });
+            
+            if (!response.ok) {
+                const errorText = await response.text();
+                throw new Error(`Failed to send email: ${response.statusText} - ${errorText}`);
+            }
+            
+            const result = await response.json();
+            console.log(`✅ Closed notification sent! Email ID: ${result.id}`);
+            
+            return { success: true, emailId: result.id, closedJobsCount: jobs.length };
+
+        } catch (error) {
+            console.error('❌ Failed to send closed notification:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
     async testEmailService() {
         try {
             if (!this.inbox || !this.inbox.id) {
@@ -4,6 +4,28 @@
  */
 
 import { WorkerEmailService } from './worker-email-service.js';
+import { resolveAdapter } from '../lib/adapters/index.js';
+import { extractJobsFromResponse } from '../lib/html-extractor.js';
+import { assignJobIds } from '../lib/job-id.js';
+import { loadTargets } from '../lib/targets.js';
+import { runCheck } from '../lib/check.js';
+import { loadRules } from '../lib/classify.js';
+import { loadScoring } from '../lib/score.js';
+import { saveSubscription, removeSubscription } from '../lib/subscriptions.js';
+import { createNotifiers, subscriberNotifiers, testNotifiers } from '../lib/notifiers/index.js';
+import { KvStorage } from '../lib/storage/kv.js';
+import { DurableObjectStorage } from '../lib/storage/durable-object.js';
+import { copyState } from '../lib/storage/copy.js';
+import { queryHistory, daysOpen } from '../lib/history.js';
+
+// Durable Object classes must be exported from the main module
+export { JobTracker } from './job-tracker.js';
+
+// Set in the JobTracker once the KV state has been copied over
+const KV_IMPORTED_KEY = 'imported:kv';
+
+// A check that runs longer than this loses its lease to the next one
+const RUN_LEASE_MS = 15 * 60 * 1000;
 
 // Default configuration
 const DEFAULT_CONFIG = {
@@ -17,12 +39,13 @@ const DEFAULT_CONFIG = {
  * Generate SHA256 hash of jobs data for comparison
  */
 async function generateJobsHash(jobs) {
+    // Keyed by job ID rather than link, so tracking parameters don't change the hash
     const jobsString = JSON.stringify(jobs.map(job => ({
+        id: job.id,
         title: job.title,
-        link: job.link,
         department: job.department,
         location: job.location
-    })).sort((a, b) => a.link.localeCompare(b.link)));
+    })).sort((a, b) => a.id.localeCompare(b.id)));
     
     const encoder = new TextEncoder();
     const data = encoder.encode(jobsString);
@@ -32,15 +55,24 @@ async function generateJobsHash(jobs) {
 }
 
 /**
- * Scrape jobs from Airbnb careers page
+ * Scrape jobs from a careers page using its adapter
  */
-async function scrapeJobs(url) {
+async function scrapeJobs(target) {
     console.log('🔍 Starting job scraping...');
-    console.log(`📍 Navigating to: ${url}`);
+    console.log(`📍 Navigating to: ${target.url}`);
     
     try {
+        const adapter = resolveAdapter(target);
+        
+        // API-backed job boards return structured data directly
+        if (adapter.type === 'api') {
+            const jobs = assignJobIds(await adapter.fetchJobs(target), adapter);
+            console.log(`✅ Successfully fetched ${jobs.length} jobs (${adapter.name} API)`);
+            return { jobs, pagesVisited: null };
+        }
+        
         // Fetch the page
-        const response = await fetch(url, {
+        const response = await fetch(target.url, {
             headers: {
                 'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
             }
@@ -50,15 +82,11 @@ async function scrapeJobs(url) {
             throw new Error(`Failed to fetch page: ${response.statusText}`);
         }
         
-        const html = await response.text();
-        
-        // Parse HTML and extract jobs
-        // Note: In Workers, we need to use HTMLRewriter or regex parsing
-        // For simplicity, using regex patterns to extract job data
-        const jobs = extractJobsFromHTML(html);
+        // No DOM in Workers, so stream the page through HTMLRewriter using the adapter's spec
+        const jobs = assignJobIds(await extractJobsFromResponse(response, adapter.spec, response.url || target.url), adapter);
         
-        console.log(`✅ Successfully scraped ${jobs.length} jobs`);
-        return jobs;
+        console.log(`✅ Successfully scraped ${jobs.length} jobs (${adapter.name} adapter)`);
+        return { jobs, pagesVisited: 1 };
         
     } catch (error) {
         console.error('❌ Error during scraping:', error);
@@ -67,183 +95,217 @@ async function scrapeJobs(url) {
 }
 
 /**
- * Extract job information from HTML using regex patterns
- * Note: This is a simplified approach for Workers environment
+ * Watch targets for this deployment (WATCH_TARGETS, or the single legacy target)
  */
-function extractJobsFromHTML(html) {
-    const jobs = [];
-    
-    // Pattern to match job listings
-    const jobPattern = /<li[^>]*role="listitem"[^>]*>(.*?)<\/li>/gs;
-    const titlePattern = /<h3[^>]*>.*?<a[^>]*href="([^"]*)"[^>]*>([^<]*)<\/a>/s;
-    const departmentPattern = /<span[^>]*text-gray-48[^>]*>([^<]*)</s;
-    const locationPattern = /<span[^>]*col-span-4[^>]*lg:col-span-3[^>]*>.*?<span[^>]*>([^<]*)</s;
-    
-    let jobMatch;
-    while ((jobMatch = jobPattern.exec(html)) !== null) {
-        const jobHtml = jobMatch[1];
-        
-        const titleMatch = titlePattern.exec(jobHtml);
-        const departmentMatch = departmentPattern.exec(jobHtml);
-        const locationMatch = locationPattern.exec(jobHtml);
-        
-        if (titleMatch && titleMatch[1] && titleMatch[2]) {
-            jobs.push({
-                title: titleMatch[2].trim(),
-                link: titleMatch[1],
-                department: departmentMatch ? departmentMatch[1].trim() : 'Engineering',
-                location: locationMatch ? locationMatch[1].trim() : 'Bangalore, India',
-                scraped_at: new Date().toISOString()
-            });
+function getTargets(env) {
+    return loadTargets(env, DEFAULT_CONFIG.scraping);
+}
+
+/**
+ * The state storage: the JobTracker Durable Object when it's bound,
+ * otherwise KV
+ */
+function connectStorage(env) {
+    return env.JOB_TRACKER ? new DurableObjectStorage(env.JOB_TRACKER) : new KvStorage(env.JOB_STORAGE);
+}
+
+/**
+ * Copy the existing KV state into the tracker the first time it is used, so
+ * no history is lost
+ *
+ * Only done while holding the run lease (the caller's, or one taken here),
+ * so two requests can't import at once or mid-check.
+ */
+async function importKvState(env, storage, lease = null) {
+    if (!env.JOB_TRACKER || !env.JOB_STORAGE || await storage.getMeta(KV_IMPORTED_KEY)) {
+        return;
+    }
+
+    const owner = lease || crypto.randomUUID();
+    if (!lease && !(await storage.acquireLock(owner, RUN_LEASE_MS)).acquired) {
+        // Whoever holds the lease imports before checking
+        return;
+    }
+
+    try {
+        if (!(await storage.getMeta(KV_IMPORTED_KEY))) {
+            const imported = await copyState(new KvStorage(env.JOB_STORAGE), storage, getTargets(env));
+            await storage.setMeta(KV_IMPORTED_KEY, new Date().toISOString());
+            console.log(`📥 Imported ${imported.jobs} job(s) and ${imported.logEntries} log entries from KV`);
+        }
+    } finally {
+        if (!lease) {
+            await storage.releaseLock(owner);
         }
     }
-    
-    return jobs;
 }
 
 /**
- * Filter jobs by keywords
+ * Open the state storage, with any KV state imported
  */
-function filterJobsByKeywords(jobs, keywords) {
-    if (!keywords || keywords.length === 0) {
-        return jobs;
-    }
+async function openStorage(env) {
+    const storage = connectStorage(env);
+    await importKvState(env, storage);
+    return storage;
+}
 
-    return jobs.filter(job => {
-        const searchText = `${job.title} ${job.department}`.toLowerCase();
-        return keywords.some(keyword => searchText.includes(keyword.toLowerCase()));
-    });
+/**
+ * What the Worker offers the notifiers (lib/notifiers): the email service
+ * when it is enabled and has an API key or receiver. There is no
+ * filesystem, so no file log.
+ */
+function notifierRuntime(env) {
+    const enabled = env.EMAIL_ENABLED !== 'false' && (env.EMAIL_RECEIVER || env.MAILSLURP_API_KEY);
+    return {
+        email: { service: enabled ? new WorkerEmailService(env) : null, to: env.EMAIL_RECEIVER }
+    };
 }
 
 /**
  * Main job checking function
+ *
+ * Every target is checked on its own; matches from all of them go out in
+ * a single alert. The check itself lives in lib/check.js, with state kept
+ * in the JobTracker Durable Object (or KV when it isn't bound).
  */
 async function checkForJobs(env) {
     const startTime = new Date();
     console.log(`🚀 Starting job check at ${startTime.toISOString()}`);
     
+    let storage = null;
+    let lease = null;
+    
     try {
-        // Get configuration from environment
-        const config = {
-            scraping: {
-                url: env.AIRBNB_JOBS_URL || DEFAULT_CONFIG.scraping.url,
-                keywords: env.JOB_KEYWORDS ? env.JOB_KEYWORDS.split(',').map(k => k.trim()) : DEFAULT_CONFIG.scraping.keywords
-            },
-            email: {
-                enabled: env.EMAIL_ENABLED !== 'false',
-                receiver: env.EMAIL_RECEIVER
-            }
-        };
-        
-        console.log(`🔑 Keywords: ${config.scraping.keywords.join(', ')}`);
-        
-        // Scrape current jobs
-        const currentJobs = await scrapeJobs(config.scraping.url);
-        
-        if (currentJobs.length === 0) {
-            console.log('⚠️ No jobs found - this might indicate a scraping issue');
-            return { success: false, message: 'No jobs found' };
-        }
-        
-        // Generate hash of current jobs
-        const currentHash = await generateJobsHash(currentJobs);
-        console.log(`🔐 Current jobs hash: ${currentHash.substring(0, 12)}...`);
+        storage = connectStorage(env);
         
-        // Get previous hash from KV storage
-        const previousHash = await env.JOB_STORAGE.get('jobs-hash');
-        console.log(`🔐 Previous hash: ${previousHash ? previousHash.substring(0, 12) + '...' : 'None'}`);
-        
-        // Check if jobs have changed
-        const jobsChanged = currentHash !== previousHash;
-        
-        if (!jobsChanged) {
-            console.log('😴 No changes detected in job listings');
-            return { success: true, message: 'No changes detected' };
-        }
-        
-        console.log('✨ Jobs have changed! Checking keywords...');
-        
-        // Filter jobs by keywords
-        const matchingJobs = filterJobsByKeywords(currentJobs, config.scraping.keywords);
-        
-        if (matchingJobs.length === 0) {
-            console.log('📧 No jobs match keywords, saving hash but not sending email');
-            await env.JOB_STORAGE.put('jobs-hash', currentHash);
-            await env.JOB_STORAGE.put('latest-jobs', JSON.stringify(currentJobs));
-            return { success: true, message: 'No matching jobs found' };
-        }
-        
-        console.log(`📧 Found ${matchingJobs.length} matching job(s)!`);
-        
-        // Send email notification if enabled
-        if (config.email.enabled && config.email.receiver) {
-            console.log('📧 Sending email notification...');
-            const emailService = new WorkerEmailService(env);
-            const emailResult = await emailService.sendJobAlert(matchingJobs, config.scraping.keywords);
-            
-            if (emailResult.success) {
-                console.log('✅ Email sent successfully!');
-            } else {
-                console.error('❌ Email sending failed:', emailResult.error);
+        // Only one check at a time, so a cron run and a /trigger can't both alert on the same jobs
+        if (storage.acquireLock) {
+            lease = crypto.randomUUID();
+            const lock = await storage.acquireLock(lease, RUN_LEASE_MS);
+            if (!lock.acquired) {
+                console.log(`⏳ Another check is already running (until ${lock.expiresAt}), skipping`);
+                return { success: false, skipped: true, message: 'Another check is already running', lockedUntil: lock.expiresAt };
             }
-        } else {
-            console.log('📧 Email not configured, skipping email notification');
+            await importKvState(env, storage, lease);
         }
         
-        // Save new hash and jobs to KV storage
-        await env.JOB_STORAGE.put('jobs-hash', currentHash);
-        await env.JOB_STORAGE.put('latest-jobs', JSON.stringify(currentJobs));
-        
-        // Log activity
-        const logEntry = {
-            timestamp: new Date().toISOString(),
-            action: 'jobs_found',
-            jobsCount: currentJobs.length,
-            matchingJobsCount: matchingJobs.length,
-            hash: currentHash.substring(0, 12),
-            jobs: matchingJobs.map(job => ({ title: job.title, link: job.link }))
+        // Get configuration from environment
+        const config = {
+            targets: getTargets(env),
+            classifier: loadRules(env.CLASSIFIER_RULES, 'CLASSIFIER_RULES'), // Added to lib/classification-rules.json
+            scoring: loadScoring(env.SCORING_RULES, 'SCORING_RULES'), // Keyword weights, rules and minimum score (lib/score.js)
+            closedJobs: {
+                enabled: env.NOTIFY_CLOSED === 'true', // Alert when an alerted job is no longer listed
+                afterMisses: parseInt(env.CLOSED_AFTER_MISSES, 10) || 2 // Consecutive scrapes a job must be missing from
+            }
         };
         
-        // Store log (keep last 10 entries)
-        const existingLogs = await env.JOB_STORAGE.get('activity-logs', { type: 'json' }) || [];
-        const logs = [...existingLogs, logEntry].slice(-10);
-        await env.JOB_STORAGE.put('activity-logs', JSON.stringify(logs));
+        console.log(`🎯 Targets: ${config.targets.map(target => target.name).join(', ')}`);
+        
+        const runtime = notifierRuntime(env);
+        const result = await runCheck({
+            targets: config.targets,
+            storage,
+            scrape: scrapeJobs,
+            hash: generateJobsHash,
+            classifier: config.classifier,
+            scoring: config.scoring,
+            notifiers: createNotifiers(env, runtime),
+            notifyClosed: config.closedJobs.enabled,
+            closeAfter: config.closedJobs.afterMisses,
+            subscriberNotifiers: subscriberNotifiers(env, runtime)
+        });
         
         const endTime = new Date();
         const duration = (endTime - startTime) / 1000;
         console.log(`⏱️ Job check completed in ${duration.toFixed(2)} seconds`);
         
         return {
-            success: true,
-            message: 'Jobs processed successfully',
-            matchingJobsCount: matchingJobs.length,
-            totalJobsCount: currentJobs.length,
-            jobs: matchingJobs
+            success: result.success,
+            message: result.matchingJobs.length > 0 ? 'Jobs processed successfully' : 'No new matching jobs',
+            matchingJobsCount: result.matchingJobs.length,
+            closedJobsCount: result.closedJobs.length,
+            targets: result.targets,
+            jobs: result.matchingJobs
         };
         
     } catch (error) {
         console.error('💥 Error during job check:', error);
         
         // Log error
-        const errorLog = {
-            timestamp: new Date().toISOString(),
-            action: 'error',
-            error: error.message,
-            stack: error.stack
-        };
-        
         try {
-            const existingLogs = await env.JOB_STORAGE.get('activity-logs', { type: 'json' }) || [];
-            const logs = [...existingLogs, errorLog].slice(-10);
-            await env.JOB_STORAGE.put('activity-logs', JSON.stringify(logs));
+            await (storage || new KvStorage(env.JOB_STORAGE)).appendRunLog({
+                timestamp: new Date().toISOString(),
+                action: 'error',
+                error: error.message,
+                stack: error.stack
+            });
         } catch (logError) {
             console.error('Failed to log error:', logError);
         }
         
         return { success: false, error: error.message };
+    } finally {
+        if (lease) {
+            try {
+                await storage.releaseLock(lease);
+            } catch (error) {
+                // The lease runs out on its own
+                console.error('❌ Failed to release run lease:', error);
+            }
+        }
     }
 }
 
+function jsonResponse(body, status = 200) {
+    return new Response(JSON.stringify(body, null, 2), {
+        status,
+        headers: { 'Content-Type': 'application/json' }
+    });
+}
+
+/**
+ * Manage subscriptions: GET lists them, POST adds or replaces one (JSON
+ * body), DELETE ?id= removes one
+ *
+ * Subscriptions hold email addresses and webhook URLs, so every request
+ * needs "Authorization: Bearer <ADMIN_TOKEN>".
+ */
+async function handleSubscriptions(request, env, url) {
+    if (!env.ADMIN_TOKEN) {
+        return jsonResponse({ error: 'Set ADMIN_TOKEN to manage subscriptions' }, 403);
+    }
+    if (request.headers.get('Authorization') !== `Bearer ${env.ADMIN_TOKEN}`) {
+        return jsonResponse({ error: 'Unauthorized' }, 401);
+    }
+
+    const storage = await openStorage(env);
+
+    if (request.method === 'GET') {
+        return jsonResponse({ subscriptions: await storage.getSubscriptions() });
+    }
+
+    if (request.method === 'POST') {
+        let subscription;
+        try {
+            subscription = await saveSubscription(storage, await request.json());
+        } catch (error) {
+            return jsonResponse({ error: error.message }, 400);
+        }
+        return jsonResponse({ saved: true, subscription });
+    }
+
+    if (request.method === 'DELETE') {
+        const id = url.searchParams.get('id');
+        if (!(await removeSubscription(storage, id))) {
+            return jsonResponse({ error: `No subscription named ${id}` }, 404);
+        }
+        return jsonResponse({ removed: true, id });
+    }
+
+    return jsonResponse({ error: `${request.method} not supported` }, 405);
+}
+
 /**
  * Handle HTTP requests (for manual triggering and status)
  */
@@ -253,15 +315,25 @@ async function handleRequest(request, env) {
     
     if (path === '/status') {
         // Return status and recent logs
-        const logs = await env.JOB_STORAGE.get('activity-logs', { type: 'json' }) || [];
-        const latestJobs = await env.JOB_STORAGE.get('latest-jobs', { type: 'json' }) || [];
-        const currentHash = await env.JOB_STORAGE.get('jobs-hash') || 'None';
+        const storage = await openStorage(env);
+        const logs = await storage.getRunLog();
+        const targets = [];
+        for (const target of getTargets(env)) {
+            const snapshot = await storage.getSnapshot(target);
+            targets.push({
+                name: target.name,
+                url: target.url,
+                filter: target.filter,
+                currentHash: (snapshot && snapshot.hash || 'None').substring(0, 12),
+                jobsCount: snapshot ? snapshot.jobs.length : 0
+            });
+        }
         
         return new Response(JSON.stringify({
             status: 'running',
+            storage: env.JOB_TRACKER ? 'durable-object' : 'kv',
             lastCheck: logs[logs.length - 1]?.timestamp || 'Never',
-            currentHash: currentHash.substring(0, 12),
-            jobsCount: latestJobs.length,
+            targets,
             recentLogs: logs.slice(-5),
             timestamp: new Date().toISOString()
         }, null, 2), {
@@ -269,6 +341,39 @@ async function handleRequest(request, env) {
         });
     }
     
+    if (path === '/history') {
+        // Job lifecycle history, e.g. /history?state=closed&target=stripe
+        const storage = await openStorage(env);
+        const name = url.searchParams.get('target');
+        const targets = getTargets(env).filter(target => !name || target.name === name);
+        const jobs = [];
+        try {
+            for (const target of targets) {
+                const records = queryHistory(await storage.getHistory(target), {
+                    state: url.searchParams.get('state'),
+                    since: url.searchParams.get('since')
+                });
+                jobs.push(...records.map(record => ({ ...record, target: target.name, days_open: daysOpen(record) })));
+            }
+        } catch (error) {
+            return new Response(JSON.stringify({
+                error: error.message
+            }), { status: 400, headers: { 'Content-Type': 'application/json' } });
+        }
+        
+        return new Response(JSON.stringify({
+            jobsCount: jobs.length,
+            jobs,
+            timestamp: new Date().toISOString()
+        }, null, 2), {
+            headers: { 'Content-Type': 'application/json' }
+        });
+    }
+    
+    if (path === '/subscriptions') {
+        return handleSubscriptions(request, env, url);
+    }
+    
     if (path === '/trigger') {
         // Manual trigger
         console.log('🔨 Manual trigger initiated');
@@ -310,6 +415,20 @@ async function handleRequest(request, env) {
         }
     }
     
+    if (path === '/test-alerts') {
+        // Send a test message on every configured alert channel
+        const notifiers = createNotifiers(env, notifierRuntime(env));
+        if (notifiers.length === 0) {
+            return jsonResponse({ error: 'No alert channels configured' }, 400);
+        }
+        
+        return jsonResponse({
+            testAlerts: true,
+            results: await testNotifiers(notifiers),
+            timestamp: new Date().toISOString()
+        });
+    }
+    
     // Default response
     return new Response(`
     <html>
@@ -318,8 +437,11 @@ async function handleRequest(request, env) {
         <p>Running on Cloudflare Workers</p>
         <ul>
             <li><a href="/status">Status & Logs</a></li>
+            <li><a href="/history">Job History</a></li>
+            <li>/subscriptions (GET, POST, DELETE with ADMIN_TOKEN)</li>
             <li><a href="/trigger">Manual Trigger</a></li>
             <li><a href="/test-email">Test Email</a></li>
+            <li><a href="/test-alerts">Test All Alert Channels</a></li>
         </ul>
         <p>Cron Schedule: Every 2 days at midnight UTC</p>
     </body>
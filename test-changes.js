@@ -0,0 +1,186 @@
+// Offline tests for per-job change detection and lifecycle history between snapshots
+const assert = require('assert');
+const { test } = require('node:test');
+const { getAdapter } = require('./lib/adapters');
+const { diffJobs, hasChanges, findNewMatches, summarizeDiff } = require('./lib/diff');
+const { updateHistory, markAlerted, annotateJobs, daysOpen, queryHistory } = require('./lib/history');
+const { job } = require('./fixtures/jobs');
+
+const airbnb = getAdapter('airbnb');
+
+// Stand-in for the keyword filters in the scrapers
+function keywordFilter(keywords) {
+    return jobs => jobs.filter(j => keywords.some(k => j.title.toLowerCase().includes(k.toLowerCase())));
+}
+
+test('diff: splits jobs into added, removed, modified and unchanged', () => {
+    const previous = [job(1, 'Backend Engineer'), job(2, 'Data Scientist'), job(3, 'Recruiter')];
+    const current = [
+        job(1, 'Backend Engineer'),
+        job(2, 'Senior Data Scientist'),
+        job(4, 'Frontend Engineer')
+    ];
+
+    const diff = diffJobs(previous, current, airbnb);
+
+    assert.deepStrictEqual(diff.added.map(j => j.id), ['airbnb:4']);
+    assert.deepStrictEqual(diff.removed.map(j => j.id), ['airbnb:3']);
+    assert.deepStrictEqual(diff.modified.map(c => [c.job.id, c.changes]), [['airbnb:2', ['title']]]);
+    assert.strictEqual(diff.unchanged, 1);
+    assert.ok(hasChanges(diff));
+
+    const summary = summarizeDiff(diff);
+    assert.deepStrictEqual(
+        [summary.added, summary.removed, summary.modified, summary.unchanged],
+        [1, 1, 1, 1]
+    );
+    assert.deepStrictEqual(summary.modifiedIds, ['airbnb:2 (title)']);
+});
+
+test('diff: scrape time alone is not a change', () => {
+    const previous = [job(1, 'Backend Engineer', { scraped_at: '2024-01-01T00:00:00.000Z' })];
+    const current = [job(1, 'Backend Engineer')];
+
+    assert.ok(!hasChanges(diffJobs(previous, current, airbnb)));
+});
+
+test('diff: first run treats every job as added', () => {
+    const diff = diffJobs(null, [job(1, 'Backend Engineer'), job(2, 'Recruiter')], airbnb);
+
+    assert.strictEqual(diff.added.length, 2);
+    assert.strictEqual(diff.removed.length, 0);
+});
+
+test('diff: snapshots saved before job IDs are matched by link', () => {
+    const { id, ...legacy } = job(1, 'Backend Engineer', { link: 'https://careers.airbnb.com/positions/1?gh_src=abc' });
+    const diff = diffJobs([legacy], [job(1, 'Backend Engineer')], airbnb);
+
+    assert.strictEqual(diff.unchanged, 1);
+    assert.strictEqual(diff.added.length, 0);
+});
+
+test('new matches: previously alerted jobs are not re-sent', () => {
+    const filter = keywordFilter(['Backend', 'Data']);
+    const previous = [job(1, 'Backend Engineer'), job(2, 'Recruiter'), job(3, 'Data Engineer')];
+    const current = [
+        job(1, 'Backend Engineer'),
+        job(2, 'Data Recruiter'), // Retitled into a match
+        job(3, 'Data Engineer', { location: 'Remote' }), // Already matched before
+        job(4, 'Backend Engineer, Payments'),
+        job(5, 'Designer')
+    ];
+
+    const matches = findNewMatches(diffJobs(previous, current, airbnb), filter);
+
+    assert.deepStrictEqual(matches.map(j => j.id), ['airbnb:4', 'airbnb:2']);
+});
+
+test('new matches: jobs alerted on and still open are not re-sent when they come back', () => {
+    const filter = keywordFilter(['Engineer']);
+    const diff = diffJobs([job(2, 'Data Engineer')], [job(1, 'Backend Engineer'), job(2, 'Data Engineer'), job(3, 'ML Engineer')], airbnb);
+    const history = {
+        'airbnb:1': { id: 'airbnb:1', alerted_at: '2024-05-01T00:00:00.000Z', closed_at: null, missed: 1 },
+        'airbnb:3': { id: 'airbnb:3', alerted_at: '2024-05-01T00:00:00.000Z', closed_at: '2024-05-03T00:00:00.000Z' }
+    };
+
+    // Closed jobs that come back are reposts and alert again
+    assert.deepStrictEqual(findNewMatches(diff, filter, history).map(j => j.id), ['airbnb:3']);
+});
+
+test('new matches: removals alone never alert', () => {
+    const filter = keywordFilter(['Backend']);
+    const diff = diffJobs([job(1, 'Backend Engineer'), job(2, 'Backend Lead')], [job(1, 'Backend Engineer')], airbnb);
+
+    assert.ok(hasChanges(diff));
+    assert.deepStrictEqual(findNewMatches(diff, filter), []);
+});
+
+test('history: records first seen, last seen and closing dates', () => {
+    const history = {};
+
+    let result = updateHistory(history, [job(1, 'Backend Engineer'), job(2, 'Recruiter')], { now: '2024-03-01T00:00:00.000Z' });
+    assert.deepStrictEqual(result.opened, ['airbnb:1', 'airbnb:2']);
+
+    result = updateHistory(history, [job(1, 'Senior Backend Engineer')], { now: '2024-03-03T00:00:00.000Z' });
+    assert.deepStrictEqual(result.closed, ['airbnb:2']);
+    assert.deepStrictEqual(result.opened, []);
+
+    assert.strictEqual(history['airbnb:1'].first_seen, '2024-03-01T00:00:00.000Z');
+    assert.strictEqual(history['airbnb:1'].last_seen, '2024-03-03T00:00:00.000Z');
+    assert.strictEqual(history['airbnb:1'].title, 'Senior Backend Engineer');
+    assert.strictEqual(history['airbnb:1'].closed_at, null);
+
+    assert.strictEqual(history['airbnb:2'].last_seen, '2024-03-01T00:00:00.000Z');
+    assert.strictEqual(history['airbnb:2'].closed_at, '2024-03-03T00:00:00.000Z');
+    assert.strictEqual(daysOpen(history['airbnb:2']), 2);
+
+    // Already closed jobs aren't closed again
+    result = updateHistory(history, [job(1, 'Senior Backend Engineer')], { now: '2024-03-05T00:00:00.000Z' });
+    assert.deepStrictEqual(result.closed, []);
+    assert.strictEqual(history['airbnb:2'].closed_at, '2024-03-03T00:00:00.000Z');
+});
+
+test('history: jobs that come back are reopened and labeled as reposts', () => {
+    const history = {};
+    updateHistory(history, [job(1, 'Backend Engineer'), job(2, 'Data Engineer')], { now: '2024-03-01T00:00:00.000Z' });
+    updateHistory(history, [job(1, 'Backend Engineer')], { now: '2024-03-03T00:00:00.000Z' });
+
+    const result = updateHistory(history, [job(1, 'Backend Engineer'), job(2, 'Data Engineer'), job(3, 'SRE')], { now: '2024-03-09T00:00:00.000Z' });
+    assert.deepStrictEqual(result.reopened, ['airbnb:2']);
+    assert.deepStrictEqual(result.opened, ['airbnb:3']);
+    assert.strictEqual(history['airbnb:2'].closed_at, null);
+    assert.strictEqual(history['airbnb:2'].reopened, 1);
+    assert.strictEqual(history['airbnb:2'].first_seen, '2024-03-01T00:00:00.000Z');
+
+    const [repost, brandNew] = annotateJobs([job(2, 'Data Engineer'), job(3, 'SRE')], history);
+    assert.strictEqual(repost.reposted, true);
+    assert.strictEqual(repost.first_seen, '2024-03-01T00:00:00.000Z');
+    assert.strictEqual(brandNew.reposted, false);
+
+    // Only labeled in the run it came back in
+    updateHistory(history, [job(2, 'Data Engineer')], { now: '2024-03-11T00:00:00.000Z' });
+    assert.strictEqual(annotateJobs([job(2, 'Data Engineer')], history)[0].reposted, false);
+});
+
+test('history: jobs only close after missing N consecutive scrapes', () => {
+    const history = {};
+    const options = now => ({ now, closeAfter: 3 });
+    updateHistory(history, [job(1, 'Backend Engineer'), job(2, 'Data Engineer')], options('2024-03-01T00:00:00.000Z'));
+    markAlerted(history, [job(1, 'Backend Engineer')]);
+
+    // A flaky page drops job 1 once: no closure, no repost
+    let result = updateHistory(history, [job(2, 'Data Engineer')], options('2024-03-02T00:00:00.000Z'));
+    assert.deepStrictEqual(result.closed, []);
+    assert.strictEqual(history['airbnb:1'].missed, 1);
+    result = updateHistory(history, [job(1, 'Backend Engineer'), job(2, 'Data Engineer')], options('2024-03-03T00:00:00.000Z'));
+    assert.deepStrictEqual(result.reopened, []);
+    assert.strictEqual(history['airbnb:1'].missed, 0);
+
+    // Gone for three runs in a row: closed as of the first miss
+    updateHistory(history, [job(2, 'Data Engineer')], options('2024-03-04T00:00:00.000Z'));
+    updateHistory(history, [job(2, 'Data Engineer')], options('2024-03-05T00:00:00.000Z'));
+    result = updateHistory(history, [], options('2024-03-06T00:00:00.000Z'));
+
+    assert.deepStrictEqual(result.closed, ['airbnb:1']);
+    assert.strictEqual(history['airbnb:1'].closed_at, '2024-03-04T00:00:00.000Z');
+    assert.ok(history['airbnb:1'].alerted_at);
+    assert.strictEqual(history['airbnb:2'].closed_at, null);
+    assert.strictEqual(history['airbnb:2'].alerted_at, undefined);
+});
+
+test('history: queries filter by state and date, newest first', () => {
+    const history = {};
+    updateHistory(history, [job(1, 'Backend Engineer'), job(2, 'Data Engineer')], { now: '2024-03-01T00:00:00.000Z' });
+    updateHistory(history, [job(1, 'Backend Engineer'), job(3, 'SRE')], { now: '2024-03-05T00:00:00.000Z' });
+    updateHistory(history, [job(1, 'Backend Engineer'), job(2, 'Data Engineer'), job(3, 'SRE')], { now: '2024-03-09T00:00:00.000Z' });
+    updateHistory(history, [job(1, 'Backend Engineer'), job(3, 'SRE')], { now: '2024-03-12T00:00:00.000Z' });
+
+    const ids = records => records.map(record => record.id);
+    assert.deepStrictEqual(ids(queryHistory(history)), ['airbnb:3', 'airbnb:1', 'airbnb:2']);
+    assert.deepStrictEqual(ids(queryHistory(history, { state: 'open' })), ['airbnb:3', 'airbnb:1']);
+    assert.deepStrictEqual(ids(queryHistory(history, { state: 'closed' })), ['airbnb:2']);
+    assert.deepStrictEqual(ids(queryHistory(history, { state: 'reposted' })), ['airbnb:2']);
+    assert.deepStrictEqual(ids(queryHistory(history, { since: '2024-03-10' })), ['airbnb:3', 'airbnb:1']);
+    assert.deepStrictEqual(ids(queryHistory(history, { limit: 1 })), ['airbnb:3']);
+    assert.throws(() => queryHistory(history, { since: 'last week' }), /Invalid date/);
+});
@@ -0,0 +1,422 @@
+// Offline tests for the shared check loop, run against in-memory storage with stub scrapers and notifiers
+const assert = require('assert');
+const { test } = require('node:test');
+const crypto = require('crypto');
+const { runCheck } = require('./lib/check');
+const { MemoryStorage } = require('./lib/storage/memory');
+const { loadScoring } = require('./lib/score');
+const { saveSubscription } = require('./lib/subscriptions');
+const { job } = require('./fixtures/jobs');
+
+function target(name, filter = 'title:Engineer') {
+    return { name, url: `https://careers.airbnb.com/${name}/`, adapter: 'airbnb', filter };
+}
+
+function hash(jobs) {
+    return crypto.createHash('sha256').update(JSON.stringify(jobs.map(j => j.id).sort())).digest('hex');
+}
+
+// A notifier that hands every batch to send
+function notifier(name, send) {
+    return { name, isConfigured: () => true, send, test: async () => ({ success: true }) };
+}
+
+/**
+ * A check harness: listings per target can be swapped between runs, and
+ * every alert, including each subscriber's, is captured instead of sent
+ */
+function harness(targets, options = {}) {
+    const listings = {};
+    const alerts = [];
+    const closedAlerts = [];
+    const sent = [];
+    const storage = options.storage || new MemoryStorage();
+
+    const email = notifier('email', async batch => {
+        if (batch.kind === 'closed') {
+            closedAlerts.push(batch.jobs);
+            return { success: true, messageId: 'closed-1' };
+        }
+        alerts.push({ jobs: batch.jobs, filters: batch.filters });
+        return options.failAlerts ? { success: false, error: 'SMTP down' } : { success: true, messageId: `email-${alerts.length}` };
+    });
+
+    const subscriberNotifiers = {};
+    for (const channel of options.channels || ['email', 'discord', 'telegram']) {
+        subscriberNotifiers[channel] = destination => notifier(channel, async batch => {
+            sent.push({ channel, destination, subscriber: batch.subscriber, ids: batch.jobs.map(j => j.id) });
+            return options.failChannel === channel ? { success: false, error: `${channel} down` } : { success: true, messageId: `${channel}-${sent.length}` };
+        });
+    }
+
+    const check = now => quietly(() => runCheck({
+        targets,
+        storage,
+        scrape: async t => {
+            if (listings[t.name] instanceof Error) {
+                throw listings[t.name];
+            }
+            return { jobs: listings[t.name] || [], pagesVisited: 1 };
+        },
+        hash,
+        scoring: options.scoring,
+        notifiers: options.noAlerts ? [] : [email, ...(options.notifiers || [])],
+        notifyClosed: options.notifyClosed,
+        closeAfter: options.closeAfter,
+        subscriberNotifiers,
+        now
+    }));
+
+    return { listings, alerts, closedAlerts, sent, storage, check };
+}
+
+// The loop narrates every step; keep test output to the results
+async function quietly(fn) {
+    const { log, error } = console;
+    console.log = console.error = () => {};
+    try {
+        return await fn();
+    } finally {
+        console.log = log;
+        console.error = error;
+    }
+}
+
+test('first run alerts on matching jobs and saves the snapshot', async () => {
+    const t = target('default');
+    const h = harness([t]);
+    h.listings.default = [job(1, 'Backend Engineer'), job(2, 'Recruiter')];
+
+    const result = await h.check();
+
+    assert.ok(result.success);
+    assert.strictEqual(h.alerts.length, 1);
+    assert.deepStrictEqual(h.alerts[0].jobs.map(j => j.id), ['airbnb:1']);
+    assert.deepStrictEqual(h.alerts[0].filters, ['title:Engineer']);
+    assert.deepStrictEqual(h.alerts[0].jobs[0].matched_clauses, ['title:Engineer']);
+    assert.strictEqual(h.alerts[0].jobs[0].target, 'default');
+
+    const snapshot = await h.storage.getSnapshot(t);
+    assert.strictEqual(snapshot.jobs.length, 2);
+    assert.strictEqual(snapshot.hash, hash(h.listings.default));
+    assert.deepStrictEqual(h.storage.notifications.map(n => [n.kind, n.status, n.jobIds]), [['new', 'sent', ['airbnb:1']]]);
+});
+
+test('targets are filtered by their own expressions', async () => {
+    const h = harness([
+        target('airbnb', 'Engineer AND NOT Manager'),
+        target('stripe', 'location:Remote OR department="Data Science"')
+    ]);
+    h.listings.airbnb = [job(1, 'Backend Engineer'), job(2, 'Engineering Manager')];
+    h.listings.stripe = [
+        job(3, 'Analyst', { department: 'Data Science' }),
+        job(4, 'Recruiter', { location: 'Remote, India' }),
+        job(5, 'Engineer')
+    ];
+
+    await h.check();
+
+    assert.deepStrictEqual(h.alerts[0].jobs.map(j => [j.id, j.matched_clauses]), [
+        ['airbnb:1', ['Engineer']],
+        ['airbnb:3', ['department="Data Science"']],
+        ['airbnb:4', ['location:Remote']]
+    ]);
+    assert.deepStrictEqual(h.alerts[0].filters, ['Engineer AND NOT Manager', 'location:Remote OR department="Data Science"']);
+});
+
+test('alerts are ranked by score and low scores are left out', async () => {
+    const h = harness([target('airbnb'), target('stripe')], {
+        scoring: loadScoring({
+            keywords: { Backend: 3, Platform: 1 },
+            rules: [{ match: 'location:Remote', score: 2, label: 'Remote' }],
+            minScore: 4
+        })
+    });
+    h.listings.airbnb = [job(1, 'Platform Engineer'), job(2, 'Backend Engineer')];
+    h.listings.stripe = [job(3, 'Platform Engineer', { location: 'Remote, India' })];
+
+    await h.check();
+
+    assert.deepStrictEqual(h.alerts[0].jobs.map(j => [j.id, j.score]), [['airbnb:2', 9], ['airbnb:3', 5]]);
+    assert.deepStrictEqual(h.alerts[0].jobs[1].score_breakdown, [
+        { reason: 'Platform in title', points: 3 },
+        { reason: 'Remote', points: 2 }
+    ]);
+    // Only the alerted jobs are recorded as alerted
+    const history = await h.storage.getHistory(target('airbnb'));
+    assert.ok(history['airbnb:2'].alerted_at);
+    assert.ok(!history['airbnb:1'].alerted_at);
+});
+
+test('one role posted in several locations alerts once but is recorded per posting', async () => {
+    const h = harness([target('default', '')]);
+    await saveSubscription(h.storage, { id: 'backend', filter: 'Backend', channels: { telegram: '42' } });
+    h.listings.default = [
+        job(1, 'Backend Engineer - Bangalore'),
+        job(2, 'Backend Engineer - Dublin', { location: 'Dublin, Ireland' }),
+        job(3, 'Data Engineer')
+    ];
+
+    const result = await h.check();
+
+    assert.deepStrictEqual(h.alerts[0].jobs.map(j => [j.id, j.location]), [
+        ['airbnb:1', 'Bangalore, India; Dublin, Ireland'],
+        ['airbnb:3', 'Bangalore, India']
+    ]);
+    assert.deepStrictEqual(h.alerts[0].jobs[0].postings.map(p => p.id), ['airbnb:1', 'airbnb:2']);
+    assert.deepStrictEqual(h.sent.map(s => s.ids), [['airbnb:1']]);
+
+    // History, notification records and the result keep every posting
+    assert.deepStrictEqual(result.matchingJobs.map(j => j.id), ['airbnb:1', 'airbnb:2', 'airbnb:3']);
+    assert.ok((await h.storage.getHistory(target('default')))['airbnb:2'].alerted_at);
+    assert.deepStrictEqual(h.storage.notifications.map(n => n.jobIds), [['airbnb:1', 'airbnb:2', 'airbnb:3'], ['airbnb:1', 'airbnb:2']]);
+});
+
+test('unchanged listings send nothing; new matches alert only on the new job', async () => {
+    const h = harness([target('default')]);
+    h.listings.default = [job(1, 'Backend Engineer')];
+    await h.check();
+
+    const quiet = await h.check();
+    assert.strictEqual(h.alerts.length, 1);
+    assert.strictEqual(quiet.targets[0].status, 'no_changes');
+
+    h.listings.default = [job(1, 'Backend Engineer'), job(2, 'Data Engineer')];
+    await h.check();
+    assert.strictEqual(h.alerts.length, 2);
+    assert.deepStrictEqual(h.alerts[1].jobs.map(j => j.id), ['airbnb:2']);
+});
+
+test('a job missing from one scrape is not alerted again when it returns', async () => {
+    const h = harness([target('default')], { closeAfter: 2 });
+    h.listings.default = [job(1, 'Backend Engineer'), job(2, 'Data Engineer')];
+    await h.check();
+
+    h.listings.default = [job(2, 'Data Engineer')];
+    await h.check();
+
+    h.listings.default = [job(1, 'Backend Engineer'), job(2, 'Data Engineer')];
+    const result = await h.check();
+
+    assert.strictEqual(h.alerts.length, 1);
+    assert.strictEqual(result.targets[0].status, 'no_new_matches');
+});
+
+test('changes without new matches update the snapshot silently', async () => {
+    const t = target('default');
+    const h = harness([t]);
+    h.listings.default = [job(1, 'Backend Engineer')];
+    await h.check();
+
+    h.listings.default = [job(1, 'Backend Engineer'), job(2, 'Recruiter')];
+    const result = await h.check();
+
+    assert.strictEqual(h.alerts.length, 1);
+    assert.strictEqual(result.targets[0].status, 'no_new_matches');
+    assert.strictEqual((await h.storage.getSnapshot(t)).jobs.length, 2);
+});
+
+test('a failing target is logged and the others still alert together', async () => {
+    const h = harness([target('broken'), target('stripe'), target('airbnb')]);
+    h.listings.broken = new Error('HTTP 500');
+    h.listings.stripe = [job(7, 'Payments Engineer')];
+    h.listings.airbnb = [job(1, 'Backend Engineer')];
+
+    const result = await h.check();
+
+    assert.ok(result.success);
+    assert.deepStrictEqual(result.targets.map(t => t.status), ['error', 'new_matches', 'new_matches']);
+    assert.strictEqual(h.alerts.length, 1);
+    assert.deepStrictEqual(h.alerts[0].jobs.map(j => j.target), ['stripe', 'airbnb']);
+
+    const log = await h.storage.getRunLog();
+    const failed = log.find(entry => entry.action === 'check_failed');
+    assert.strictEqual(failed.target, 'broken');
+    assert.strictEqual(failed.error, 'HTTP 500');
+    assert.ok(log.some(entry => entry.action === 'email_sent' && entry.matchingJobsCount === 2));
+});
+
+test('an empty scrape keeps the previous snapshot and history', async () => {
+    const t = target('default');
+    const h = harness([t]);
+    h.listings.default = [job(1, 'Backend Engineer')];
+    await h.check();
+
+    h.listings.default = [];
+    const result = await h.check();
+
+    assert.strictEqual(result.targets[0].status, 'warning');
+    assert.strictEqual((await h.storage.getSnapshot(t)).jobs.length, 1);
+    assert.strictEqual((await h.storage.getHistory(t))['airbnb:1'].missed, 0);
+});
+
+test('alerted jobs that stay gone trigger one closed notification', async () => {
+    const t = target('default');
+    const h = harness([t], { notifyClosed: true, closeAfter: 2 });
+    h.listings.default = [job(1, 'Backend Engineer'), job(2, 'Data Engineer')];
+    await h.check();
+
+    h.listings.default = [job(2, 'Data Engineer')];
+    await h.check();
+    assert.strictEqual(h.closedAlerts.length, 0);
+
+    await h.check();
+    assert.strictEqual(h.closedAlerts.length, 1);
+    assert.deepStrictEqual(h.closedAlerts[0].map(j => [j.id, j.target]), [['airbnb:1', 'default']]);
+    assert.ok((await h.storage.getHistory(t))['airbnb:1'].closed_at);
+});
+
+test('a failed alert is still recorded and the snapshot still saved', async () => {
+    const t = target('default');
+    const h = harness([t], { failAlerts: true });
+    h.listings.default = [job(1, 'Backend Engineer')];
+
+    await h.check();
+
+    assert.deepStrictEqual(h.storage.notifications.map(n => [n.status, n.error]), [['failed', 'SMTP down']]);
+    assert.ok((await h.storage.getRunLog()).some(entry => entry.action === 'email_failed'));
+    assert.ok(await h.storage.getSnapshot(t));
+    // Nobody was told, so the job isn't alerted and won't get a closed alert
+    assert.ok(!(await h.storage.getHistory(t))['airbnb:1'].alerted_at);
+});
+
+test('jobs are only marked alerted once a channel has sent them', async () => {
+    const t = target('default');
+    const quiet = harness([t], { noAlerts: true });
+    quiet.listings.default = [job(1, 'Backend Engineer')];
+    await quiet.check();
+    assert.ok((await quiet.storage.getHistory(t))['airbnb:1'].first_seen);
+    assert.ok(!(await quiet.storage.getHistory(t))['airbnb:1'].alerted_at);
+
+    const webhook = notifier('webhook', async () => ({ success: true }));
+    const h = harness([t], { failAlerts: true, notifiers: [webhook] });
+    h.listings.default = [job(1, 'Backend Engineer')];
+    await h.check();
+    assert.ok((await h.storage.getHistory(t))['airbnb:1'].alerted_at);
+});
+
+test('every configured channel gets the same alert batch', async () => {
+    const batches = [];
+    const webhook = notifier('webhook', async batch => {
+        batches.push(batch);
+        return { success: false, error: 'HTTP 500' };
+    });
+    const unconfigured = { ...notifier('discord', async () => assert.fail('sent without a webhook URL')), isConfigured: () => false };
+    const h = harness([target('default')], { notifiers: [webhook, unconfigured], notifyClosed: true, closeAfter: 1 });
+    h.listings.default = [job(1, 'Backend Engineer'), job(2, 'Data Engineer')];
+    await h.check();
+
+    assert.strictEqual(h.alerts.length, 1);
+    assert.deepStrictEqual(Object.keys(batches[0]), ['kind', 'timestamp', 'count', 'jobs', 'filters']);
+    assert.deepStrictEqual([batches[0].kind, batches[0].count, batches[0].filters], ['new', 2, ['title:Engineer']]);
+    assert.deepStrictEqual(batches[0].jobs, h.alerts[0].jobs);
+    assert.deepStrictEqual(h.storage.notifications.map(n => [n.channel, n.status, n.messageId]), [
+        ['email', 'sent', 'email-1'],
+        ['webhook', 'failed', undefined]
+    ]);
+
+    // Closed jobs go out through the same channels
+    h.listings.default = [job(2, 'Data Engineer')];
+    await h.check();
+    assert.deepStrictEqual(batches.map(b => [b.kind, b.count]), [['new', 2], ['closed', 1]]);
+    assert.strictEqual(h.closedAlerts.length, 1);
+    const actions = (await h.storage.getRunLog()).map(entry => entry.action);
+    assert.deepStrictEqual(actions.filter(action => /_(sent|failed)$/.test(action)), ['email_sent', 'webhook_failed', 'closed_email_sent', 'closed_webhook_failed']);
+});
+
+test('subscribers get their own matches on each of their channels', async () => {
+    const h = harness([target('airbnb', ''), target('stripe', '')]);
+    await saveSubscription(h.storage, { id: 'backend', filter: 'Backend', channels: { email: 'backend@example.com', discord: 'https://discord.example/hook' } });
+    await saveSubscription(h.storage, { id: 'data', keywords: ['Data'], targets: ['stripe'], channels: { telegram: '42' } });
+    await saveSubscription(h.storage, { id: 'ios', filter: 'iOS', channels: { email: 'ios@example.com' } });
+    h.listings.airbnb = [job(1, 'Backend Engineer'), job(2, 'Data Engineer')];
+    h.listings.stripe = [job(3, 'Data Analyst'), job(4, 'Backend Developer')];
+
+    await h.check();
+
+    // The main alert is unchanged
+    assert.deepStrictEqual(h.alerts[0].jobs.map(j => j.id), ['airbnb:1', 'airbnb:2', 'airbnb:3', 'airbnb:4']);
+    assert.deepStrictEqual(h.sent, [
+        { channel: 'email', destination: 'backend@example.com', subscriber: 'backend', ids: ['airbnb:1', 'airbnb:4'] },
+        { channel: 'discord', destination: 'https://discord.example/hook', subscriber: 'backend', ids: ['airbnb:1', 'airbnb:4'] },
+        { channel: 'telegram', destination: '42', subscriber: 'data', ids: ['airbnb:3'] }
+    ]);
+    const recorded = h.storage.notifications.filter(n => n.subscriber).map(n => [n.subscriber, n.channel, n.messageId]);
+    assert.deepStrictEqual(recorded, [['backend', 'email', 'email-1'], ['backend', 'discord', 'discord-2'], ['data', 'telegram', 'telegram-3']]);
+
+    // Nothing new, nothing sent
+    await h.check();
+    assert.strictEqual(h.sent.length, 3);
+});
+
+test('daily digests collect matches until the local delivery hour', async () => {
+    const t = target('default');
+    const h = harness([t]);
+    await saveSubscription(h.storage, { id: 'blr', channels: { email: 'blr@example.com' }, digest: 'daily', timezone: 'Asia/Kolkata', hour: 9 });
+
+    // 07:30 and 08:30 in Bangalore: queued
+    h.listings.default = [job(1, 'Backend Engineer')];
+    await h.check('2024-03-04T02:00:00.000Z');
+    h.listings.default = [job(1, 'Backend Engineer'), job(2, 'Data Engineer')];
+    await h.check('2024-03-04T03:00:00.000Z');
+    assert.strictEqual(h.sent.length, 0);
+    assert.deepStrictEqual((await h.storage.getDigest('blr')).jobs.map(j => j.id), ['airbnb:1', 'airbnb:2']);
+
+    // 09:30: the digest goes out even though nothing changed
+    await h.check('2024-03-04T04:00:00.000Z');
+    assert.deepStrictEqual(h.sent.map(s => s.ids), [['airbnb:1', 'airbnb:2']]);
+    assert.strictEqual(await h.storage.getDigest('blr'), null);
+
+    // A match later that morning waits for the next day
+    h.listings.default = [job(1, 'Backend Engineer'), job(2, 'Data Engineer'), job(3, 'SRE Engineer')];
+    await h.check('2024-03-04T05:00:00.000Z');
+    assert.strictEqual(h.sent.length, 1);
+    await h.check('2024-03-05T03:31:00.000Z');
+    assert.deepStrictEqual(h.sent.map(s => s.ids), [['airbnb:1', 'airbnb:2'], ['airbnb:3']]);
+});
+
+test('a failed or unconfigured channel does not hold back the rest', async () => {
+    const h = harness([target('default')], { channels: ['email', 'discord'], failChannel: 'email' });
+    await saveSubscription(h.storage, { id: 'team', channels: { telegram: '42', email: 'team@example.com', discord: 'https://discord.example/hook' } });
+    h.listings.default = [job(1, 'Backend Engineer')];
+
+    await h.check();
+
+    assert.deepStrictEqual(h.sent.map(s => s.channel), ['email', 'discord']);
+    assert.deepStrictEqual(h.storage.notifications.filter(n => n.subscriber).map(n => [n.channel, n.status]), [
+        ['email', 'failed'],
+        ['discord', 'sent']
+    ]);
+    assert.ok((await h.storage.getRunLog()).some(entry => entry.action === 'subscriber_alert_failed' && entry.error === 'email down'));
+    // Failed deliveries are recorded, not retried
+    assert.strictEqual(await h.storage.getDigest('team'), null);
+});
+
+test('subscribers choose from every new job, not just the target\'s matches', async () => {
+    const h = harness([target('default')]);
+    await saveSubscription(h.storage, { id: 'people', filter: 'Recruiter', channels: { email: 'people@example.com' } });
+    h.listings.default = [job(1, 'Backend Engineer')];
+    await h.check();
+
+    h.listings.default = [job(1, 'Backend Engineer'), job(2, 'Technical Recruiter')];
+    const result = await h.check();
+
+    assert.strictEqual(result.targets[0].status, 'no_new_matches');
+    assert.strictEqual(h.alerts.length, 1);
+    assert.deepStrictEqual(h.sent.map(s => [s.subscriber, s.ids]), [['people', ['airbnb:2']]]);
+});
+
+test('a digest no channel could deliver stays queued for the next run', async () => {
+    const options = { channels: ['email'], failChannel: 'email' };
+    const h = harness([target('default')], options);
+    await saveSubscription(h.storage, { id: 'team', channels: { email: 'team@example.com', discord: 'https://discord.example/hook' } });
+    h.listings.default = [job(1, 'Backend Engineer')];
+    await h.check();
+    assert.deepStrictEqual((await h.storage.getDigest('team')).jobs.map(j => j.id), ['airbnb:1']);
+
+    options.failChannel = null;
+    h.listings.default = [job(1, 'Backend Engineer'), job(2, 'Data Engineer')];
+    await h.check();
+    assert.deepStrictEqual(h.sent.map(s => s.ids), [['airbnb:1'], ['airbnb:1', 'airbnb:2']]);
+    assert.strictEqual(await h.storage.getDigest('team'), null);
+});
@@ -0,0 +1,80 @@
+// Tests for seniority and role family classification, run against a corpus of real job titles
+const assert = require('assert');
+const { test } = require('node:test');
+const fs = require('fs');
+const path = require('path');
+const { DEFAULT_RULES, loadRules, classifyJob, classifyJobs, describeClassification } = require('./lib/classify');
+const { filterJobs } = require('./lib/filter');
+
+const corpus = JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', 'job-titles.json'), 'utf8'));
+
+function job(title, department = 'Engineering') {
+    return { id: `airbnb:${title.toLowerCase().replace(/\W+/g, '-')}`, title, department };
+}
+
+test('corpus: every title gets the expected seniority and role family', () => {
+    const mismatches = corpus
+        .map(entry => ({ entry, actual: classifyJob(job(entry.title, entry.department)) }))
+        .filter(({ entry, actual }) => actual.seniority !== entry.seniority || actual.role_family !== entry.role_family)
+        .map(({ entry, actual }) => `"${entry.title}": ${actual.seniority}/${actual.role_family}, expected ${entry.seniority}/${entry.role_family}`);
+
+    assert.deepStrictEqual(mismatches, []);
+});
+
+test('corpus: every level and family is covered', () => {
+    const levels = new Set(corpus.map(entry => entry.seniority));
+    const families = new Set(corpus.map(entry => entry.role_family));
+
+    for (const rule of DEFAULT_RULES.seniority.rules) {
+        assert.ok(levels.has(rule.value), `no ${rule.value} titles`);
+    }
+    for (const rule of DEFAULT_RULES.role_family.rules) {
+        assert.ok(families.has(rule.value), `no ${rule.value} titles`);
+    }
+});
+
+test('filters: senior-or-above backend roles only', () => {
+    const jobs = classifyJobs(corpus.map(entry => job(entry.title, entry.department)));
+
+    const matches = filterJobs(jobs, 'seniority>=senior AND role_family=backend');
+    assert.deepStrictEqual(matches.map(j => j.title), [
+        'Senior Software Engineer, Backend',
+        'Sr. Backend Engineer - Payments',
+        'Tech Lead, Distributed Systems',
+        'Software Engineer III, API Platform',
+        'Staff Software Engineer, Backend'
+    ]);
+    assert.deepStrictEqual(matches[0].matched_clauses, ['seniority>=senior', 'role_family=backend']);
+
+    const early = filterJobs(jobs, 'seniority<=junior AND NOT role_family=data');
+    assert.deepStrictEqual(early.map(j => j.seniority), ['intern', 'intern', 'junior', 'junior', 'junior', 'junior']);
+});
+
+test('overrides: custom rules come first and can add families and defaults', () => {
+    const rules = loadRules(JSON.stringify({
+        seniority: { rules: [{ value: 'senior', match: 'title:"Engineer III"' }] },
+        role_family: { default: 'other', rules: [{ value: 'fullstack', match: '"Full Stack"' }] }
+    }));
+
+    assert.strictEqual(classifyJob(job('Senior Full Stack Engineer'), rules).role_family, 'fullstack');
+    assert.strictEqual(classifyJob(job('Recruiter', 'People'), rules).role_family, 'other');
+    assert.strictEqual(classifyJob(job('Backend Engineer III'), rules).seniority, 'senior');
+    // The defaults still apply after the custom rules
+    assert.strictEqual(classifyJob(job('Staff iOS Engineer'), rules).role_family, 'mobile');
+    assert.strictEqual(loadRules(undefined), DEFAULT_RULES);
+});
+
+test('overrides: bad rules are rejected with the rule that failed', () => {
+    assert.throws(() => loadRules('{nope', 'CLASSIFIER_RULES'), /CLASSIFIER_RULES are not valid JSON/);
+    assert.throws(() => loadRules({ seniority: { rules: [{ value: 'wizard', match: 'Wizard' }] } }), /unknown seniority "wizard"/);
+    assert.throws(() => loadRules({ role_family: { rules: [{ value: 'web', match: 'Web AND' }] } }), /role_family rule "web": Invalid filter "Web AND"/);
+    assert.throws(() => loadRules({ role_family: { rules: [{ value: 'web' }] } }), /needs a "value" and a "match"/);
+    assert.throws(() => loadRules({ role_family: [] }), /must be an object with a "rules" list/);
+});
+
+test('alerts: classification reads as one line', () => {
+    assert.strictEqual(describeClassification(classifyJob(job('Senior Software Engineer, Backend'))), 'Senior · Backend');
+    assert.strictEqual(describeClassification(classifyJob(job('Staff Site Reliability Engineer'))), 'Staff · Infra/SRE');
+    assert.strictEqual(describeClassification(classifyJob(job('Recruiter', 'People'))), 'Mid');
+    assert.strictEqual(describeClassification({ title: 'Unclassified' }), '');
+});
@@ -0,0 +1,94 @@
+// Tests for turning a posting page's structured data and text into detail fields
+const assert = require('assert');
+const { test } = require('node:test');
+const { findJobPosting, normalizeDetail } = require('./lib/enrich');
+
+const POSTING = {
+    '@context': 'https://schema.org',
+    '@type': 'JobPosting',
+    title: 'Senior Backend Engineer',
+    description: '<p>Build payments &amp; billing.</p><ul><li>Go</li><li>Postgres</li></ul>',
+    datePosted: '2024-05-02',
+    employmentType: ['FULL_TIME', 'CONTRACTOR'],
+    identifier: { '@type': 'PropertyValue', name: 'Airbnb', value: 7185448 },
+    baseSalary: {
+        '@type': 'MonetaryAmount',
+        currency: 'USD',
+        value: { '@type': 'QuantitativeValue', minValue: 150000, maxValue: 200000, unitText: 'YEAR' }
+    }
+};
+
+test('JSON-LD: finds the posting in arrays and @graph, ignores the rest', () => {
+    const organization = { '@type': 'Organization', name: 'Airbnb' };
+
+    assert.strictEqual(findJobPosting([organization, POSTING]), POSTING);
+    assert.strictEqual(findJobPosting([[organization, POSTING]]), POSTING);
+    assert.strictEqual(findJobPosting([{ '@context': 'https://schema.org', '@graph': [organization, POSTING] }]), POSTING);
+    assert.strictEqual(findJobPosting([{ ...POSTING, '@type': ['Thing', 'JobPosting'] }])['@type'][1], 'JobPosting');
+    assert.strictEqual(findJobPosting([organization, null, 'text']), null);
+    assert.strictEqual(findJobPosting(undefined), null);
+});
+
+test('JSON-LD: structured fields win over the page text', () => {
+    const detail = normalizeDetail({
+        jsonLd: [POSTING],
+        description: 'Page text description',
+        text: 'Part-time · Req ID: R-999 · $10 - $20 per hour'
+    });
+
+    assert.deepStrictEqual(detail, {
+        description: 'Build payments & billing.\nGo\nPostgres',
+        posted_at: '2024-05-02T00:00:00.000Z',
+        employment_type: 'Full-time, Contractor',
+        requisition_id: '7185448',
+        pay_range: 'USD 150,000 - 200,000 per year'
+    });
+});
+
+test('JSON-LD: missing or unusable fields fall back to the text', () => {
+    const detail = normalizeDetail({
+        jsonLd: [{ '@type': 'JobPosting', datePosted: 'soon', identifier: 'JR-2024-01', baseSalary: { currency: 'EUR', value: {} } }],
+        description: 'Join the team',
+        text: 'Contract role. Salary €60,000 – €70,000 per year.'
+    });
+
+    assert.deepStrictEqual(detail, {
+        description: 'Join the team',
+        posted_at: null,
+        employment_type: 'Contract',
+        requisition_id: 'JR-2024-01',
+        pay_range: '€60,000 – €70,000 per year'
+    });
+});
+
+test('text: labelled requisition IDs with a digit are picked up', () => {
+    const requisition = text => normalizeDetail({ text }).requisition_id;
+
+    assert.strictEqual(requisition('Location: Dublin\nReq ID: R-12345\nApply now'), 'R-12345');
+    assert.strictEqual(requisition('Requisition # 5678'), '5678');
+    assert.strictEqual(requisition('Requisition: JR0099'), 'JR0099');
+    assert.strictEqual(requisition('Req. No. 2024-77'), '2024-77');
+    assert.strictEqual(requisition('Job ID 42 · Posted today'), '42');
+    assert.strictEqual(requisition('Job #991'), '991');
+});
+
+test('text: prose and IDs without digits are not requisition IDs', () => {
+    const requisition = text => normalizeDetail({ text }).requisition_id;
+
+    assert.strictEqual(requisition('Requirements: 5+ years of Go'), null);
+    assert.strictEqual(requisition('Required skills include SQL'), null);
+    assert.strictEqual(requisition('Job IDs are assigned after you apply'), null);
+    assert.strictEqual(requisition('Job ID: TBD'), null);
+});
+
+test('text: no structured data and no matches leaves fields empty', () => {
+    assert.deepStrictEqual(normalizeDetail({ jsonLd: [], description: null, text: 'We are hiring! Requirements below.' }), {
+        description: null,
+        posted_at: null,
+        employment_type: null,
+        requisition_id: null,
+        pay_range: null
+    });
+    assert.strictEqual(normalizeDetail({ text: 'Pay: $120k - $150k / year, full-time' }).pay_range, '$120k - $150k / year');
+    assert.strictEqual(normalizeDetail({ text: 'Pay: $120k - $150k / year, full-time' }).employment_type, 'Full-time');
+});
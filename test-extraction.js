@@ -0,0 +1,135 @@
+// Parity test: the Worker's HTMLRewriter extractor must return what the Puppeteer
+// extraction returns for the same saved listing page, both driven by the adapter's spec
+const assert = require('assert');
+const { test } = require('node:test');
+const fs = require('fs');
+const path = require('path');
+const puppeteer = require('puppeteer');
+const { unstable_dev } = require('wrangler');
+const { getAdapter } = require('./lib/adapters');
+const { extractJobsFromPage } = require('./lib/page-scraper');
+
+const PAGE_URL = 'https://careers.airbnb.com/positions/?_departments=engineering&_offices=bangalore-india';
+const FIXTURE = path.join(__dirname, 'fixtures', 'airbnb-positions.html');
+const WORKER_STARTUP_MS = 60000;
+
+// npm test runs on machines without Puppeteer's Chrome download; skip rather than fail there
+function chromeMissing() {
+    try {
+        return !fs.existsSync(puppeteer.executablePath()) && 'Chrome is not installed (npx puppeteer browsers install chrome)';
+    } catch (error) {
+        return `Chrome is not available: ${error.message}`;
+    }
+}
+
+const EXPECTED = [
+    {
+        title: 'Senior Machine Learning Engineer, Trust & Safety',
+        link: 'https://careers.airbnb.com/positions/7185448/',
+        location: 'Bangalore, India'
+    },
+    {
+        title: 'Software Engineer, Payments',
+        link: 'https://careers.airbnb.com/positions/7237254/',
+        department: 'Engineering',
+        location: 'Bangalore, India'
+    },
+    {
+        title: 'Staff Data Engineer – Search',
+        link: 'https://careers.airbnb.com/positions/7301102/?gh_src=abc123&ref=list',
+        department: 'N/A',
+        location: 'Remote, India'
+    }
+];
+
+/**
+ * Serve the fixture at the real listing URL and run the Node scrapers' extraction on it
+ */
+async function extractWithPuppeteer(html, adapter) {
+    const browser = await puppeteer.launch({
+        headless: 'new',
+        args: ['--no-sandbox', '--disable-setuid-sandbox']
+    });
+
+    try {
+        const page = await browser.newPage();
+        await page.setRequestInterception(true);
+        page.on('request', request => {
+            if (request.url() === PAGE_URL) {
+                request.respond({ status: 200, contentType: 'text/html', body: html });
+            } else {
+                request.abort();
+            }
+        });
+
+        await page.goto(PAGE_URL, { waitUntil: 'domcontentloaded' });
+        const { jobs } = await extractJobsFromPage(page, adapter, { maxPages: 1 });
+        return jobs;
+    } finally {
+        await browser.close();
+    }
+}
+
+/**
+ * Start the fixture Worker with its own config, failing instead of waiting
+ * forever when wrangler can't build or start it
+ */
+async function startWorker() {
+    const startup = unstable_dev(path.join(__dirname, 'fixtures', 'extraction-worker.js'), {
+        config: path.join(__dirname, 'fixtures', 'extraction-worker.toml'),
+        logLevel: 'warn',
+        experimental: { disableExperimentalWarning: true }
+    });
+
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`Extraction worker did not start within ${WORKER_STARTUP_MS / 1000}s`)), WORKER_STARTUP_MS);
+    });
+    try {
+        return await Promise.race([startup, timeout]);
+    } catch (error) {
+        // Stop it if it comes up after all
+        startup.then(worker => worker.stop(), () => {});
+        throw error;
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+/**
+ * Run the HTMLRewriter extractor inside workerd via wrangler's local dev server
+ */
+async function extractWithRewriter(html, adapter) {
+    const worker = await startWorker();
+
+    try {
+        const response = await worker.fetch('http://localhost/', {
+            method: 'POST',
+            body: JSON.stringify({ html, url: PAGE_URL, adapter: adapter.name })
+        });
+        assert.ok(response.ok, `Extraction worker failed: ${response.status}`);
+        return await response.json();
+    } finally {
+        await worker.stop();
+    }
+}
+
+const withoutTimestamps = jobs => jobs.map(({ scraped_at, ...job }) => job);
+
+test('HTMLRewriter and Puppeteer extract the same jobs from the saved listing', { skip: chromeMissing() }, async () => {
+    const html = fs.readFileSync(FIXTURE, 'utf8');
+    const adapter = getAdapter('airbnb');
+
+    const rewriterJobs = withoutTimestamps(await extractWithRewriter(html, adapter));
+    const puppeteerJobs = withoutTimestamps(await extractWithPuppeteer(html, adapter));
+    assert.deepStrictEqual(rewriterJobs, puppeteerJobs);
+
+    // Spot-check against known values so both can't drift together
+    assert.strictEqual(rewriterJobs.length, EXPECTED.length);
+    EXPECTED.forEach((expected, index) => {
+        for (const [field, value] of Object.entries(expected)) {
+            assert.strictEqual(rewriterJobs[index][field], value, `job ${index + 1} ${field}`);
+        }
+    });
+    assert.match(rewriterJobs[0].department, /^Engineering\s+•\s+Live and Work Anywhere$/);
+});
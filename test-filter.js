@@ -0,0 +1,206 @@
+// Tests for filter expressions and the targets that carry them
+const assert = require('assert');
+const { test } = require('node:test');
+const { parseFilter, parseSynonyms, matchJob, filterJobs, keywordsFilter } = require('./lib/filter');
+const { loadTargets } = require('./lib/targets');
+
+function job(title, extra = {}) {
+    return {
+        id: `airbnb:${title.toLowerCase().replace(/\W+/g, '-')}`,
+        title,
+        department: 'Engineering',
+        location: 'Bangalore, India',
+        ...extra
+    };
+}
+
+function titles(jobs) {
+    return jobs.map(j => j.title);
+}
+
+test('keyword lists keep their old meaning: any keyword in the title or department', () => {
+    const jobs = [job('Senior Backend Engineer'), job('Recruiter', { department: 'Software' }), job('Marketing Manager', { department: 'Marketing' })];
+
+    assert.deepStrictEqual(titles(filterJobs(jobs, 'Software, Backend')), ['Senior Backend Engineer', 'Recruiter']);
+    assert.deepStrictEqual(titles(filterJobs(jobs, keywordsFilter(['software', 'Backend']))), ['Senior Backend Engineer', 'Recruiter']);
+    assert.deepStrictEqual(titles(filterJobs(jobs, '')), titles(jobs));
+});
+
+// The Worker's default keyword list, which these false positives came from
+const DEFAULT_KEYWORDS = ['Software', 'Backend', 'Frontend', 'Full Stack', 'DevOps', 'Data', 'Machine Learning', 'AI', 'Cloud', 'Senior', 'Lead', 'Principal'];
+
+test('default keywords match whole words, not parts of them', () => {
+    const filter = keywordsFilter(DEFAULT_KEYWORDS);
+    const noise = [
+        job('Maintenance Technician', { department: 'Facilities' }),
+        job('Email Marketing Specialist', { department: 'Marketing' }),
+        job('Retail Associate', { department: 'Stores' }),
+        job('Leading Hotel Partnerships', { department: 'Partnerships' }),
+        job('Leadership Development Partner', { department: 'People' }),
+        job('Database Administrator', { department: 'IT' }),
+        job('Cloudy Day Planner', { department: 'Events' }),
+        job('Principality Tax Advisor', { department: 'Finance' })
+    ];
+
+    assert.deepStrictEqual(titles(filterJobs(noise, filter)), []);
+
+    const relevant = [
+        job('AI Researcher', { department: 'Research' }),
+        job('Tech Lead, Payments', { department: 'Payments' }),
+        job('Data-Platform Engineer', { department: 'Infra' }),
+        job('Senior Software Engineer (Backend)', { department: 'Engineering' })
+    ];
+    assert.deepStrictEqual(titles(filterJobs(relevant, filter)), titles(relevant));
+    assert.deepStrictEqual(matchJob(relevant[0], filter), ['"AI"']);
+});
+
+test('plurals and possessives match their singular; * matches prefixes', () => {
+    const jobs = [
+        job('Site Reliability Engineers', { department: 'Infrastructure' }),
+        job("Principal's Office Assistant", { department: 'Operations' }),
+        job('Technologies Lead', { department: 'Operations' }),
+        job('Business Analyst', { department: 'Operations' })
+    ];
+
+    assert.deepStrictEqual(titles(filterJobs(jobs, 'Engineer')), ['Site Reliability Engineers']);
+    assert.deepStrictEqual(titles(filterJobs(jobs, 'Principal')), ["Principal's Office Assistant"]);
+    assert.deepStrictEqual(titles(filterJobs(jobs, 'Technology')), ['Technologies Lead']);
+    assert.deepStrictEqual(titles(filterJobs(jobs, 'Business Analysts')), ['Business Analyst']);
+    assert.deepStrictEqual(titles(filterJobs(jobs, 'Infra*')), ['Site Reliability Engineers']);
+    assert.deepStrictEqual(titles(filterJobs([job('Engineering Manager', { department: 'Ops' })], 'Engineer*')), ['Engineering Manager']);
+});
+
+test('synonyms match either way, and more can be configured', () => {
+    const jobs = [
+        job('ML Engineer'),
+        job('Machine Learning Scientist'),
+        job('Site Reliability Engineer'),
+        job('SRE Manager'),
+        job('Front-End Developer'),
+        job('Fullstack Developer')
+    ];
+
+    assert.deepStrictEqual(titles(filterJobs(jobs, 'Machine Learning')), ['ML Engineer', 'Machine Learning Scientist']);
+    assert.deepStrictEqual(titles(filterJobs(jobs, 'ML')), ['ML Engineer', 'Machine Learning Scientist']);
+    assert.deepStrictEqual(titles(filterJobs(jobs, 'SRE')), ['Site Reliability Engineer', 'SRE Manager']);
+    assert.deepStrictEqual(titles(filterJobs(jobs, 'Frontend OR "Full Stack"')), ['Front-End Developer', 'Fullstack Developer']);
+
+    const synonyms = parseSynonyms('{"Developer": ["Engineer", "SWE"]}');
+    assert.deepStrictEqual(titles(filterJobs([job('SWE II'), job('Recruiter')], 'title:Developer', { synonyms })), ['SWE II']);
+    assert.deepStrictEqual(titles(filterJobs([job('Software Developer')], 'SWE', { synonyms })), ['Software Developer']);
+
+    assert.throws(() => parseSynonyms('{"ML": 1}', 'JOB_SYNONYMS'), /JOB_SYNONYMS must map each phrase/);
+    assert.throws(() => parseSynonyms('{nope', 'JOB_SYNONYMS'), /JOB_SYNONYMS is not valid JSON/);
+});
+
+test('bare words form one phrase; AND binds tighter than OR', () => {
+    const jobs = [job('Full Stack Engineer'), job('Stack Full Engineer'), job('Data Analyst', { department: 'Finance' })];
+
+    assert.deepStrictEqual(titles(filterJobs(jobs, 'Full Stack')), ['Full Stack Engineer']);
+    assert.deepStrictEqual(titles(filterJobs(jobs, 'Analyst OR Full AND Manager')), ['Data Analyst']);
+    assert.deepStrictEqual(titles(filterJobs(jobs, '(Data OR Full) AND Engineer')), ['Full Stack Engineer', 'Stack Full Engineer']);
+});
+
+test('NOT excludes, and operators are case-insensitive', () => {
+    const jobs = [job('Backend Engineer'), job('Engineering Manager'), job('Backend Intern')];
+
+    assert.deepStrictEqual(titles(filterJobs(jobs, 'Engineer AND NOT (Manager OR Intern)')), ['Backend Engineer']);
+    assert.deepStrictEqual(titles(filterJobs(jobs, 'backend and not intern')), ['Backend Engineer']);
+    assert.deepStrictEqual(titles(filterJobs(jobs, 'not Manager')), ['Backend Engineer', 'Backend Intern']);
+});
+
+test('field rules: contains with ":" and equals with "="', () => {
+    const jobs = [
+        job('Analyst', { department: 'Data Science', location: 'Remote, US' }),
+        job('Engineer', { department: 'Data Science Platform' }),
+        job('Designer', { department: 'Design', workplace: 'Hybrid' })
+    ];
+
+    assert.deepStrictEqual(titles(filterJobs(jobs, 'department="Data Science"')), ['Analyst']);
+    assert.deepStrictEqual(titles(filterJobs(jobs, 'department:"data science"')), ['Analyst', 'Engineer']);
+    assert.deepStrictEqual(titles(filterJobs(jobs, 'location:remote OR workplace:hybrid')), ['Analyst', 'Designer']);
+    // Unscoped terms don't look at the location
+    assert.deepStrictEqual(titles(filterJobs(jobs, 'Remote')), []);
+    assert.deepStrictEqual(titles(filterJobs(jobs, 'any:Remote')), ['Analyst']);
+});
+
+test('field groups and seniority comparisons', () => {
+    const jobs = [
+        job('Senior Engineer', { seniority: 'senior', role_family: 'backend' }),
+        job('Engineering Manager', { seniority: 'manager', role_family: 'em' }),
+        job('Backend Intern', { seniority: 'intern', role_family: 'backend' }),
+        job('Recruiter', { department: 'Backend Hiring' })
+    ];
+
+    assert.deepStrictEqual(titles(filterJobs(jobs, 'title:(Intern OR Recruiter)')), ['Backend Intern', 'Recruiter']);
+    assert.deepStrictEqual(titles(filterJobs(jobs, 'title:(Backend OR department:Hiring)')), ['Backend Intern', 'Recruiter']);
+    assert.deepStrictEqual(titles(filterJobs(jobs, 'seniority>=senior')), ['Senior Engineer', 'Engineering Manager']);
+    assert.deepStrictEqual(titles(filterJobs(jobs, 'seniority<senior AND role_family=backend')), ['Backend Intern']);
+    assert.deepStrictEqual(titles(filterJobs(jobs, 'seniority>staff')), []);
+
+    assert.throws(() => parseFilter('title>=senior'), /">=" only works with seniority/);
+    assert.throws(() => parseFilter('seniority>=boss'), /unknown seniority "boss"/);
+});
+
+test('regexes ignore case unless flags are given', () => {
+    const jobs = [job('Senior SRE'), job('Staff Engineer'), job('Head of Sales', { department: 'Sales' })];
+
+    assert.deepStrictEqual(titles(filterJobs(jobs, 'title:/^(senior|staff)\\b/')), ['Senior SRE', 'Staff Engineer']);
+    assert.deepStrictEqual(titles(filterJobs(jobs, '/sre/')), ['Senior SRE']);
+    assert.deepStrictEqual(titles(filterJobs(jobs, '/sre/u')), []);
+    assert.deepStrictEqual(titles(filterJobs(jobs, '/a\\/b/ OR Sales')), ['Head of Sales']);
+});
+
+test('matches report the clauses that matched', () => {
+    const filter = '(Backend OR location:Remote) AND NOT Manager';
+
+    assert.deepStrictEqual(matchJob(job('Backend Engineer', { location: 'Remote' }), filter), ['Backend', 'location:Remote']);
+    assert.deepStrictEqual(matchJob(job('Backend Engineer'), filter), ['Backend']);
+    assert.strictEqual(matchJob(job('Backend Manager'), filter), null);
+
+    const [matched] = filterJobs([job('Data Engineer', { department: 'Data Science' })], 'Data, department="Data Science"');
+    assert.deepStrictEqual(matched.matched_clauses, ['Data', 'department="Data Science"']);
+});
+
+test('syntax errors point at the problem', () => {
+    assert.throws(() => parseFilter('Backend AND'), /Invalid filter "Backend AND": expected a term at position 12/);
+    assert.throws(() => parseFilter('(Backend OR Data'), /expected "\)"/);
+    assert.throws(() => parseFilter('Backend)'), /unexpected "\)" at position 8/);
+    assert.throws(() => parseFilter('"Full Stack'), /unterminated quote at position 1/);
+    assert.throws(() => parseFilter('title:/(/'), /Invalid regular expression/);
+    assert.throws(() => parseFilter('location:'), /expected a value for location/);
+    // Unknown fields are just words
+    assert.deepStrictEqual(matchJob(job('Note: Engineer'), 'Note: Engineer'), ['Note: Engineer']);
+});
+
+test('targets: filter, then keywords, then JOB_FILTER, then JOB_KEYWORDS', () => {
+    const [legacy] = loadTargets({ JOB_KEYWORDS: 'Backend, Data' }, { url: 'https://careers.airbnb.com/positions/' });
+    assert.strictEqual(legacy.filter, '"Backend" OR "Data"');
+
+    const [preferred] = loadTargets({ JOB_KEYWORDS: 'Backend', JOB_FILTER: 'Backend AND NOT Manager' }, { keywords: ['Software'] });
+    assert.strictEqual(preferred.filter, 'Backend AND NOT Manager');
+
+    const [defaults] = loadTargets({}, { keywords: ['Software'] });
+    assert.strictEqual(defaults.filter, '"Software"');
+
+    const targets = loadTargets({
+        JOB_FILTER: 'Engineer',
+        WATCH_TARGETS: JSON.stringify([
+            { name: 'a', url: 'https://a.example/', filter: 'location:Remote' },
+            { name: 'b', url: 'https://b.example/', keywords: ['SRE'] },
+            { name: 'c', url: 'https://c.example/' }
+        ])
+    });
+    assert.deepStrictEqual(targets.map(t => t.filter), ['location:Remote', '"SRE"', 'Engineer']);
+
+    const [tuned] = loadTargets({
+        JOB_SYNONYMS: '{"SWE": "Software Engineer"}',
+        WATCH_TARGETS: JSON.stringify([{ name: 'a', url: 'https://a.example/', synonyms: { K8s: 'Kubernetes' } }])
+    });
+    assert.deepStrictEqual(tuned.synonyms, { SWE: 'Software Engineer', K8s: 'Kubernetes' });
+
+    assert.throws(
+        () => loadTargets({ WATCH_TARGETS: JSON.stringify([{ name: 'a', url: 'https://a.example/', filter: 'NOT' }]) }),
+        /Target "a": Invalid filter "NOT"/
+    );
+});
@@ -0,0 +1,78 @@
+// Tests for grouping one role's postings across locations into a single alert entry
+const assert = require('assert');
+const { test } = require('node:test');
+const { normalizeTitle, groupDuplicates } = require('./lib/group');
+const { createAlertBatch } = require('./lib/notifiers');
+const { discordMessage } = require('./lib/notifiers/discord');
+const { telegramMessage } = require('./lib/notifiers/telegram');
+
+function job(id, title, location, extra = {}) {
+    return {
+        id: `greenhouse:${id}`,
+        title,
+        link: `https://boards.greenhouse.io/stripe/jobs/${id}`,
+        department: 'Engineering',
+        location,
+        ...extra
+    };
+}
+
+test('titles: the posting\'s own location and workplace words are ignored', () => {
+    assert.strictEqual(normalizeTitle(job(1, 'Software Engineer - Dublin (Hybrid)', 'Dublin, Ireland')), 'software engineer');
+    assert.strictEqual(normalizeTitle(job(2, 'Software Engineer, Backend', 'Bangalore, India')), 'software engineer backend');
+    assert.strictEqual(normalizeTitle(job(3, 'Remote  Software Engineer', 'Remote, US')), 'software engineer');
+    // Only whole words are removed
+    assert.strictEqual(normalizeTitle(job(4, 'Indianapolis Sales Lead', 'India')), 'indianapolis sales lead');
+    assert.strictEqual(normalizeTitle(job(5, 'C++ Engineer', 'Berlin')), 'c++ engineer');
+});
+
+test('grouping: one entry per role listing every location, best posting first', () => {
+    const grouped = groupDuplicates([
+        job(1, 'Software Engineer - Dublin', 'Dublin, Ireland', { score: 9, matched_clauses: ['Engineer'] }),
+        job(2, 'Data Scientist', 'Dublin, Ireland'),
+        job(3, 'Software Engineer - Bangalore', 'Bangalore, India', { score: 4, matched_clauses: ['Remote'] }),
+        job(4, 'Software Engineer', 'Dublin, Ireland', { score: 2 })
+    ]);
+
+    assert.deepStrictEqual(grouped.map(j => j.id), ['greenhouse:1', 'greenhouse:2']);
+    assert.deepStrictEqual(grouped[0], {
+        ...job(1, 'Software Engineer - Dublin', 'Dublin, Ireland; Bangalore, India', { score: 9 }),
+        locations: ['Dublin, Ireland', 'Bangalore, India'],
+        postings: [
+            { id: 'greenhouse:1', location: 'Dublin, Ireland', link: 'https://boards.greenhouse.io/stripe/jobs/1' },
+            { id: 'greenhouse:3', location: 'Bangalore, India', link: 'https://boards.greenhouse.io/stripe/jobs/3' },
+            { id: 'greenhouse:4', location: 'Dublin, Ireland', link: 'https://boards.greenhouse.io/stripe/jobs/4' }
+        ],
+        matched_clauses: ['Engineer', 'Remote']
+    });
+    // Singletons are passed through untouched
+    assert.deepStrictEqual(grouped[1], job(2, 'Data Scientist', 'Dublin, Ireland'));
+});
+
+test('grouping: other departments and other employers stay separate', () => {
+    const grouped = groupDuplicates([
+        job(1, 'Software Engineer', 'Dublin, Ireland'),
+        job(2, 'Software Engineer', 'Bangalore, India', { department: 'Payments' }),
+        job(3, 'Software Engineer', 'London, UK', { link: 'https://boards.greenhouse.io/airbnb/jobs/3' }),
+        job(4, 'Software Engineer', 'Remote', { link: 'https://jobs.lever.co/stripe/4' })
+    ]);
+
+    assert.deepStrictEqual(grouped.map(j => j.id), ['greenhouse:1', 'greenhouse:2', 'greenhouse:3', 'greenhouse:4']);
+    assert.ok(grouped.every(j => !j.postings));
+});
+
+test('chat: grouped entries link each location', () => {
+    const [entry] = groupDuplicates([
+        job(1, 'Software Engineer', 'Dublin, Ireland'),
+        job(2, 'Software Engineer', 'Bangalore, India')
+    ]);
+
+    assert.strictEqual(discordMessage(createAlertBatch('new', [entry])).embeds[0].fields[0].value, [
+        'Engineering · Dublin, Ireland; Bangalore, India',
+        'Apply: [Dublin, Ireland](https://boards.greenhouse.io/stripe/jobs/1) · [Bangalore, India](https://boards.greenhouse.io/stripe/jobs/2)'
+    ].join('\n'));
+    assert.ok(telegramMessage(createAlertBatch('new', [entry])).includes(
+        'Apply: <a href="https://boards.greenhouse.io/stripe/jobs/1">Dublin, Ireland</a> · ' +
+        '<a href="https://boards.greenhouse.io/stripe/jobs/2">Bangalore, India</a>\n'
+    ));
+});
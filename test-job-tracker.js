@@ -0,0 +1,179 @@
+// Tests for the JobTracker Durable Object and the Worker's run lease, run locally in Miniflare
+const assert = require('assert');
+const { test, before, after } = require('node:test');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { Miniflare } = require('miniflare');
+const { DurableObjectStorage } = require('./lib/storage/durable-object');
+const { job } = require('./fixtures/jobs');
+
+const outDir = fs.mkdtempSync(path.join(os.tmpdir(), 'job-tracker-'));
+let mf = null;
+let counter = 0;
+
+before(async () => {
+    // Bundle the Worker the way wrangler deploys it
+    execFileSync('npx', ['--no-install', 'wrangler', 'deploy', '--dry-run', '--outdir', outDir], { stdio: 'pipe', timeout: 120000 });
+
+    mf = new Miniflare({
+        modules: true,
+        scriptPath: path.join(outDir, 'worker.js'),
+        modulesRoot: outDir,
+        compatibilityDate: '2024-01-01',
+        compatibilityFlags: ['nodejs_compat'],
+        kvNamespaces: ['JOB_STORAGE'],
+        durableObjects: { JOB_TRACKER: { className: 'JobTracker', useSQLite: true } },
+        bindings: { EMAIL_ENABLED: 'false', RUN_LOG_LIMIT: '5', ADMIN_TOKEN: 'test-admin-token' }
+    });
+    await mf.ready;
+});
+
+after(async () => {
+    if (mf) {
+        await mf.dispose();
+    }
+    fs.rmSync(outDir, { recursive: true, force: true });
+});
+
+// A tracker of its own for each test, so state doesn't leak between them
+async function openTracker() {
+    return new DurableObjectStorage(await mf.getDurableObjectNamespace('JOB_TRACKER'), { name: `test-${++counter}` });
+}
+
+// Runs first, while the Worker's own tracker is still empty
+test('worker: existing KV state is imported into the tracker once', async () => {
+    const kv = await mf.getKVNamespace('JOB_STORAGE');
+    await kv.put('latest-jobs', JSON.stringify([job(1, 'Backend Engineer'), job(2, 'Data Engineer')]));
+    await kv.put('jobs-hash', 'abc123');
+    await kv.put('activity-logs', JSON.stringify([{ timestamp: '2024-01-01T00:00:00.000Z', action: 'check_completed' }]));
+
+    // Not while a check holds the lease
+    const tracker = new DurableObjectStorage(await mf.getDurableObjectNamespace('JOB_TRACKER'));
+    assert.ok((await tracker.acquireLock('cron-run', 60 * 1000)).acquired);
+    const locked = await (await mf.dispatchFetch('http://localhost/status')).json();
+    assert.strictEqual(locked.targets[0].jobsCount, 0);
+    await tracker.releaseLock('cron-run');
+
+    const status = await (await mf.dispatchFetch('http://localhost/status')).json();
+    assert.strictEqual(status.storage, 'durable-object');
+    assert.strictEqual(status.targets[0].jobsCount, 2);
+    assert.strictEqual(status.targets[0].currentHash, 'abc123');
+    assert.strictEqual(status.recentLogs.length, 1);
+
+    // Later KV changes aren't imported again
+    await kv.put('latest-jobs', JSON.stringify([]));
+    const again = await (await mf.dispatchFetch('http://localhost/status')).json();
+    assert.strictEqual(again.targets[0].jobsCount, 2);
+});
+
+test('worker: a check is skipped while another one holds the lease', async () => {
+    const tracker = new DurableObjectStorage(await mf.getDurableObjectNamespace('JOB_TRACKER'));
+    const lock = await tracker.acquireLock('cron-run', 60 * 1000);
+    assert.ok(lock.acquired);
+
+    try {
+        const response = await (await mf.dispatchFetch('http://localhost/trigger')).json();
+        assert.strictEqual(response.result.skipped, true);
+        assert.strictEqual(response.result.lockedUntil, lock.expiresAt);
+    } finally {
+        await tracker.releaseLock('cron-run');
+    }
+});
+
+test('tracker: snapshots replace the previous jobs', async () => {
+    const tracker = await openTracker();
+    const target = { name: 'default' };
+    assert.strictEqual(await tracker.getSnapshot(target), null);
+
+    await tracker.putSnapshot(target, { jobs: [job(1, 'Backend Engineer'), job(2, 'Data Engineer')], hash: 'abc' });
+    await tracker.putSnapshot(target, { jobs: [job(3, 'SRE'), job(2, 'Senior Data Engineer')], hash: 'def' });
+    await tracker.putSnapshot({ name: 'stripe' }, { jobs: [job(9, 'Recruiter')], hash: 'xyz' });
+
+    const snapshot = await tracker.getSnapshot(target);
+    assert.strictEqual(snapshot.hash, 'def');
+    assert.deepStrictEqual(snapshot.jobs, [job(3, 'SRE'), job(2, 'Senior Data Engineer')]);
+    assert.strictEqual((await tracker.getSnapshot({ name: 'stripe' })).jobs.length, 1);
+});
+
+test('tracker: large snapshots and histories are stored job by job', async () => {
+    const tracker = await openTracker();
+    const target = { name: 'default' };
+    const jobs = Array.from({ length: 300 }, (_, i) => job(i, `Engineer ${i}`));
+    const history = Object.fromEntries(jobs.map(j => [j.id, { id: j.id, title: j.title, first_seen: '2024-03-01T00:00:00.000Z' }]));
+
+    await tracker.putSnapshot(target, { jobs, hash: 'big' });
+    await tracker.putHistory(target, history);
+
+    assert.strictEqual((await tracker.getSnapshot(target)).jobs.length, 300);
+    assert.deepStrictEqual(await tracker.getHistory(target), history);
+    assert.deepStrictEqual(await tracker.getHistory({ name: 'stripe' }), {});
+});
+
+test('tracker: run log keeps the latest RUN_LOG_LIMIT entries in order', async () => {
+    const tracker = await openTracker();
+    for (let i = 0; i < 8; i++) {
+        await tracker.appendRunLog({ action: 'check_completed', index: i });
+    }
+
+    assert.deepStrictEqual((await tracker.getRunLog(2)).map(entry => entry.index), [6, 7]);
+    assert.deepStrictEqual((await tracker.getRunLog(100)).map(entry => entry.index), [3, 4, 5, 6, 7]);
+});
+
+test('tracker: the lease has one holder until it is released or expires', async () => {
+    const tracker = await openTracker();
+
+    assert.ok((await tracker.acquireLock('cron', 60 * 1000)).acquired);
+    const blocked = await tracker.acquireLock('trigger', 60 * 1000);
+    assert.strictEqual(blocked.acquired, false);
+    assert.strictEqual(blocked.heldBy, 'cron');
+
+    assert.strictEqual((await tracker.releaseLock('trigger')).released, false);
+    assert.strictEqual((await tracker.releaseLock('cron')).released, true);
+    assert.ok((await tracker.acquireLock('trigger', 1)).acquired);
+
+    // An expired lease can be taken over
+    await new Promise(resolve => setTimeout(resolve, 10));
+    assert.ok((await tracker.acquireLock('cron', 60 * 1000)).acquired);
+});
+
+test('tracker: subscriptions and digests are kept alongside the jobs', async () => {
+    const tracker = await openTracker();
+    const subscriptions = [{ id: 'backend', filter: 'Backend', channels: { email: 'a@example.com' } }];
+    assert.deepStrictEqual(await tracker.getSubscriptions(), []);
+
+    await tracker.putSubscriptions(subscriptions);
+    await tracker.putDigest('backend', { since: '2024-03-01T00:00:00.000Z', jobs: [job(1, 'Backend Engineer')] });
+    assert.deepStrictEqual(await tracker.getSubscriptions(), subscriptions);
+    assert.strictEqual((await tracker.getDigest('backend')).jobs.length, 1);
+
+    await tracker.putDigest('backend', null);
+    assert.strictEqual(await tracker.getDigest('backend'), null);
+});
+
+test('worker: subscriptions are managed over HTTP with the admin token', async () => {
+    const auth = { Authorization: 'Bearer test-admin-token' };
+    const subscription = { id: 'ml', filter: 'ML', channels: { telegram: '42' }, digest: 'weekly' };
+
+    assert.strictEqual((await mf.dispatchFetch('http://localhost/subscriptions')).status, 401);
+
+    const invalid = await mf.dispatchFetch('http://localhost/subscriptions', { method: 'POST', headers: auth, body: JSON.stringify({ ...subscription, digest: 'hourly' }) });
+    assert.strictEqual(invalid.status, 400);
+    assert.match((await invalid.json()).error, /unknown digest "hourly"/);
+
+    const saved = await (await mf.dispatchFetch('http://localhost/subscriptions', { method: 'POST', headers: auth, body: JSON.stringify(subscription) })).json();
+    assert.strictEqual(saved.subscription.timezone, 'UTC');
+
+    const listed = await (await mf.dispatchFetch('http://localhost/subscriptions', { headers: auth })).json();
+    assert.deepStrictEqual(listed.subscriptions.map(s => s.id), ['ml']);
+
+    assert.strictEqual((await mf.dispatchFetch('http://localhost/subscriptions?id=ml', { method: 'DELETE', headers: auth })).status, 200);
+    assert.strictEqual((await mf.dispatchFetch('http://localhost/subscriptions?id=ml', { method: 'DELETE', headers: auth })).status, 404);
+});
+
+test('worker: /test-alerts reports when no alert channel is configured', async () => {
+    const response = await mf.dispatchFetch('http://localhost/test-alerts');
+    assert.strictEqual(response.status, 400);
+    assert.deepStrictEqual(await response.json(), { error: 'No alert channels configured' });
+});
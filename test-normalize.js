@@ -0,0 +1,74 @@
+// Tests for field normalization: whitespace, department badges and locations
+const assert = require('assert');
+const { test } = require('node:test');
+const { normalizeJob, normalizeJobs, canonicalizeLocation, detectWorkplace } = require('./lib/normalize');
+
+// Jobs as the Airbnb scraper saved them, with the page's tabs and newlines still in the department
+const SAMPLE = require('./latest-jobs.json');
+
+test('whitespace: collapsed in title, department and location only', () => {
+    const job = normalizeJob({
+        title: '  Senior\tSoftware\n\nEngineer ',
+        department: 'Data   Platform',
+        location: ' Dublin ,\n Ireland ',
+        link: 'https://example.com/jobs/1?a=1  b',
+        notes: 'kept  as-is'
+    });
+
+    assert.strictEqual(job.title, 'Senior Software Engineer');
+    assert.strictEqual(job.department, 'Data Platform');
+    assert.strictEqual(job.location, 'Dublin, Ireland');
+    assert.strictEqual(job.link, 'https://example.com/jobs/1?a=1  b');
+    assert.strictEqual(job.notes, 'kept  as-is');
+});
+
+test('department: the saved Airbnb badges split into department and workplace', () => {
+    assert.ok(SAMPLE.every(job => /\t/.test(job.department)));
+
+    const jobs = normalizeJobs(SAMPLE);
+    assert.deepStrictEqual(jobs.map(({ department, workplace, location }) => ({ department, workplace, location })), [
+        { department: 'Engineering', workplace: 'remote', location: 'Bangalore, India' },
+        { department: 'Engineering', workplace: 'remote', location: 'Bangalore, India' }
+    ]);
+    // Everything else comes through unchanged
+    assert.deepStrictEqual(jobs.map(({ title, link, scraped_at }) => ({ title, link, scraped_at })),
+        SAMPLE.map(({ title, link, scraped_at }) => ({ title, link, scraped_at })));
+});
+
+test('department: badges, a lone workplace word and workplace from the location', () => {
+    const split = department => {
+        const job = normalizeJob({ department });
+        return [job.department, job.workplace];
+    };
+
+    assert.deepStrictEqual(split('Design | Hybrid'), ['Design', 'hybrid']);
+    assert.deepStrictEqual(split('Sales · EMEA · On-site'), ['Sales - EMEA', 'onsite']);
+    // A department that is only a workplace word is left alone
+    assert.deepStrictEqual(split('Remote'), ['Remote', null]);
+    assert.deepStrictEqual(split('Engineering'), ['Engineering', null]);
+
+    assert.strictEqual(normalizeJob({ department: 'Engineering', location: 'Remote, US' }).workplace, 'remote');
+    assert.strictEqual(normalizeJob({ department: 'Engineering • Hybrid', location: 'Remote' }).workplace, 'hybrid');
+    assert.strictEqual(normalizeJob({ location: 'Berlin', workplace: 'onsite' }).workplace, 'onsite');
+    assert.strictEqual(normalizeJob({ location: 'N/A' }).location, 'N/A');
+    assert.strictEqual(detectWorkplace('Work from home'), 'remote');
+    assert.strictEqual(detectWorkplace(''), null);
+});
+
+test('locations: separators, city aliases and duplicate parts', () => {
+    assert.strictEqual(canonicalizeLocation('Bengaluru,  IND'), 'Bangalore, India');
+    assert.strictEqual(canonicalizeLocation('Bombay / India'), 'Mumbai, India');
+    assert.strictEqual(canonicalizeLocation('NYC; USA'), 'New York, United States');
+    assert.strictEqual(canonicalizeLocation('Gurugram - Haryana | India'), 'Gurgaon, Haryana, India');
+    assert.strictEqual(canonicalizeLocation('Bangalore, India, india'), 'Bangalore, India');
+    // A hyphen inside a name isn't a separator
+    assert.strictEqual(canonicalizeLocation('Wilkes-Barre, PA'), 'Wilkes-Barre, PA');
+});
+
+test('locations: country codes only in the last part, never US state codes', () => {
+    assert.strictEqual(canonicalizeLocation('Indianapolis, IN'), 'Indianapolis, IN');
+    assert.strictEqual(canonicalizeLocation('Remote, US'), 'Remote, United States');
+    assert.strictEqual(canonicalizeLocation('London - UK'), 'London, United Kingdom');
+    assert.strictEqual(canonicalizeLocation('Edinburgh, GB'), 'Edinburgh, United Kingdom');
+    assert.strictEqual(canonicalizeLocation('US, Remote'), 'US, Remote');
+});
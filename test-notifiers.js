@@ -0,0 +1,195 @@
+// Tests for the alert channels: messages, sending, test messages and which channels config turns on
+const assert = require('assert');
+const { test } = require('node:test');
+const {
+    createAlertBatch,
+    createNotifiers,
+    subscriberNotifiers,
+    testNotifiers,
+    EmailNotifier,
+    WebhookNotifier,
+    FileLogNotifier
+} = require('./lib/notifiers');
+const { discordMessage, DiscordNotifier } = require('./lib/notifiers/discord');
+const { telegramMessage, TelegramNotifier } = require('./lib/notifiers/telegram');
+const { classifyJob } = require('./lib/classify');
+const { scoreJob, loadScoring } = require('./lib/score');
+const { job } = require('./fixtures/jobs');
+
+// A fetch that records requests and answers like Discord, Telegram or a plain webhook
+function fakeFetch(requests) {
+    return async (url, init) => {
+        requests.push({ url, body: JSON.parse(init.body) });
+        if (url.includes('telegram')) {
+            return { ok: true, status: 200, json: async () => ({ ok: true, result: { message_id: 77 } }) };
+        }
+        return { ok: url.endsWith('/ok'), status: url.endsWith('/ok') ? 204 : 404 };
+    };
+}
+
+test('batches: every channel gets kind, count, jobs and filters', () => {
+    const jobs = [job(1, 'Backend Engineer')];
+    const batch = createAlertBatch('new', jobs, { filters: ['Backend'] });
+    assert.deepStrictEqual({ ...batch, timestamp: undefined }, { kind: 'new', timestamp: undefined, count: 1, jobs, filters: ['Backend'] });
+    assert.ok(!Number.isNaN(Date.parse(batch.timestamp)));
+
+    const digest = createAlertBatch('new', jobs, { subscriber: 'team', digest: 'daily' });
+    assert.deepStrictEqual([digest.filters, digest.subscriber, digest.digest], [[], 'team', 'daily']);
+});
+
+test('chat: Discord and Telegram messages carry level, score and matches', () => {
+    const scoring = loadScoring({ keywords: { Backend: 3 } });
+    const jobs = [
+        scoreJob(classifyJob(job(1, 'Senior Backend Engineer', { matched_clauses: ['Backend'] })), scoring),
+        job(2, 'Data <Platform> & Tools')
+    ];
+
+    const discord = discordMessage(createAlertBatch('new', jobs, { subscriber: 'team', digest: 'daily', filters: ['Backend OR Data'] }));
+    assert.strictEqual(discord.embeds[0].title, '🗞️ Daily digest: 2 new jobs');
+    assert.strictEqual(discord.embeds[0].description, 'Filters: Backend OR Data');
+    assert.strictEqual(discord.embeds[0].fields[0].value, [
+        'Engineering · Bangalore, India',
+        'Level: Senior · Backend',
+        'Score: 9 (Backend in title +9)',
+        'Matched: Backend',
+        '[Apply Here](https://careers.airbnb.com/positions/1/)'
+    ].join('\n'));
+
+    const many = createAlertBatch('new', Array.from({ length: 12 }, (_, i) => job(i, `Engineer ${i}`)));
+    assert.strictEqual(discordMessage(many).embeds[0].fields.length, 10);
+    assert.strictEqual(discordMessage(many).embeds[0].description, 'Showing the top 10, 2 more not shown');
+    assert.strictEqual(discordMessage(createAlertBatch('closed', [job(3, 'SRE')])).embeds[0].title, '📪 1 job closed');
+
+    const telegram = telegramMessage(createAlertBatch('new', jobs));
+    assert.ok(telegram.startsWith('<b>🚀 2 new jobs</b>\n'));
+    assert.ok(telegram.includes('<b><a href="https://careers.airbnb.com/positions/2/">Data &lt;Platform&gt; &amp; Tools</a></b>'));
+    // Quotes in links can't end the href attribute
+    const quoted = telegramMessage(createAlertBatch('new', [job(4, 'SRE', { link: 'https://example.com/jobs?q="sre"' })]));
+    assert.ok(quoted.includes('<a href="https://example.com/jobs?q=&quot;sre&quot;">SRE</a>'));
+
+    // Long alerts are cut at a whole job
+    const long = telegramMessage(createAlertBatch('new', Array.from({ length: 200 }, (_, i) => job(i, `Senior Software Engineer, Platform ${i}`))));
+    assert.ok(long.length <= 4096);
+    assert.ok(/\n…and \d+ more$/.test(long));
+});
+
+test('chat: notifiers post to the webhook and bot API and report failures', async () => {
+    const requests = [];
+    const fetch = fakeFetch(requests);
+    const batch = createAlertBatch('new', [job(1, 'Backend Engineer')]);
+
+    assert.deepStrictEqual(await new DiscordNotifier({ webhookUrl: 'https://discord.example/ok', fetch }).send(batch), { success: true });
+    assert.deepStrictEqual(await new DiscordNotifier({ webhookUrl: 'https://discord.example/gone', fetch }).send(batch), {
+        success: false,
+        error: 'Discord webhook returned HTTP 404'
+    });
+    assert.deepStrictEqual(await new TelegramNotifier({ botToken: 'bot-token', chatId: '42', fetch }).send(batch), { success: true, messageId: '77' });
+    assert.strictEqual(requests[2].url, 'https://api.telegram.org/botbot-token/sendMessage');
+    assert.strictEqual(requests[2].body.chat_id, '42');
+    assert.strictEqual(requests[2].body.parse_mode, 'HTML');
+
+    const offline = async () => {
+        throw new Error('getaddrinfo ENOTFOUND');
+    };
+    const telegram = new TelegramNotifier({ botToken: 'bot-token', chatId: '42', fetch: offline });
+    assert.deepStrictEqual(await telegram.send(batch), { success: false, error: 'getaddrinfo ENOTFOUND' });
+});
+
+test('webhook and file log: the batch as JSON, with its event', async () => {
+    const requests = [];
+    const batch = createAlertBatch('closed', [job(1, 'Backend Engineer')]);
+
+    const webhook = new WebhookNotifier({ url: 'https://hooks.example/ok', fetch: fakeFetch(requests) });
+    assert.deepStrictEqual(await webhook.send(batch), { success: true });
+    assert.deepStrictEqual(requests[0].body, JSON.parse(JSON.stringify({ event: 'closed_jobs', ...batch })));
+    assert.deepStrictEqual(await new WebhookNotifier({ url: 'https://hooks.example/gone', fetch: fakeFetch(requests) }).send(batch), {
+        success: false,
+        error: 'Webhook returned HTTP 404'
+    });
+
+    const lines = [];
+    const fileLog = new FileLogNotifier({ path: 'alerts.log', appendFile: async (path, text) => lines.push([path, text]) });
+    assert.deepStrictEqual(await fileLog.send(batch), { success: true });
+    assert.strictEqual(lines[0][0], 'alerts.log');
+    assert.deepStrictEqual(JSON.parse(lines[0][1]), requests[0].body);
+    assert.ok(lines[0][1].endsWith('}\n'));
+
+    const readOnly = new FileLogNotifier({ path: 'alerts.log', appendFile: async () => {
+        throw new Error('EROFS: read-only file system');
+    } });
+    assert.deepStrictEqual(await readOnly.send(batch), { success: false, error: 'EROFS: read-only file system' });
+});
+
+test('email: batches map onto the email service', async () => {
+    const calls = [];
+    const service = {
+        sendJobAlert: async (jobs, filters, options) => {
+            calls.push(['new', jobs.length, filters, options]);
+            return { success: true, emailId: 'e-1' };
+        },
+        sendClosedJobsAlert: async jobs => {
+            calls.push(['closed', jobs.length]);
+            return { success: false, error: 'quota exceeded' };
+        },
+        testEmailService: async () => ({ success: true, emailId: 'e-test' })
+    };
+    const email = new EmailNotifier({ service, to: 'me@example.com' });
+    const jobs = [job(1, 'Backend Engineer')];
+
+    assert.deepStrictEqual(await email.send(createAlertBatch('new', jobs, { subscriber: 'team', digest: 'weekly', filters: ['Backend'] })), {
+        success: true,
+        messageId: 'e-1',
+        error: undefined
+    });
+    assert.deepStrictEqual(await email.send(createAlertBatch('closed', jobs)), { success: false, messageId: undefined, error: 'quota exceeded' });
+    assert.deepStrictEqual(calls, [['new', 1, ['Backend'], { to: 'me@example.com', digest: 'weekly' }], ['closed', 1]]);
+    assert.deepStrictEqual(await email.test(), { success: true, messageId: 'e-test', error: undefined });
+    assert.strictEqual(new EmailNotifier({ service }).isConfigured(), false);
+});
+
+test('config: channels other than email are opt-in and need their settings', async () => {
+    const names = (env, runtime) => createNotifiers(env, runtime).map(notifier => notifier.name);
+    const settings = {
+        DISCORD_WEBHOOK_URL: 'https://discord.example/ok',
+        TELEGRAM_BOT_TOKEN: 'bot-token',
+        TELEGRAM_CHAT_ID: '42',
+        WEBHOOK_URL: 'https://hooks.example/ok'
+    };
+    const env = { ...settings, DISCORD_ENABLED: 'true', TELEGRAM_ENABLED: 'true', WEBHOOK_ENABLED: 'true', FILE_LOG_ENABLED: 'true' };
+    const appendFile = async () => {};
+
+    assert.deepStrictEqual(names({}), []);
+    assert.deepStrictEqual(names(settings), []);
+    assert.deepStrictEqual(names(env, { email: { service: {}, to: 'me@example.com' }, appendFile }), ['email', 'discord', 'telegram', 'webhook', 'file']);
+    // No filesystem (Workers), no file log
+    assert.deepStrictEqual(names(env), ['discord', 'telegram', 'webhook']);
+    assert.deepStrictEqual(names({ ...env, DISCORD_ENABLED: 'false', TELEGRAM_CHAT_ID: '' }), ['webhook']);
+
+    const subscribers = subscriberNotifiers({ TELEGRAM_BOT_TOKEN: 'bot-token' });
+    assert.strictEqual(subscribers.telegram('42').isConfigured(), true);
+    assert.strictEqual(subscribers.discord('https://discord.example/ok').isConfigured(), true);
+    assert.strictEqual(subscribers.email('team@example.com').isConfigured(), false);
+    assert.strictEqual(subscriberNotifiers({}).telegram('42').isConfigured(), false);
+});
+
+test('test messages go out on every channel', async () => {
+    const requests = [];
+    const fetch = fakeFetch(requests);
+    const results = await testNotifiers(createNotifiers({
+        DISCORD_ENABLED: 'true',
+        DISCORD_WEBHOOK_URL: 'https://discord.example/ok',
+        TELEGRAM_ENABLED: 'true',
+        TELEGRAM_BOT_TOKEN: 'bot-token',
+        TELEGRAM_CHAT_ID: '42',
+        WEBHOOK_ENABLED: 'true',
+        WEBHOOK_URL: 'https://hooks.example/gone'
+    }, { fetch }));
+
+    assert.deepStrictEqual(results, [
+        { channel: 'discord', success: true },
+        { channel: 'telegram', success: true, messageId: '77' },
+        { channel: 'webhook', success: false, error: 'Webhook returned HTTP 404' }
+    ]);
+    assert.ok(requests[0].body.content.includes('Test alert'));
+    assert.strictEqual(requests[2].body.event, 'test');
+});
@@ -0,0 +1,187 @@
+// Tests for crash-safe state files and the run lock, run in a throwaway directory
+const assert = require('assert');
+const { test, after } = require('node:test');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { writeFileAtomic, commitFiles } = require('./lib/atomic-write');
+const { acquireRunLock } = require('./lib/run-lock');
+const { FileStorage } = require('./lib/storage/files');
+const { job } = require('./fixtures/jobs');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'persistence-'));
+after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+let counter = 0;
+
+function freshDir() {
+    const dir = path.join(tmpDir, `case-${++counter}`);
+    fs.mkdirSync(dir);
+    return dir;
+}
+
+function storageIn(dir) {
+    return new FileStorage({
+        hashFile: path.join(dir, 'jobs-hash.txt'),
+        jobsFile: path.join(dir, 'latest-jobs.json'),
+        historyFile: path.join(dir, 'job-history.json'),
+        logFile: path.join(dir, 'scraper-log.json')
+    });
+}
+
+// A pid that is certainly not running: a child that has already exited
+function deadPid() {
+    return spawnSync(process.execPath, ['-e', '']).pid;
+}
+
+test('atomic write: replaces the file and leaves no temp files behind', async () => {
+    const dir = freshDir();
+    const file = path.join(dir, 'state.json');
+
+    await writeFileAtomic(file, '{"version":1}');
+    await writeFileAtomic(file, '{"version":2}');
+
+    assert.strictEqual(fs.readFileSync(file, 'utf8'), '{"version":2}');
+    assert.deepStrictEqual(fs.readdirSync(dir), ['state.json']);
+});
+
+test('snapshot: hash and jobs are committed together', async () => {
+    const dir = freshDir();
+    const storage = storageIn(dir);
+    const target = { name: 'default' };
+
+    await storage.putSnapshot(target, { jobs: [job(1, 'Backend Engineer')], hash: 'abc' });
+    await storage.putSnapshot(target, { jobs: [job(2, 'Data Engineer')], hash: 'def' });
+
+    const snapshot = await storage.getSnapshot(target);
+    assert.strictEqual(snapshot.hash, 'def');
+    assert.deepStrictEqual(snapshot.jobs, [job(2, 'Data Engineer')]);
+    assert.deepStrictEqual(fs.readdirSync(dir).sort(), ['jobs-hash.txt', 'latest-jobs.json']);
+});
+
+test('snapshot: a crash after the journal is written is finished on the next read', async () => {
+    const dir = freshDir();
+    const storage = storageIn(dir);
+    const target = { name: 'default' };
+    await storage.putSnapshot(target, { jobs: [job(1, 'Backend Engineer')], hash: 'abc' });
+
+    // Everything but the renames: what a crash mid-commit leaves behind
+    const hashTemp = path.join(dir, '.jobs-hash.txt.99999.tmp');
+    const jobsTemp = path.join(dir, '.latest-jobs.json.99999.tmp');
+    fs.writeFileSync(hashTemp, 'def');
+    fs.writeFileSync(jobsTemp, JSON.stringify([job(2, 'Data Engineer')]));
+    // The hash was already renamed, the jobs weren't
+    fs.renameSync(hashTemp, path.join(dir, 'jobs-hash.txt'));
+    fs.writeFileSync(path.join(dir, 'latest-jobs.json.commit'), JSON.stringify({
+        renames: [[hashTemp, path.join(dir, 'jobs-hash.txt')], [jobsTemp, path.join(dir, 'latest-jobs.json')]]
+    }));
+
+    const snapshot = await storage.getSnapshot(target);
+    assert.strictEqual(snapshot.hash, 'def');
+    assert.deepStrictEqual(snapshot.jobs, [job(2, 'Data Engineer')]);
+    assert.ok(!fs.existsSync(path.join(dir, 'latest-jobs.json.commit')));
+});
+
+test('snapshot: a crash before the journal is written keeps the old snapshot', async () => {
+    const dir = freshDir();
+    const storage = storageIn(dir);
+    const target = { name: 'default' };
+    await storage.putSnapshot(target, { jobs: [job(1, 'Backend Engineer')], hash: 'abc' });
+
+    fs.writeFileSync(path.join(dir, '.jobs-hash.txt.99999.tmp'), 'def');
+    fs.writeFileSync(path.join(dir, 'latest-jobs.json.commit'), '{"renames": [['); // torn journal
+
+    const snapshot = await storage.getSnapshot(target);
+    assert.strictEqual(snapshot.hash, 'abc');
+    assert.deepStrictEqual(snapshot.jobs, [job(1, 'Backend Engineer')]);
+});
+
+test('commit: a failed write leaves the existing files untouched', async () => {
+    const dir = freshDir();
+    const file = path.join(dir, 'a.txt');
+    fs.writeFileSync(file, 'old');
+
+    await assert.rejects(
+        commitFiles([[file, 'new'], [path.join(dir, 'missing', 'b.txt'), 'new']], path.join(dir, 'a.commit')),
+        /ENOENT/
+    );
+    assert.strictEqual(fs.readFileSync(file, 'utf8'), 'old');
+    assert.deepStrictEqual(fs.readdirSync(dir), ['a.txt']);
+});
+
+test('run lock: a second check is refused until the first releases', async () => {
+    const file = path.join(freshDir(), 'scraper.lock');
+
+    const first = await acquireRunLock(file);
+    assert.ok(first.acquired);
+
+    const second = await acquireRunLock(file);
+    assert.strictEqual(second.acquired, false);
+    assert.strictEqual(second.heldBy, `${os.hostname()}:${process.pid}`);
+
+    await first.release();
+    assert.ok(!fs.existsSync(file));
+    const third = await acquireRunLock(file);
+    assert.ok(third.acquired);
+    await third.release();
+});
+
+test('run lock: locks left by dead or long-gone processes are taken over', async () => {
+    const file = path.join(freshDir(), 'scraper.lock');
+
+    fs.writeFileSync(file, JSON.stringify({ pid: deadPid(), hostname: os.hostname(), startedAt: new Date().toISOString() }));
+    const crashed = await quietly(() => acquireRunLock(file));
+    assert.ok(crashed.acquired);
+    await crashed.release();
+
+    // Another machine's lock can only be judged by its age
+    const remote = { pid: 1, hostname: 'other-host', startedAt: new Date().toISOString() };
+    fs.writeFileSync(file, JSON.stringify(remote));
+    assert.strictEqual((await acquireRunLock(file, { staleMs: 60 * 1000 })).acquired, false);
+
+    fs.writeFileSync(file, JSON.stringify({ ...remote, startedAt: new Date(Date.now() - 2 * 60 * 1000).toISOString() }));
+    const expired = await quietly(() => acquireRunLock(file, { staleMs: 60 * 1000 }));
+    assert.ok(expired.acquired);
+    await expired.release();
+});
+
+test('run lock: an unreadable lock is held until it is older than staleMs', async () => {
+    const dir = freshDir();
+    const file = path.join(dir, 'scraper.lock');
+
+    // Empty, as if read the moment another process created it
+    fs.writeFileSync(file, '');
+    assert.deepStrictEqual(await acquireRunLock(file, { staleMs: 60 * 1000 }), { acquired: false, heldBy: 'unknown', startedAt: null });
+    assert.ok(fs.existsSync(file));
+
+    const old = new Date(Date.now() - 2 * 60 * 1000);
+    fs.utimesSync(file, old, old);
+    const taken = await quietly(() => acquireRunLock(file, { staleMs: 60 * 1000 }));
+    assert.ok(taken.acquired);
+    assert.strictEqual(JSON.parse(fs.readFileSync(file, 'utf8')).pid, process.pid);
+    // The temp file it was written to is gone
+    assert.deepStrictEqual(fs.readdirSync(dir), ['scraper.lock']);
+    await taken.release();
+});
+
+test('run lock: release never removes a lock someone else took over', async () => {
+    const file = path.join(freshDir(), 'scraper.lock');
+    const lock = await acquireRunLock(file);
+
+    const takeover = JSON.stringify({ pid: process.pid, hostname: os.hostname(), startedAt: '2099-01-01T00:00:00.000Z' });
+    fs.writeFileSync(file, takeover);
+    await lock.release();
+
+    assert.strictEqual(fs.readFileSync(file, 'utf8'), takeover);
+});
+
+// Stale lock takeovers are logged; keep test output to the results
+async function quietly(fn) {
+    const { log } = console;
+    console.log = () => {};
+    try {
+        return await fn();
+    } finally {
+        console.log = log;
+    }
+}
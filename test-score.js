@@ -0,0 +1,109 @@
+// Tests for relevance scoring: keyword and field weights, bonus/penalty rules and the minimum score
+const assert = require('assert');
+const { test } = require('node:test');
+const { DEFAULT_SCORING, loadScoring, scoreJob, scoreJobs, sortByScore, formatBreakdown } = require('./lib/score');
+const { filterJobs } = require('./lib/filter');
+const { classifyJob } = require('./lib/classify');
+const { job } = require('./fixtures/jobs');
+
+test('keywords: weight times the best field the keyword appears in', () => {
+    const scoring = loadScoring({ keywords: { Backend: 3, Payments: 2 } });
+
+    const titled = scoreJob(job(1, 'Backend Engineer, Payments'), scoring);
+    assert.strictEqual(titled.score, 15);
+    assert.deepStrictEqual(titled.score_breakdown, [
+        { reason: 'Backend in title', points: 9 },
+        { reason: 'Payments in title', points: 6 }
+    ]);
+
+    // The same keyword only in the department counts less
+    const department = scoreJob(job(2, 'Software Engineer', { department: 'Payments' }), scoring);
+    assert.deepStrictEqual(department.score_breakdown, [{ reason: 'Payments in department', points: 2 }]);
+
+    // Keywords match on word boundaries, with plurals and synonyms
+    const ml = scoreJob(job(3, 'Machine Learning Engineer'), loadScoring({ keywords: { ML: 2 } }));
+    assert.strictEqual(ml.score, 6);
+    assert.strictEqual(scoreJob(job(4, 'Backends Lead'), scoring).score, 9);
+    assert.strictEqual(scoreJob(job(5, 'Backendless Engineer'), scoring).score, 0);
+});
+
+test('fields: weights can be changed and zero ignores a field', () => {
+    const scoring = loadScoring({ keywords: { Remote: 1 }, fields: { location: 5, title: 0 } });
+
+    assert.deepStrictEqual(scoreJob(job(1, 'Remote Engineer', { location: 'Remote, India' }), scoring).score_breakdown, [
+        { reason: 'Remote in location', points: 5 }
+    ]);
+    assert.strictEqual(scoreJob(job(2, 'Remote Engineer'), scoring).score, 0);
+    // Unchanged weights keep their defaults
+    assert.strictEqual(scoring.fields.department, DEFAULT_SCORING.fields.department);
+});
+
+test('rules: bonuses and penalties from filter expressions', () => {
+    const scoring = loadScoring({
+        keywords: { Engineer: 1 },
+        rules: [
+            { match: 'location:Remote OR workplace=remote', score: 4, label: 'Remote' },
+            { match: 'seniority>=senior', score: 2 },
+            { match: 'department:"Trust & Safety"', score: -10, label: 'Excluded team' }
+        ]
+    });
+
+    const remote = scoreJob(classifyJob(job(1, 'Senior Engineer', { workplace: 'remote' })), scoring);
+    assert.strictEqual(remote.score, 9);
+    assert.strictEqual(formatBreakdown(remote), 'Engineer in title +3, Remote +4, seniority>=senior +2');
+
+    const excluded = scoreJob(job(2, 'Engineer', { department: 'Trust & Safety' }), scoring);
+    assert.strictEqual(excluded.score, -7);
+    assert.strictEqual(formatBreakdown(excluded), 'Engineer in title +3, Excluded team −10');
+});
+
+test('without keywords, each matched filter term scores by field', () => {
+    const matched = filterJobs([
+        job(1, 'Backend Engineer'),
+        job(2, 'Analyst', { department: 'Backend Platform' }),
+        job(3, 'Backend Lead', { location: 'Remote, India' })
+    ], 'Backend OR location:Remote');
+
+    const scored = scoreJobs(matched);
+    assert.deepStrictEqual(scored.map(j => j.score), [3, 1, 4]);
+    assert.deepStrictEqual(scored[2].score_breakdown, [
+        { reason: 'Backend in title', points: 3 },
+        { reason: 'location:Remote in location', points: 1 }
+    ]);
+    // Grouped scopes are scored by the field they name
+    const grouped = scoreJobs(filterJobs([job(4, 'Intern')], 'title:(Intern OR Junior)'));
+    assert.deepStrictEqual(grouped[0].score_breakdown, [{ reason: 'title:Intern in title', points: 3 }]);
+});
+
+test('minScore drops weak matches and sorting puts the best first', () => {
+    const scoring = loadScoring({ keywords: { Backend: 3, Platform: 1 }, minScore: 3 });
+    const jobs = [
+        job(1, 'Platform Engineer'),
+        job(2, 'Data Engineer', { department: 'Platform' }),
+        job(3, 'Backend Engineer'),
+        job(4, 'Backend Platform Engineer'),
+        job(5, 'Platform Analyst')
+    ];
+
+    const ranked = sortByScore(scoreJobs(jobs, scoring));
+    assert.deepStrictEqual(ranked.map(j => [j.id, j.score]), [
+        ['airbnb:4', 12],
+        ['airbnb:3', 9],
+        ['airbnb:1', 3],
+        ['airbnb:5', 3]
+    ]);
+    // Without a minimum nothing is dropped
+    assert.strictEqual(scoreJobs(jobs, loadScoring({ keywords: { Backend: 3 } })).length, 5);
+});
+
+test('config: bad scoring is rejected with what was wrong', () => {
+    assert.strictEqual(loadScoring(undefined), DEFAULT_SCORING);
+    assert.deepStrictEqual(loadScoring('{"minScore": 2}').minScore, 2);
+    assert.throws(() => loadScoring('{nope', 'SCORING_RULES'), /SCORING_RULES is not valid JSON/);
+    assert.throws(() => loadScoring('[]', 'SCORING_RULES'), /SCORING_RULES must be a JSON object/);
+    assert.throws(() => loadScoring({ keywords: { Backend: 'high' } }), /keyword "Backend" needs a numeric weight/);
+    assert.throws(() => loadScoring({ fields: { salary: 2 } }), /unknown field "salary"/);
+    assert.throws(() => loadScoring({ rules: [{ match: 'Remote' }] }), /needs a "match" and a numeric "score"/);
+    assert.throws(() => loadScoring({ rules: [{ match: 'Remote AND', score: 1, label: 'Remote' }] }), /rule "Remote": Invalid filter "Remote AND"/);
+    assert.throws(() => loadScoring({ minScore: 'high' }), /"minScore" must be a number/);
+});
@@ -1,6 +1,8 @@
 // Simple test script to verify the scraper works
 require('dotenv').config();
 const puppeteer = require('puppeteer');
+const { resolveAdapter } = require('./lib/adapters');
+const { extractJobsFromPage } = require('./lib/page-scraper');
 
 async function testScraper() {
     console.log('🧪 Testing Airbnb job scraper...\n');
@@ -16,36 +18,21 @@ async function testScraper() {
         // Set user agent
         await page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36');
         
-        const url = process.env.AIRBNB_JOBS_URL || 'https://careers.airbnb.com/positions/?_departments=engineering&_offices=bangalore-india';
-        console.log(`📍 Navigating to: ${url}`);
+        const target = {
+            url: process.env.AIRBNB_JOBS_URL || 'https://careers.airbnb.com/positions/?_departments=engineering&_offices=bangalore-india',
+            adapter: process.env.SCRAPER_ADAPTER
+        };
+        const adapter = resolveAdapter(target);
+        console.log(`📍 Navigating to: ${target.url}`);
+        console.log(`🧩 Using adapter: ${adapter.name}`);
         
-        await page.goto(url, { waitUntil: 'networkidle2', timeout: 60000 });
+        await page.goto(target.url, { waitUntil: 'networkidle2', timeout: 60000 });
         console.log('✅ Page loaded successfully');
         
-        // Wait for job listings
-        await page.waitForSelector('.job-list', { timeout: 30000 });
-        console.log('✅ Job list found');
-        
-        // Extract jobs
-        const jobs = await page.evaluate(() => {
-            const jobElements = document.querySelectorAll('.job-list li[role="listitem"]');
-            return Array.from(jobElements).map(job => {
-                try {
-                    const titleElement = job.querySelector('h3 a');
-                    const departmentElement = job.querySelector('.text-gray-48');
-                    const locationElement = job.querySelector('.col-span-4.lg\\:col-span-3 span');
-                    
-                    return {
-                        title: titleElement ? titleElement.textContent.trim() : 'N/A',
-                        link: titleElement ? titleElement.href : '',
-                        department: departmentElement ? departmentElement.textContent.trim() : 'N/A',
-                        location: locationElement ? locationElement.textContent.trim() : 'N/A'
-                    };
-                } catch (error) {
-                    return null;
-                }
-            }).filter(job => job && job.link);
-        });
+        // Wait for job listings and extract jobs from every page
+        const maxPages = parseInt(process.env.SCRAPE_MAX_PAGES, 10) || 10;
+        const { jobs, pagesVisited } = await extractJobsFromPage(page, adapter, { maxPages });
+        console.log(`✅ Job list found (${pagesVisited} page(s) visited)`);
         
         console.log(`\n🎉 Success! Found ${jobs.length} job(s):\n`);
         
@@ -0,0 +1,261 @@
+// Offline tests for the API job sources, job identity and watch targets, run against recorded JSON fixtures
+const assert = require('assert');
+const { test } = require('node:test');
+const path = require('path');
+const fs = require('fs');
+const { resolveAdapter, getAdapter } = require('./lib/adapters');
+const { getJobId, assignJobIds } = require('./lib/job-id');
+const { loadTargets, targetStateKey, targetStateFile } = require('./lib/targets');
+const greenhouse = require('./lib/adapters/greenhouse');
+const lever = require('./lib/adapters/lever');
+const workday = require('./lib/adapters/workday');
+
+function loadFixture(name) {
+    return JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8'));
+}
+
+/**
+ * Fake fetch that serves fixtures by URL and records the requests made
+ */
+function fixtureFetch(routes) {
+    const calls = [];
+    const fetch = async (url, init = {}) => {
+        calls.push({ url, init });
+        const route = routes.find(r => r.match(url, init));
+        if (!route) {
+            return { ok: false, status: 404, statusText: 'Not Found', json: async () => ({}) };
+        }
+        return { ok: true, status: 200, statusText: 'OK', json: async () => route.body(url, init) };
+    };
+    fetch.calls = calls;
+    return fetch;
+}
+
+test('greenhouse: resolves adapter and board token from board URLs', () => {
+    assert.strictEqual(resolveAdapter({ url: 'https://boards.greenhouse.io/airbnb' }).name, 'greenhouse');
+    assert.strictEqual(greenhouse.getBoardToken({ url: 'https://boards.greenhouse.io/airbnb' }), 'airbnb');
+    assert.strictEqual(greenhouse.getBoardToken({ url: 'https://job-boards.greenhouse.io/airbnb/jobs/123' }), 'airbnb');
+    assert.strictEqual(greenhouse.getBoardToken({ url: 'https://boards-api.greenhouse.io/v1/boards/airbnb/jobs' }), 'airbnb');
+    assert.strictEqual(greenhouse.getBoardToken({ url: 'https://boards.greenhouse.io/embed/job_board?for=airbnb' }), 'airbnb');
+    assert.strictEqual(greenhouse.getBoardToken({ url: 'https://boards.greenhouse.io/x', boardToken: 'override' }), 'override');
+});
+
+test('greenhouse: maps board JSON onto the job shape', async () => {
+    const fetch = fixtureFetch([
+        { match: url => url.startsWith('https://boards-api.greenhouse.io/v1/boards/airbnb/jobs'), body: () => loadFixture('greenhouse-jobs.json') }
+    ]);
+
+    const jobs = await greenhouse.fetchJobs({ url: 'https://boards.greenhouse.io/airbnb' }, { fetch });
+
+    assert.strictEqual(fetch.calls.length, 1);
+    assert.strictEqual(jobs.length, 3);
+    assert.deepStrictEqual({ ...jobs[0], scraped_at: undefined }, {
+        title: 'Senior Machine Learning Engineer, Trust & Safety',
+        link: 'https://boards.greenhouse.io/airbnb/jobs/7185448',
+        department: 'Engineering',
+        location: 'Bangalore, India',
+        description: 'Airbnb was born in 2007...',
+        scraped_at: undefined,
+        requisition_id: 'ENG-4471',
+        updated_at: '2025-09-18T10:42:11-04:00'
+    });
+    assert.strictEqual(jobs[1].title, 'Software Engineer, Payments');
+    assert.strictEqual(jobs[1].department, 'Engineering, Payments');
+    assert.strictEqual(jobs[1].location, 'Remote - India');
+    assert.strictEqual(jobs[1].description, 'Our payments team...');
+    assert.strictEqual(jobs[2].department, 'N/A');
+    assert.strictEqual(jobs[2].location, 'N/A');
+    assert.strictEqual(jobs[2].requisition_id, null);
+    assert.strictEqual(jobs[2].description, null);
+    assert.ok(!Number.isNaN(Date.parse(jobs[0].scraped_at)));
+});
+
+test('greenhouse: surfaces HTTP errors', async () => {
+    const fetch = fixtureFetch([]);
+    await assert.rejects(
+        greenhouse.fetchJobs({ url: 'https://boards.greenhouse.io/missing' }, { fetch }),
+        /Greenhouse board "missing" request failed: 404/
+    );
+});
+
+test('lever: resolves adapter and company from postings URLs', () => {
+    assert.strictEqual(resolveAdapter({ url: 'https://jobs.lever.co/acme' }).name, 'lever');
+    assert.strictEqual(lever.getCompany({ url: 'https://jobs.lever.co/acme' }), 'acme');
+    assert.strictEqual(lever.getCompany({ url: 'https://jobs.eu.lever.co/acme/5ac21346' }), 'acme');
+    assert.strictEqual(lever.getCompany({ url: 'https://api.lever.co/v0/postings/acme?mode=json' }), 'acme');
+});
+
+test('lever: normalizes team, location, commitment and workplace type', async () => {
+    const fetch = fixtureFetch([
+        { match: url => url === 'https://api.lever.co/v0/postings/acme?mode=json', body: () => loadFixture('lever-postings.json') }
+    ]);
+
+    const jobs = await lever.fetchJobs({ url: 'https://jobs.lever.co/acme' }, { fetch });
+
+    assert.strictEqual(jobs.length, 3);
+    assert.deepStrictEqual({ ...jobs[0], scraped_at: undefined }, {
+        title: 'Senior Backend Engineer',
+        link: 'https://jobs.lever.co/acme/5ac21346-8e0c-4494-8e7a-3eb92ff77902',
+        department: 'Engineering, Backend Platform',
+        location: 'Bangalore, India',
+        scraped_at: undefined,
+        team: 'Backend Platform',
+        commitment: 'Full-time',
+        workplace: 'hybrid',
+        posted_at: '2024-09-18T09:22:11.000Z'
+    });
+    assert.strictEqual(jobs[1].department, 'Data Science');
+    assert.strictEqual(jobs[1].commitment, 'Contract');
+    assert.strictEqual(jobs[1].workplace, 'remote');
+    assert.strictEqual(jobs[2].department, 'Engineering');
+    assert.strictEqual(jobs[2].workplace, 'onsite');
+});
+
+test('lever: uses the EU API for EU-hosted boards', async () => {
+    const fetch = fixtureFetch([
+        { match: url => url.startsWith('https://api.eu.lever.co/v0/postings/acme'), body: () => [] }
+    ]);
+
+    assert.deepStrictEqual(await lever.fetchJobs({ url: 'https://jobs.eu.lever.co/acme' }, { fetch }), []);
+});
+
+test('workday: parses tenant, site and facets from careers URLs', () => {
+    const site = workday.parseSite({
+        url: 'https://acme.wd5.myworkdayjobs.com/en-US/External?locations=a1b2&jobFamilyGroup=5c3d',
+        facets: { locations: ['0f9e'] }
+    });
+
+    assert.strictEqual(resolveAdapter({ url: 'https://acme.wd5.myworkdayjobs.com/External' }).name, 'workday');
+    assert.strictEqual(site.tenant, 'acme');
+    assert.strictEqual(site.site, 'External');
+    assert.strictEqual(site.siteUrl, 'https://acme.wd5.myworkdayjobs.com/en-US/External');
+    assert.deepStrictEqual(site.facets, { locations: ['a1b2', '0f9e'], jobFamilyGroup: ['5c3d'] });
+
+    const api = workday.parseSite({ url: 'https://acme.wd1.myworkdayjobs.com/wday/cxs/acme/Careers/jobs' });
+    assert.strictEqual(api.tenant, 'acme');
+    assert.strictEqual(api.site, 'Careers');
+});
+
+test('workday: pages through every result with facet filters', async () => {
+    const pages = [loadFixture('workday-jobs-page-1.json'), loadFixture('workday-jobs-page-2.json')];
+    const fetch = fixtureFetch([
+        {
+            match: (url, init) => url === 'https://acme.wd5.myworkdayjobs.com/wday/cxs/acme/External/jobs' && init.method === 'POST',
+            body: (url, init) => pages[JSON.parse(init.body).offset / 20]
+        }
+    ]);
+
+    const jobs = await workday.fetchJobs({
+        url: 'https://acme.wd5.myworkdayjobs.com/en-US/External',
+        facets: { locations: ['a1b2c3d4e5f60718293a4b5c6d7e8f90'], jobFamilyGroup: '5c3d1e2f4a6b7c8d9e0f1a2b3c4d5e6f' }
+    }, { fetch });
+
+    assert.strictEqual(fetch.calls.length, 2);
+    assert.deepStrictEqual(JSON.parse(fetch.calls[1].init.body), {
+        appliedFacets: {
+            locations: ['a1b2c3d4e5f60718293a4b5c6d7e8f90'],
+            jobFamilyGroup: ['5c3d1e2f4a6b7c8d9e0f1a2b3c4d5e6f']
+        },
+        limit: 20,
+        offset: 20,
+        searchText: ''
+    });
+    assert.strictEqual(jobs.length, 25);
+    assert.deepStrictEqual({ ...jobs[0], scraped_at: undefined }, {
+        title: 'Software Engineer',
+        link: 'https://acme.wd5.myworkdayjobs.com/en-US/External/job/India-Bangalore/Software-Engineer_JR104200',
+        department: 'N/A',
+        location: 'Bangalore, India',
+        scraped_at: undefined,
+        requisition_id: 'JR104200',
+        posted_on: 'Posted Today'
+    });
+    assert.strictEqual(jobs[24].title, 'Database Engineer');
+});
+
+test('workday: ignores the Puppeteer page cap and fails instead of returning a partial list', async () => {
+    const pages = [loadFixture('workday-jobs-page-1.json'), loadFixture('workday-jobs-page-2.json')];
+    const fetch = fixtureFetch([
+        { match: () => true, body: (url, init) => pages[JSON.parse(init.body).offset / 20] }
+    ]);
+    const url = 'https://acme.wd5.myworkdayjobs.com/External';
+
+    const jobs = await workday.fetchJobs({ url, maxPages: 1 }, { fetch });
+    assert.strictEqual(fetch.calls.length, 2);
+    assert.strictEqual(jobs.length, 25);
+
+    await assert.rejects(workday.fetchJobs({ url }, { fetch, maxPages: 1 }), /stopped after 1 page\(s\) with 20 of 25 postings/);
+});
+
+test('job ids: taken from each source\'s posting ID', async () => {
+    const greenhouseJobs = assignJobIds(await greenhouse.fetchJobs({ url: 'https://boards.greenhouse.io/airbnb' }, {
+        fetch: fixtureFetch([{ match: () => true, body: () => loadFixture('greenhouse-jobs.json') }])
+    }), greenhouse);
+    const leverJobs = assignJobIds(await lever.fetchJobs({ url: 'https://jobs.lever.co/acme' }, {
+        fetch: fixtureFetch([{ match: () => true, body: () => loadFixture('lever-postings.json') }])
+    }), lever);
+
+    assert.strictEqual(greenhouseJobs[0].id, 'greenhouse:7185448');
+    assert.strictEqual(leverJobs[0].id, 'lever:5ac21346-8e0c-4494-8e7a-3eb92ff77902');
+    assert.strictEqual(
+        getJobId({ link: 'https://acme.wd5.myworkdayjobs.com/en-US/External/job/India-Bangalore/Software-Engineer_JR104200' }, workday),
+        'workday:JR104200'
+    );
+});
+
+test('job ids: stable across tracking parameters and trailing slashes', () => {
+    const airbnb = getAdapter('airbnb');
+    const ids = [
+        'https://careers.airbnb.com/positions/7185448/',
+        'https://careers.airbnb.com/positions/7185448?utm_source=linkedin',
+        'http://careers.airbnb.com/positions/7185448/#apply'
+    ].map(link => getJobId({ link }, airbnb));
+
+    assert.deepStrictEqual(ids, ['airbnb:7185448', 'airbnb:7185448', 'airbnb:7185448']);
+
+    // No posting ID in the link: fall back to the canonical URL
+    assert.strictEqual(
+        getJobId({ link: 'https://www.example.com/careers/backend-engineer/?utm_campaign=x&team=infra' }, airbnb),
+        getJobId({ link: 'https://example.com/careers/backend-engineer?team=infra' }, airbnb)
+    );
+});
+
+test('targets: single default target from the legacy settings', () => {
+    const [target, ...rest] = loadTargets(
+        { AIRBNB_JOBS_URL: 'https://careers.airbnb.com/positions/', JOB_KEYWORDS: 'Backend, Data ' },
+        { url: 'https://example.com', keywords: ['Software'], maxPages: 10 }
+    );
+
+    assert.strictEqual(rest.length, 0);
+    assert.strictEqual(target.name, 'default');
+    assert.strictEqual(target.url, 'https://careers.airbnb.com/positions/');
+    assert.strictEqual(target.filter, '"Backend" OR "Data"');
+    assert.strictEqual(target.maxPages, 10);
+
+    // Existing state files and KV keys keep working
+    assert.strictEqual(targetStateFile(target, './jobs-hash.txt'), './jobs-hash.txt');
+    assert.strictEqual(targetStateKey(target, 'jobs-hash'), 'jobs-hash');
+});
+
+test('targets: named targets with their own filters and state', () => {
+    const targets = loadTargets({
+        JOB_KEYWORDS: 'Software',
+        WATCH_TARGETS: JSON.stringify([
+            { name: 'airbnb-blr', url: 'https://careers.airbnb.com/positions/', keywords: 'Backend,Frontend' },
+            { url: 'https://boards.greenhouse.io/stripe', adapter: 'greenhouse', maxPages: '3' }
+        ])
+    }, { keywords: ['Ignored'], maxPages: 10 });
+
+    assert.deepStrictEqual(targets.map(t => t.name), ['airbnb-blr', 'target-2']);
+    assert.strictEqual(targets[0].filter, '"Backend" OR "Frontend"');
+    assert.strictEqual(targets[1].filter, '"Software"');
+    assert.strictEqual(targets[1].adapter, 'greenhouse');
+    assert.strictEqual(targets[1].maxPages, 3);
+
+    assert.strictEqual(targetStateFile(targets[0], './latest-jobs.json'), './latest-jobs.airbnb-blr.json');
+    assert.strictEqual(targetStateKey(targets[0], 'latest-jobs'), 'latest-jobs:airbnb-blr');
+
+    assert.throws(() => loadTargets({ WATCH_TARGETS: '[{"name":"a","url":"x"},{"name":"a","url":"y"}]' }), /Duplicate target name/);
+    assert.throws(() => loadTargets({ WATCH_TARGETS: '[{"name":"../etc","url":"x"}]' }), /Invalid target name/);
+    assert.throws(() => loadTargets({ WATCH_TARGETS: '{nope' }), /not valid JSON/);
+});
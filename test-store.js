@@ -0,0 +1,252 @@
+// Tests for the SQLite job store and the storage backends, run against throwaway files
+const assert = require('assert');
+const { test, after } = require('node:test');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { JobStore, MIGRATIONS } = require('./lib/sqlite-store');
+const { updateHistory } = require('./lib/history');
+const { copyState } = require('./lib/storage');
+const { MemoryStorage } = require('./lib/storage/memory');
+const { FileStorage } = require('./lib/storage/files');
+const { KvStorage } = require('./lib/storage/kv');
+const { SqliteStorage } = require('./lib/storage/sqlite');
+const { job } = require('./fixtures/jobs');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'job-store-'));
+after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+let counter = 0;
+
+function openStore() {
+    return new JobStore(path.join(tmpDir, `test-${++counter}.db`));
+}
+
+test('migrations: applied once and recorded', () => {
+    const store = openStore();
+    const latest = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+    assert.deepStrictEqual(store.applied, MIGRATIONS.map(m => m.version));
+    assert.strictEqual(store.schemaVersion, latest);
+    store.close();
+
+    const reopened = new JobStore(store.filename);
+    assert.deepStrictEqual(reopened.applied, []);
+    assert.strictEqual(reopened.schemaVersion, latest);
+    reopened.close();
+});
+
+test('snapshots: jobs and hash round-trip and replace the previous snapshot', () => {
+    const store = openStore();
+    assert.strictEqual(store.getSnapshot('default'), null);
+
+    store.saveSnapshot('default', [job(1, 'Backend Engineer'), job(2, 'Data Engineer')], 'abc');
+    store.saveSnapshot('default', [job(2, 'Senior Data Engineer'), job(3, 'SRE')], 'def');
+    store.saveSnapshot('stripe', [job(9, 'Recruiter')], 'xyz');
+
+    const snapshot = store.getSnapshot('default');
+    assert.strictEqual(snapshot.hash, 'def');
+    assert.deepStrictEqual(snapshot.jobs, [job(2, 'Senior Data Engineer'), job(3, 'SRE')]);
+    assert.strictEqual(store.getSnapshot('stripe').jobs.length, 1);
+    store.close();
+});
+
+test('history: lifecycle records round-trip through the jobs table', () => {
+    const store = openStore();
+    const history = {};
+    updateHistory(history, [job(1, 'Backend Engineer'), job(2, 'Data Engineer')], { now: '2024-03-01T00:00:00.000Z' });
+    updateHistory(history, [job(1, 'Backend Engineer')], { now: '2024-03-02T00:00:00.000Z' });
+    store.saveHistory('default', history);
+
+    // Saving a snapshot doesn't clobber lifecycle dates
+    store.saveSnapshot('default', [job(1, 'Backend Engineer')], 'abc');
+
+    const loaded = store.getHistory('default');
+    assert.deepStrictEqual(Object.keys(loaded).sort(), ['airbnb:1', 'airbnb:2']);
+    assert.strictEqual(loaded['airbnb:1'].first_seen, '2024-03-01T00:00:00.000Z');
+    assert.strictEqual(loaded['airbnb:1'].last_seen, '2024-03-02T00:00:00.000Z');
+    assert.strictEqual(loaded['airbnb:2'].closed_at, '2024-03-02T00:00:00.000Z');
+
+    // And the loaded history keeps working with updateHistory
+    const result = updateHistory(loaded, [job(1, 'Backend Engineer'), job(2, 'Data Engineer')], { now: '2024-03-03T00:00:00.000Z' });
+    assert.deepStrictEqual(result.reopened, ['airbnb:2']);
+    store.close();
+});
+
+test('runs, observations and notifications are queryable', () => {
+    const store = openStore();
+    const runId = store.recordRun({
+        target: 'default',
+        status: 'changed',
+        jobsCount: 2,
+        pagesVisited: 1,
+        hash: 'abc',
+        changes: { added: 2, removed: 0 }
+    }, ['airbnb:1', 'airbnb:2']);
+    store.recordRun({ target: 'stripe', status: 'error', error: 'HTTP 500' });
+
+    const [latest, first] = store.getRuns();
+    assert.strictEqual(latest.status, 'error');
+    assert.strictEqual(first.id, runId);
+    assert.deepStrictEqual(first.changes, { added: 2, removed: 0 });
+    assert.strictEqual(store.getRuns({ target: 'default' }).length, 1);
+
+    const observed = store.db.prepare('SELECT job_id FROM observations WHERE run_id = ? ORDER BY job_id').all(runId);
+    assert.deepStrictEqual(observed.map(row => row.job_id), ['airbnb:1', 'airbnb:2']);
+
+    store.recordNotification({ kind: 'new', channel: 'email', status: 'sent', messageId: 'm-1' }, [
+        { ...job(1, 'Backend Engineer'), target: 'default' },
+        { ...job(2, 'Data Engineer'), target: 'default' }
+    ]);
+    store.recordNotification({ kind: 'new', channel: 'telegram', subscriber: 'data', status: 'sent', messageId: '77' }, [
+        { ...job(2, 'Data Engineer'), target: 'default' }
+    ]);
+    const sent = store.db.prepare('SELECT kind, channel, subscriber, job_id, message_id FROM notifications ORDER BY id').all();
+    assert.deepStrictEqual(sent, [
+        { kind: 'new', channel: 'email', subscriber: null, job_id: 'airbnb:1', message_id: 'm-1' },
+        { kind: 'new', channel: 'email', subscriber: null, job_id: 'airbnb:2', message_id: 'm-1' },
+        { kind: 'new', channel: 'telegram', subscriber: 'data', job_id: 'airbnb:2', message_id: '77' }
+    ]);
+    store.close();
+});
+
+test('activity: entries are kept in order without the file cap', () => {
+    const store = openStore();
+    store.transaction(() => {
+        for (let i = 0; i < 150; i++) {
+            store.logActivity({ timestamp: new Date(Date.UTC(2024, 0, 1, 0, i)).toISOString(), action: 'check_completed', index: i });
+        }
+    });
+
+    const latest = store.getActivity(3);
+    assert.deepStrictEqual(latest.map(entry => entry.index), [147, 148, 149]);
+    assert.strictEqual(store.getActivity(1000).length, 150);
+    store.close();
+});
+
+// Just enough of the Workers KV binding for KvStorage
+class FakeKvNamespace {
+    constructor() {
+        this.values = new Map();
+    }
+
+    async get(key, options = {}) {
+        const value = this.values.has(key) ? this.values.get(key) : null;
+        return value !== null && options.type === 'json' ? JSON.parse(value) : value;
+    }
+
+    async put(key, value) {
+        this.values.set(key, String(value));
+    }
+
+    async delete(key) {
+        this.values.delete(key);
+    }
+}
+
+function tmpFiles(name) {
+    const dir = fs.mkdtempSync(path.join(tmpDir, `${name}-`));
+    return {
+        hashFile: path.join(dir, 'jobs-hash.txt'),
+        jobsFile: path.join(dir, 'latest-jobs.json'),
+        historyFile: path.join(dir, 'job-history.json'),
+        logFile: path.join(dir, 'scraper-log.json'),
+        subscriptionsFile: path.join(dir, 'subscriptions.json'),
+        digestsFile: path.join(dir, 'subscription-digests.json')
+    };
+}
+
+const backends = {
+    memory: () => new MemoryStorage(),
+    files: () => new FileStorage(tmpFiles('files'), { logLimit: 3 }),
+    kv: () => new KvStorage(new FakeKvNamespace(), { logLimit: 3 }),
+    sqlite: () => new SqliteStorage(path.join(tmpDir, `test-${++counter}.db`))
+};
+
+for (const [name, open] of Object.entries(backends)) {
+    test(`storage (${name}): snapshots and history are kept per target`, async () => {
+        const storage = open();
+        const defaultTarget = { name: 'default' };
+        const stripe = { name: 'stripe' };
+
+        assert.strictEqual(await storage.getSnapshot(defaultTarget), null);
+        assert.deepStrictEqual(await storage.getHistory(defaultTarget), {});
+
+        await storage.putSnapshot(defaultTarget, { jobs: [job(1, 'Backend Engineer')], hash: 'abc' });
+        await storage.putSnapshot(defaultTarget, { jobs: [job(2, 'Data Engineer')], hash: 'def' });
+        await storage.putSnapshot(stripe, { jobs: [job(9, 'Recruiter')], hash: 'xyz' });
+
+        const snapshot = await storage.getSnapshot(defaultTarget);
+        assert.strictEqual(snapshot.hash, 'def');
+        assert.deepStrictEqual(snapshot.jobs.map(j => j.id), ['airbnb:2']);
+        assert.strictEqual((await storage.getSnapshot(stripe)).hash, 'xyz');
+
+        const history = {};
+        updateHistory(history, [job(2, 'Data Engineer')], { now: '2024-03-01T00:00:00.000Z' });
+        await storage.putHistory(defaultTarget, history);
+        assert.strictEqual((await storage.getHistory(defaultTarget))['airbnb:2'].first_seen, '2024-03-01T00:00:00.000Z');
+        // SQLite keeps snapshot jobs in its history table, so only check targets don't leak
+        assert.ok(!('airbnb:2' in await storage.getHistory(stripe)));
+
+        if (storage.close) {
+            storage.close();
+        }
+    });
+
+    test(`storage (${name}): subscriptions and queued digests round-trip`, async () => {
+        const storage = open();
+        const subscriptions = [
+            { id: 'backend', filter: 'Backend', channels: { email: 'a@example.com' }, digest: 'daily', timezone: 'UTC', hour: 9, day: 'monday' },
+            { id: 'data', filter: 'Data', channels: { telegram: '42' }, digest: 'immediate', timezone: 'UTC', hour: 9, day: 'monday' }
+        ];
+
+        assert.deepStrictEqual(await storage.getSubscriptions(), []);
+        assert.strictEqual(await storage.getDigest('backend'), null);
+
+        await storage.putSubscriptions(subscriptions);
+        await storage.putSubscriptions(subscriptions.slice().reverse());
+        assert.deepStrictEqual(await storage.getSubscriptions(), subscriptions.slice().reverse());
+
+        const digest = { since: '2024-03-01T00:00:00.000Z', jobs: [job(1, 'Backend Engineer')] };
+        await storage.putDigest('backend', digest);
+        assert.deepStrictEqual(await storage.getDigest('backend'), digest);
+        await storage.putDigest('backend', null);
+        assert.strictEqual(await storage.getDigest('backend'), null);
+
+        if (storage.close) {
+            storage.close();
+        }
+    });
+
+    test(`storage (${name}): run log returns the latest entries in order`, async () => {
+        const storage = open();
+        for (let i = 0; i < 5; i++) {
+            await storage.appendRunLog({ timestamp: new Date(Date.UTC(2024, 0, 1, 0, i)).toISOString(), action: 'check_completed', index: i });
+        }
+
+        assert.deepStrictEqual((await storage.getRunLog(2)).map(entry => entry.index), [3, 4]);
+
+        if (storage.close) {
+            storage.close();
+        }
+    });
+}
+
+test('storage: state files copy into a new backend with derived job IDs', async () => {
+    const files = new FileStorage(tmpFiles('import'));
+    const target = { name: 'default', adapter: 'airbnb' };
+    const { id, ...legacy } = job(5, 'Backend Engineer');
+    await files.putSnapshot(target, { jobs: [legacy], hash: 'abc' });
+    await files.appendRunLog({ timestamp: '2024-01-01T00:00:00.000Z', action: 'startup' });
+    await files.putSubscriptions([{ id: 'backend', filter: 'Backend', channels: { email: 'a@example.com' } }]);
+    await files.putDigest('backend', { since: '2024-03-01T00:00:00.000Z', jobs: [job(5, 'Backend Engineer')] });
+
+    const memory = new MemoryStorage();
+    const copied = await copyState(files, memory, [target]);
+
+    assert.deepStrictEqual(copied, { jobs: 1, logEntries: 1 });
+    const snapshot = await memory.getSnapshot(target);
+    assert.strictEqual(snapshot.hash, 'abc');
+    assert.strictEqual(snapshot.jobs[0].id, id);
+    assert.deepStrictEqual((await memory.getSubscriptions()).map(s => s.id), ['backend']);
+    assert.strictEqual((await memory.getDigest('backend')).jobs.length, 1);
+});
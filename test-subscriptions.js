@@ -0,0 +1,122 @@
+// Tests for subscriptions: validation, storage, matching and digest schedules
+const assert = require('assert');
+const { test } = require('node:test');
+const {
+    validateSubscription,
+    saveSubscription,
+    removeSubscription,
+    matchSubscription,
+    queueDigest,
+    isDigestDue,
+    describeSubscription
+} = require('./lib/subscriptions');
+const { loadScoring } = require('./lib/score');
+const { MemoryStorage } = require('./lib/storage/memory');
+const { job } = require('./fixtures/jobs');
+
+function subscription(extra = {}) {
+    return validateSubscription({ id: 'team', channels: { email: 'team@example.com' }, ...extra });
+}
+
+test('validation: defaults are filled in and keywords become a filter', () => {
+    assert.deepStrictEqual(subscription({ keywords: ['Backend', 'Data'] }), {
+        id: 'team',
+        filter: '"Backend" OR "Data"',
+        channels: { email: 'team@example.com' },
+        digest: 'immediate',
+        timezone: 'UTC',
+        hour: 9,
+        day: 'monday'
+    });
+    assert.strictEqual(subscription({ digest: 'weekly', day: 'Friday', targets: ['stripe'] }).day, 'friday');
+});
+
+test('validation: bad subscriptions are rejected with what was wrong', () => {
+    assert.throws(() => validateSubscription([]), /must be a JSON object/);
+    assert.throws(() => validateSubscription({ id: 'the team', channels: { email: 'a@b.co' } }), /Invalid subscription id "the team"/);
+    assert.throws(() => subscription({ filter: 'Backend AND' }), /Subscription "team": Invalid filter "Backend AND"/);
+    assert.throws(() => subscription({ channels: {} }), /needs at least one channel/);
+    assert.throws(() => subscription({ channels: { sms: '555' } }), /unknown channel "sms"/);
+    assert.throws(() => subscription({ channels: { email: 'team' } }), /"team" is not an email address/);
+    assert.throws(() => subscription({ channels: { discord: 'discord.com/api/webhooks/1' } }), /needs a webhook URL/);
+    assert.throws(() => subscription({ channels: { telegram: ' ' } }), /telegram channel needs a destination/);
+    assert.throws(() => subscription({ digest: 'hourly' }), /unknown digest "hourly"/);
+    assert.throws(() => subscription({ timezone: 'Mars/Olympus' }), /unknown timezone "Mars\/Olympus"/);
+    assert.throws(() => subscription({ hour: 24 }), /"hour" must be a whole hour/);
+    assert.throws(() => subscription({ day: 'someday' }), /unknown day "someday"/);
+    assert.throws(() => subscription({ targets: 'stripe' }), /"targets" must be a list/);
+});
+
+test('storage: subscriptions are added, replaced and removed with their digest', async () => {
+    const storage = new MemoryStorage();
+    await saveSubscription(storage, { id: 'backend', filter: 'Backend', channels: { email: 'a@example.com' } });
+    await saveSubscription(storage, { id: 'data', filter: 'Data', channels: { telegram: '42' } });
+    await saveSubscription(storage, { id: 'backend', filter: 'Backend OR API', channels: { email: 'a@example.com' } });
+
+    assert.deepStrictEqual((await storage.getSubscriptions()).map(s => [s.id, s.filter]), [['data', 'Data'], ['backend', 'Backend OR API']]);
+
+    await storage.putDigest('data', queueDigest(null, [job(1, 'Data Engineer')]));
+    assert.strictEqual(await removeSubscription(storage, 'data'), true);
+    assert.strictEqual(await removeSubscription(storage, 'data'), false);
+    assert.strictEqual(await storage.getDigest('data'), null);
+    assert.deepStrictEqual((await storage.getSubscriptions()).map(s => s.id), ['backend']);
+});
+
+test('matching: subscriber filters pick from each target\'s added jobs and rescore them', () => {
+    const results = [
+        {
+            target: { name: 'airbnb' },
+            // The target's own filter only let the backend job through, and enrichment added its details
+            addedJobs: [job(1, 'Backend Engineer'), job(2, 'ML Engineer')],
+            matchingJobs: [job(1, 'Backend Engineer', { description: 'Payments APIs' })]
+        },
+        { target: { name: 'stripe', synonyms: {} }, addedJobs: [job(3, 'Machine Learning Engineer', { target: 'stripe' })], matchingJobs: [] }
+    ];
+
+    const ml = matchSubscription(subscription({ filter: 'ML' }), results, loadScoring(undefined));
+    assert.deepStrictEqual(ml.map(j => [j.id, j.matched_clauses, j.score]), [['airbnb:2', ['ML'], 3], ['airbnb:3', ['ML'], 3]]);
+
+    const everything = matchSubscription(subscription(), results);
+    assert.deepStrictEqual(everything.map(j => [j.id, j.description]), [['airbnb:1', 'Payments APIs'], ['airbnb:2', undefined], ['airbnb:3', undefined]]);
+
+    const stripeOnly = matchSubscription(subscription({ targets: ['stripe'] }), results);
+    assert.deepStrictEqual(stripeOnly.map(j => j.id), ['airbnb:3']);
+});
+
+test('digests: re-queued jobs replace their earlier copy and keep the queue\'s age', () => {
+    const first = queueDigest(null, [job(1, 'Backend Engineer'), job(2, 'Data Engineer')], '2024-03-04T02:00:00.000Z');
+    const second = queueDigest(first, [job(2, 'Senior Data Engineer'), job(3, 'SRE')], '2024-03-04T05:00:00.000Z');
+
+    assert.strictEqual(second.since, '2024-03-04T02:00:00.000Z');
+    assert.deepStrictEqual(second.jobs.map(j => j.title), ['Backend Engineer', 'Senior Data Engineer', 'SRE']);
+    assert.strictEqual(queueDigest(null, []), null);
+    assert.strictEqual(queueDigest(first, []), first);
+});
+
+test('schedules: daily and weekly digests follow the subscriber\'s timezone', () => {
+    const queued = since => ({ since, jobs: [job(1, 'Backend Engineer')] });
+
+    const immediate = subscription();
+    assert.strictEqual(isDigestDue(immediate, queued('2024-03-04T02:00:00.000Z'), '2024-03-04T02:00:00.000Z'), true);
+    assert.strictEqual(isDigestDue(immediate, null), false);
+
+    // 09:00 in New York is 13:00 UTC in March after the DST switch, 14:00 before it
+    const daily = subscription({ digest: 'daily', timezone: 'America/New_York', hour: 9 });
+    assert.strictEqual(isDigestDue(daily, queued('2024-03-12T10:00:00.000Z'), '2024-03-12T12:59:00.000Z'), false);
+    assert.strictEqual(isDigestDue(daily, queued('2024-03-12T10:00:00.000Z'), '2024-03-12T13:00:00.000Z'), true);
+    assert.strictEqual(isDigestDue(daily, queued('2024-03-08T10:00:00.000Z'), '2024-03-08T13:30:00.000Z'), false);
+    // Queued just after midnight local time, sent that morning
+    assert.strictEqual(isDigestDue(daily, queued('2024-03-12T04:30:00.000Z'), '2024-03-12T13:05:00.000Z'), true);
+    // Runs that skip a day still send
+    assert.strictEqual(isDigestDue(daily, queued('2024-03-10T15:00:00.000Z'), '2024-03-12T02:00:00.000Z'), true);
+
+    // Mondays at 08:00 in Tokyo (Sunday 23:00 UTC)
+    const weekly = subscription({ digest: 'weekly', timezone: 'Asia/Tokyo', hour: 8 });
+    const queuedTuesday = queued('2024-03-05T03:00:00.000Z');
+    assert.strictEqual(isDigestDue(weekly, queuedTuesday, '2024-03-09T12:00:00.000Z'), false);
+    assert.strictEqual(isDigestDue(weekly, queuedTuesday, '2024-03-10T22:59:00.000Z'), false);
+    assert.strictEqual(isDigestDue(weekly, queuedTuesday, '2024-03-10T23:00:00.000Z'), true);
+    assert.strictEqual(isDigestDue(weekly, queuedTuesday, '2024-03-13T00:00:00.000Z'), true);
+
+    assert.strictEqual(describeSubscription(weekly), 'team: all matches → email (weekly at 08:00 on monday Asia/Tokyo)');
+});